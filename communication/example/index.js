@@ -1,6 +1,9 @@
 import AnonymousCommunication from '../src/index.js';
 
 // const ENDPOINT_URL = 'https://collector-hpn.ghostery.net';
+//
+// To run a local collector, use "npm run collector"
+// (see scripts/reference-collector.js).
 const ENDPOINT_URL = 'http://localhost:3001';
 
 const ALIVE_MESSAGE = {
@@ -12,15 +15,17 @@ const ALIVE_MESSAGE = {
   },
 };
 
-const storage = {
-  storage: {},
-  async get(key) {
-    return this.storage[key];
-  },
-  async set(key, value) {
-    this.storage[key] = value;
-  },
-};
+function connectDatabase() {
+  return {
+    storage: {},
+    async get(key) {
+      return this.storage[key];
+    },
+    async set(key, value) {
+      this.storage[key] = value;
+    },
+  };
+}
 
 (async function () {
   try {
@@ -30,7 +35,7 @@ const storage = {
         COLLECTOR_PROXY_URL: ENDPOINT_URL,
         CHANNEL: 'safari',
       },
-      storage,
+      connectDatabase,
     });
 
     setInterval(async () => {
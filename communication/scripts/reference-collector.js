@@ -0,0 +1,77 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+/**
+ * Runs the reference collector (see test/helpers/reference-collector.js)
+ * as a local HTTP server. It can be used as the endpoint for the example
+ * extension (example/index.js):
+ *
+ *   npm run collector
+ *
+ * Options (environment variables):
+ * - PORT (default: 3001)
+ * - SIGN_PUBKEYS=1: serve signed keys (the signing key will be printed)
+ * - COMPRESS_RESPONSES=1: use the compressed response format
+ * - CIPHER_SUITES: comma-separated list of the accepted cipher suites
+ *   (e.g. "0xec,0xea"; see src/cipher-suites.js)
+ */
+import http from 'node:http';
+import ReferenceCollector from '../test/helpers/reference-collector.js';
+
+const port = Number(process.env.PORT || 3001);
+const baseUrl = `http://localhost:${port}`;
+
+async function toRequest(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const body = chunks.length > 0 ? Buffer.concat(chunks) : undefined;
+  return new Request(new URL(req.url, baseUrl), {
+    method: req.method,
+    headers: req.headers,
+    body: req.method === 'GET' || req.method === 'HEAD' ? undefined : body,
+  });
+}
+
+(async () => {
+  const collector = new ReferenceCollector({
+    baseUrl,
+    signPubKeys: process.env.SIGN_PUBKEYS === '1',
+    compressResponses: process.env.COMPRESS_RESPONSES === '1',
+    cipherSuites: process.env.CIPHER_SUITES?.split(',').map(Number),
+    async onMessage(message) {
+      console.log('Received message:', JSON.stringify(message));
+      return { status: 200, body: '{}' };
+    },
+  });
+  await collector.init();
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const response = await collector.handle(await toRequest(req));
+      res.writeHead(response.status, {
+        ...Object.fromEntries(response.headers),
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'Encryption-IV, Date',
+      });
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (e) {
+      console.error('Failed to handle request', e);
+      res.writeHead(500);
+      res.end();
+    }
+  });
+  server.listen(port, () => {
+    console.log(`Reference collector listening on ${baseUrl}`);
+    console.log('Config:', JSON.stringify(collector.config, null, 2));
+  });
+})();
@@ -0,0 +1,214 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import logger from './logger.js';
+import { toUTF8 } from './encoding.js';
+
+/**
+ * The IDs are written as the first byte of the encryption header.
+ * They must never be reused for a different construction.
+ */
+export const ECDH_P256_AES_128_GCM = 0xea;
+export const ECDH_P256_HKDF_AES_256_GCM = 0xeb;
+export const X25519_HKDF_AES_256_GCM = 0xec;
+
+/**
+ * If the server does not advertise cipher suites, it is assumed to
+ * only support the original construction.
+ */
+export const DEFAULT_CIPHER_SUITES = [ECDH_P256_AES_128_GCM];
+
+/**
+ * Key types of the server's public keys. Suites that share the key type
+ * can use the same server keys.
+ */
+export const KEY_TYPES = {
+  p256: {
+    algorithm: { name: 'ECDH', namedCurve: 'P-256' },
+    publicKeyLength: 65, // uncompressed point
+  },
+  x25519: {
+    algorithm: { name: 'X25519' },
+    publicKeyLength: 32,
+  },
+};
+
+const keyTypeSupport = new Map();
+
+/**
+ * Not all platforms support all algorithms in WebCrypto (e.g. X25519
+ * is relatively new). The only reliable way to find out is to try it.
+ */
+export async function isKeyTypeSupported(keyType) {
+  if (!keyTypeSupport.has(keyType)) {
+    const check = (async () => {
+      try {
+        await crypto.subtle.generateKey(KEY_TYPES[keyType].algorithm, false, [
+          'deriveBits',
+        ]);
+        return true;
+      } catch (e) {
+        logger.info(`Key type ${keyType} is not supported on this platform`);
+        return false;
+      }
+    })();
+    keyTypeSupport.set(keyType, check);
+  }
+  return keyTypeSupport.get(keyType);
+}
+
+export async function generateKeyPair(keyType) {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(
+    KEY_TYPES[keyType].algorithm,
+    true,
+    ['deriveBits'],
+  );
+  return {
+    publicKey: new Uint8Array(await crypto.subtle.exportKey('raw', publicKey)),
+    privateKey,
+  };
+}
+
+/**
+ * Computes the shared secret from our private key and the other
+ * party's public key (in raw format). Works on both sides of the
+ * protocol (client and server).
+ */
+export async function computeSharedSecret(keyType, privateKey, rawPublicKey) {
+  const { algorithm } = KEY_TYPES[keyType];
+  const publicKey = await crypto.subtle.importKey(
+    'raw',
+    rawPublicKey,
+    algorithm,
+    false,
+    [],
+  );
+  return new Uint8Array(
+    await crypto.subtle.deriveBits(
+      { ...algorithm, public: publicKey },
+      privateKey,
+      256,
+    ),
+  );
+}
+
+function concat(...arrays) {
+  const result = new Uint8Array(arrays.reduce((x, y) => x + y.length, 0));
+  let pos = 0;
+  for (const array of arrays) {
+    result.set(array, pos);
+    pos += array.length;
+  }
+  return result;
+}
+
+async function sha256TruncatedToAes128(sharedSecret) {
+  // To derive the symmetric key for AES-128-GCM, first hash with
+  // SHA-256, then take 16 bytes resulting in the desired 128 bit key.
+  const hash = new Uint8Array(
+    await crypto.subtle.digest({ name: 'SHA-256' }, sharedSecret),
+  );
+  return crypto.subtle.importKey(
+    'raw',
+    hash.subarray(0, 16),
+    { name: 'AES-GCM', length: 128 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+function hkdfToAes256(label) {
+  return async (sharedSecret, { clientPublicKey, serverPublicKey }) => {
+    const ikm = await crypto.subtle.importKey(
+      'raw',
+      sharedSecret,
+      'HKDF',
+      false,
+      ['deriveKey'],
+    );
+
+    // Binding both public keys to the derived key follows the approach
+    // of HPKE (RFC 9180), where the KEM context becomes part of the input.
+    const info = concat(toUTF8(label), clientPublicKey, serverPublicKey);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info },
+      ikm,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt'],
+    );
+  };
+}
+
+/**
+ * All known cipher suites. Each suite defines:
+ * - keyType: the type of the (ephemeral) client and the server keys
+ * - protocolVersion: to be sent in the "Version" header
+ * - deriveKey: turns the shared secret into the AES-GCM key
+ *
+ * The header layout is identical for all suites:
+ * - algorithm type (1 byte)
+ * - client public key (size depends on the key type)
+ * - initialization vector (12 byte)
+ */
+export const CIPHER_SUITES = new Map([
+  [
+    ECDH_P256_AES_128_GCM,
+    {
+      id: ECDH_P256_AES_128_GCM,
+      name: 'ECDH-P256-AES-128-GCM',
+      keyType: 'p256',
+      protocolVersion: 1,
+      deriveKey: sha256TruncatedToAes128,
+    },
+  ],
+  [
+    ECDH_P256_HKDF_AES_256_GCM,
+    {
+      id: ECDH_P256_HKDF_AES_256_GCM,
+      name: 'ECDH-P256-HKDF-SHA256-AES-256-GCM',
+      keyType: 'p256',
+      protocolVersion: 2,
+      deriveKey: hkdfToAes256('WTM-AC ECDH-P256-HKDF-SHA256-AES-256-GCM'),
+    },
+  ],
+  [
+    X25519_HKDF_AES_256_GCM,
+    {
+      id: X25519_HKDF_AES_256_GCM,
+      name: 'X25519-HKDF-SHA256-AES-256-GCM',
+      keyType: 'x25519',
+      protocolVersion: 2,
+      deriveKey: hkdfToAes256('WTM-AC X25519-HKDF-SHA256-AES-256-GCM'),
+    },
+  ],
+]);
+
+/**
+ * Picks the first suite in the server's list of preferences that the
+ * client supports. "availableKeyTypes" are the key types for which
+ * the server provided a public key.
+ */
+export async function chooseCipherSuite(serverPreferences, availableKeyTypes) {
+  for (const id of serverPreferences) {
+    const suite = CIPHER_SUITES.get(id);
+    if (
+      suite &&
+      availableKeyTypes.includes(suite.keyType) &&
+      (await isKeyTypeSupported(suite.keyType))
+    ) {
+      return suite;
+    }
+  }
+  throw new Error(
+    `No supported cipher suite found (server preferences: ${serverPreferences})`,
+  );
+}
@@ -78,7 +78,7 @@ class PermanentError extends ExtendableError {
 }
 
 /**
- * The message size exceeded the limit of 32K.
+ * The message size exceeded the largest padding bucket (by default, 32K).
  */
 export class TooBigMsgError extends PermanentError {}
 
@@ -93,3 +93,14 @@ export class ClockOutOfSync extends RecoverableError {}
  * needed to communicate with the server.
  */
 export class FailedToFetchPublicKeys extends RecoverableError {}
+
+/**
+ * Thrown when the server's public keys could not be verified: either
+ * the key set was not signed, the signature did not match the pinned
+ * signing key, or the key set was already expired.
+ *
+ * It is classified as recoverable, since the most likely causes
+ * (a man-in-the-middle on the current network, or a stale response
+ * from a cache) are expected to go away eventually.
+ */
+export class InvalidServerPublicKeys extends RecoverableError {}
@@ -12,25 +12,213 @@
 import ServerPublicKeyAccessor from './server-public-key-accessor.js';
 import ProxiedHttp from './proxied-http.js';
 import { sortObjectKeys } from './utils.js';
-import { InvalidMessageError } from './errors.js';
+import {
+  InvalidMessageError,
+  ProtocolError,
+  TooBigMsgError,
+  TransportError,
+} from './errors.js';
 import { TrustedClock } from './trusted-clock.js';
+import Outbox from './outbox.js';
+import InstantClient from './instant-client.js';
+import TransportMetrics from './transport-metrics.js';
+import { PaddingPolicy, splitIntoChunks } from './padding.js';
+import { toUTF8 } from './encoding.js';
+import logger from './logger.js';
+
+const BATCH_ACTION = 'batch';
+
+// Even for small messages, the envelope would eventually exceed the size
+// limit. Failing early gives a clearer error.
+const MAX_MESSAGES_PER_BATCH = 100;
+
+const SECOND = 1000;
+const HOUR = 60 * 60 * SECOND;
 
 export default class AnonymousCommunication {
-  constructor({ config, connectDatabase }) {
+  /**
+   * Options:
+   * - outbox: if enabled, messages that failed with a recoverable error
+   *   will be persisted and sent later (see outbox.js). Either pass "true",
+   *   or an object to overwrite the defaults (e.g. { maxAge }).
+   * - padding: options for the padding policy (e.g. { buckets, chunking });
+   *   see padding.js
+   */
+  constructor({ config, connectDatabase, outbox = false, padding = {} }) {
     this.cacheDatabase = connectDatabase('cache');
+    this.trustedClock = new TrustedClock({
+      database: this.cacheDatabase,
+      resync: () => this.serverPublicKeyAccessor.resyncClock(),
+    });
     this.serverPublicKeyAccessor = new ServerPublicKeyAccessor({
       config,
       database: this.cacheDatabase,
+      trustedClock: this.trustedClock,
     });
     this.config = config;
     if (!config.CHANNEL) {
       throw new Error('CHANNEL is missing on the config object');
     }
-    this.proxiedHttp = new ProxiedHttp(config, this.serverPublicKeyAccessor);
-    this.trustedClock = new TrustedClock();
+    this.paddingPolicy = new PaddingPolicy(padding);
+    this.metrics = new TransportMetrics();
+    this.proxiedHttp = new ProxiedHttp(
+      config,
+      this.serverPublicKeyAccessor,
+      this.trustedClock,
+      { paddingPolicy: this.paddingPolicy, metrics: this.metrics },
+    );
+
+    this.instantClient = new InstantClient({
+      sendInstant: (request) => this.sendInstant(request),
+    });
+
+    if (outbox) {
+      this.outbox = new Outbox({
+        ...(outbox === true ? {} : outbox),
+        database: connectDatabase('outbox'),
+        send: (body) => this._sendBody(body),
+      });
+
+      // there could be pending messages from a previous session
+      this.outbox.flushInBackground();
+    }
   }
 
+  /**
+   * Sends a fire-and-forget message.
+   *
+   * If the outbox is enabled, recoverable errors will not be thrown.
+   * Instead, the message will be queued and the function resolves
+   * with a "202 Accepted" response.
+   */
   async send(msg) {
+    await this.trustedClock.resyncIfOutOfSync();
+    const body = JSON.stringify(this._prepareMessage(msg));
+    if (!this.outbox) {
+      return this._sendBody(body);
+    }
+
+    let response;
+    try {
+      response = await this._sendBody(body);
+    } catch (e) {
+      if (!e.isRecoverableError) {
+        throw e;
+      }
+      try {
+        await this.outbox.add(body);
+      } catch (e2) {
+        logger.error('Failed to queue message in the outbox', e2);
+        throw e;
+      }
+      logger.info('Failed to send message. It will be retried later.', e);
+      return new Response('{}', { status: 202 });
+    }
+
+    // since it worked, this is a good time to send queued messages
+    this.outbox.flushInBackground();
+    return response;
+  }
+
+  /**
+   * Returns the size class of the message (see PaddingPolicy). It can be
+   * used to find out in advance whether a message is too big to be sent
+   * (i.e. "fits" is false), so the caller can split it.
+   */
+  getSizeClass(msg) {
+    const body = JSON.stringify(this._prepareMessage(msg));
+    return this.paddingPolicy.getSizeClass(toUTF8(body));
+  }
+
+  async _sendBody(body) {
+    try {
+      return await this.proxiedHttp.send({ body });
+    } catch (e) {
+      if (!(e instanceof TooBigMsgError) || !this.paddingPolicy.chunking) {
+        throw e;
+      }
+    }
+
+    const chunks = splitIntoChunks(toUTF8(body), this.paddingPolicy);
+    logger.info(`Message is too big. Sending it in ${chunks.length} chunks.`);
+    let response;
+    for (const chunk of chunks) {
+      response = await this.proxiedHttp.send({ body: chunk });
+      if (!response.ok) {
+        break;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Sends multiple independent messages in one request. Compared to
+   * calling "send" for each message, the costs of the key exchange and
+   * of the padding have to be paid only once.
+   *
+   * Warning: the server will learn that all messages in the batch were
+   * sent by the same client. Only batch messages if it is acceptable
+   * that they can be linked to each other.
+   *
+   * Returns the status of each message (in the order of the input).
+   * Note that the batch as a whole can still fail (e.g. if the envelope
+   * exceeds the size limit, or if the network is down); in that case,
+   * none of the messages have been delivered.
+   */
+  async sendBatch(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new InvalidMessageError('Input must be a non-empty array');
+    }
+    if (messages.length > MAX_MESSAGES_PER_BATCH) {
+      throw new InvalidMessageError(
+        `Too many messages in one batch (limit: ${MAX_MESSAGES_PER_BATCH})`,
+      );
+    }
+    await this.trustedClock.resyncIfOutOfSync();
+    const envelope = {
+      action: BATCH_ACTION,
+      messages: messages.map((msg) => this._prepareMessage(msg)),
+    };
+    const response = await this.proxiedHttp.send({
+      body: JSON.stringify(envelope),
+    });
+    if (!response.ok) {
+      if (response.status === 429 || response.status >= 500) {
+        throw new TransportError(
+          `Failed to send batch (status=${response.status})`,
+        );
+      }
+      throw new ProtocolError(`Batch was rejected (status=${response.status})`);
+    }
+
+    let results;
+    try {
+      ({ results } = await response.json());
+    } catch (e) {
+      throw new ProtocolError('Failed to parse the batch response', {
+        cause: e,
+      });
+    }
+    if (!Array.isArray(results) || results.length !== messages.length) {
+      throw new ProtocolError(
+        'The batch response does not match the messages that were sent',
+      );
+    }
+    return results.map((result) => {
+      if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        throw new ProtocolError(
+          `Unexpected entry in the batch response: ${JSON.stringify(result)}`,
+        );
+      }
+      const { status } = result;
+      return {
+        ok: Number.isInteger(status) && status >= 200 && status < 300,
+        status,
+      };
+    });
+  }
+
+  _prepareMessage(msg) {
     if (!msg || typeof msg !== 'object') {
       throw new InvalidMessageError('Input message must be an object');
     }
@@ -51,12 +239,23 @@ export default class AnonymousCommunication {
       ts,
       ...msg,
     };
-    return this.proxiedHttp.send({
-      body: JSON.stringify(sortObjectKeys(fullMessage)),
-    });
+    return sortObjectKeys(fullMessage);
   }
 
-  async sendInstant({ action, path = '', payload = '', method = 'POST' }) {
+  /**
+   * Sends a message and returns the response of the server. Prefer
+   * "instantClient", which validates the request and decodes the response
+   * for known endpoints (see instant-client.js).
+   *
+   * The optional "signal" (AbortSignal) allows to cancel the request.
+   */
+  async sendInstant({
+    action,
+    path = '',
+    payload = '',
+    method = 'POST',
+    signal,
+  }) {
     if (!action) {
       throw new InvalidMessageError('Mandatory field "action" is missing');
     }
@@ -71,6 +270,93 @@ export default class AnonymousCommunication {
     }
     return this.proxiedHttp.send({
       body: JSON.stringify({ action, path, payload, method }),
+      signal,
     });
   }
+
+  /**
+   * Stops all background activities (e.g. the timers of the outbox).
+   * Queued messages are persisted and will be sent after the next start.
+   */
+  unload() {
+    this.outbox?.unload();
+  }
+
+  async getStats() {
+    return {
+      transport: this.metrics.getStats(),
+      keys: this.serverPublicKeyAccessor.getStats(),
+      proxies: this.proxiedHttp.proxySelector.getStats(),
+      clock: this.trustedClock.checkTime(),
+      outbox: this.outbox ? await this.outbox.getStats() : null,
+    };
+  }
+
+  /**
+   * Reports to the self-checks of the reporting package. The caller has to
+   * provide the SelfCheck instance; for instance, to include the
+   * communication in its report, reporting calls
+   * "communication.selfChecks(check.for('communication'))".
+   */
+  async selfChecks(check, { now = Date.now() } = {}) {
+    if (!check) {
+      throw new Error('Missing "check" (expected a SelfCheck instance)');
+    }
+    const stats = await this.getStats();
+
+    const { transport } = stats;
+    const failures = this.metrics.totalFailures;
+    const transportCheck = check.for('transport');
+    if (transport.sends === 0 && failures === 0) {
+      transportCheck.skip('No messages sent yet');
+    } else if (transport.delivered === 0) {
+      transportCheck.fail('No messages could be delivered', transport);
+    } else if (failures / (failures + transport.delivered) > 0.2) {
+      transportCheck.warn('Detected high error rates', transport);
+    } else {
+      transportCheck.pass('Messages are delivered', transport);
+    }
+    if (transport.proxyLatency.p90 > 10 * SECOND) {
+      transportCheck.warn(
+        'Proxies are slow to respond',
+        transport.proxyLatency,
+      );
+    }
+
+    const { keys } = stats;
+    const keysCheck = check.for('keys');
+    if (
+      keys.lastFetchFailedAt !== null &&
+      (keys.lastFetchedAt === null ||
+        keys.lastFetchFailedAt > keys.lastFetchedAt)
+    ) {
+      keysCheck.warn('Failed to fetch the server public keys', keys);
+    } else if (keys.lastFetchedAt !== null) {
+      keysCheck.pass('Server public keys fetched', {
+        ...keys,
+        ageInMs: now - keys.lastFetchedAt,
+      });
+    } else {
+      keysCheck.skip('Server public keys not fetched in this session', keys);
+    }
+
+    if (stats.clock.inSync) {
+      check.for('clock').pass('System clock is in sync', stats.clock);
+    } else {
+      check.for('clock').fail('System clock is out of sync', stats.clock);
+    }
+
+    if (stats.proxies.excluded >= stats.proxies.numProxies) {
+      check.for('proxies').warn('All proxies are marked as unhealthy');
+    }
+
+    if (stats.outbox && stats.outbox.oldestCreatedAt !== null) {
+      if (now - stats.outbox.oldestCreatedAt > HOUR) {
+        check.for('outbox').warn('Messages are stuck in the outbox', {
+          outbox: stats.outbox,
+        });
+      }
+    }
+    return check;
+  }
 }
@@ -0,0 +1,214 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import {
+  InvalidMessageError,
+  ProtocolError,
+  TransportError,
+} from './errors.js';
+
+const SECOND = 1000;
+
+function isSha1Hex(value) {
+  return typeof value === 'string' && /^[0-9a-f]{40}$/.test(value);
+}
+
+function isSha1HexPrefix(value) {
+  return typeof value === 'string' && /^[0-9a-f]{1,40}$/.test(value);
+}
+
+function isQuorumBucket(value) {
+  return Number.isInteger(value) && value >= 0 && value < 256;
+}
+
+/**
+ * Schemas of the endpoints that can be reached with instant messages.
+ * Each endpoint defines:
+ * - action, path, method: passed to "sendInstant"
+ * - request: validates the parameters and builds the payload
+ *   (throws if the parameters are invalid)
+ * - response: decodes the (already parsed) JSON response
+ *   (throws if the response is malformed)
+ */
+export const ENDPOINTS = {
+  checkQuorum: {
+    action: 'safe-browsing-quorum',
+    path: 'checkquorum',
+    method: 'GET',
+    request({ hash }) {
+      if (!isSha1Hex(hash)) {
+        throw new Error('"hash" must be a SHA-1 hash in hex');
+      }
+      return `?hu=${hash}`;
+    },
+    response({ result }) {
+      if (typeof result !== 'boolean') {
+        throw new Error(`Unexpected result: ${result}`);
+      }
+      return result;
+    },
+  },
+  // k-anonymous variant of "checkQuorum": the server only learns a prefix
+  // of the hash and responds with the counts of all hashes that share it.
+  checkQuorumByPrefix: {
+    action: 'safe-browsing-quorum',
+    path: 'checkquorum',
+    method: 'GET',
+    request({ prefix }) {
+      if (!isSha1HexPrefix(prefix)) {
+        throw new Error('"prefix" must be a prefix of a SHA-1 hash in hex');
+      }
+      return `?hp=${prefix}`;
+    },
+    response({ threshold, counts }) {
+      if (!Number.isInteger(threshold) || threshold < 1) {
+        throw new Error(`Unexpected threshold: ${threshold}`);
+      }
+      if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+        throw new Error('Missing counts');
+      }
+      for (const [hash, count] of Object.entries(counts)) {
+        if (!isSha1Hex(hash) || !Number.isInteger(count) || count < 0) {
+          throw new Error(`Unexpected count: ${hash}=${count}`);
+        }
+      }
+      return { threshold, counts };
+    },
+  },
+  incrementQuorum: {
+    action: 'safe-browsing-quorum',
+    path: 'incrquorum',
+    method: 'GET',
+    request({ hash, bucket }) {
+      if (!isSha1Hex(hash)) {
+        throw new Error('"hash" must be a SHA-1 hash in hex');
+      }
+      if (!isQuorumBucket(bucket)) {
+        throw new Error('"bucket" must be an integer in [0, 255]');
+      }
+      return `?hu=${hash}&oc=${bucket}`;
+    },
+    // the content of the response is not relevant
+    response() {},
+  },
+};
+
+// Similar to AbortSignal.any, which is not available on all platforms.
+// Returns the combined signal and a function to detach the listeners
+// (must be called once the request is done; otherwise, long-lived
+// signals will accumulate listeners).
+function combineSignals(signals) {
+  const controller = new AbortController();
+  const cleanups = [];
+  const cleanup = () => {
+    cleanups.forEach((x) => x());
+    cleanups.length = 0;
+  };
+  const abort = (signal) => {
+    controller.abort(signal.reason);
+    cleanup();
+  };
+  for (const signal of signals) {
+    if (signal.aborted) {
+      abort(signal);
+      break;
+    }
+    const onAbort = () => abort(signal);
+    signal.addEventListener('abort', onAbort);
+    cleanups.push(() => signal.removeEventListener('abort', onAbort));
+  }
+  return { signal: controller.signal, cleanup };
+}
+
+/**
+ * Typed layer on top of instant messages (see "sendInstant"). Instead of
+ * building payloads and parsing responses by hand, callers refer to an
+ * endpoint by name and get the decoded result:
+ *
+ *   const result = await client.call('checkQuorum', { hash });
+ *
+ * Failures are mapped to the classes in errors.js:
+ * - InvalidMessageError: the parameters do not match the schema
+ * - TransportError: network errors, timeouts, 429 or 5xx responses
+ *   (recoverable, it is safe to retry later)
+ * - ProtocolError: other non-2xx responses, or malformed responses
+ */
+export default class InstantClient {
+  constructor({ sendInstant, endpoints = ENDPOINTS, timeout = 30 * SECOND }) {
+    this.sendInstant = sendInstant;
+    this.endpoints = endpoints;
+    this.timeout = timeout;
+  }
+
+  async call(name, params = {}, { signal, timeout = this.timeout } = {}) {
+    const endpoint = this.endpoints[name];
+    if (!endpoint) {
+      throw new InvalidMessageError(`Unknown endpoint: ${name}`);
+    }
+
+    let payload;
+    try {
+      payload = endpoint.request(params);
+    } catch (e) {
+      throw new InvalidMessageError(`Invalid parameters for "${name}"`, {
+        cause: e,
+      });
+    }
+
+    const timeoutController = new AbortController();
+    const timer = setTimeout(() => {
+      timeoutController.abort(new Error(`Timeout after ${timeout} ms`));
+    }, timeout);
+    const signals = [timeoutController.signal];
+    if (signal) {
+      signals.push(signal);
+    }
+
+    const combined = combineSignals(signals);
+    let response;
+    try {
+      response = await this.sendInstant({
+        action: endpoint.action,
+        path: endpoint.path,
+        payload,
+        method: endpoint.method,
+        signal: combined.signal,
+      });
+    } catch (e) {
+      if (timeoutController.signal.aborted) {
+        throw new TransportError(`Request to "${name}" timed out`, {
+          cause: e,
+        });
+      }
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      combined.cleanup();
+    }
+
+    if (!response.ok) {
+      const message = `Request to "${name}" failed (status=${response.status})`;
+      if (response.status === 429 || response.status >= 500) {
+        throw new TransportError(message);
+      }
+      throw new ProtocolError(message);
+    }
+
+    try {
+      const text = await response.text();
+      return endpoint.response(text ? JSON.parse(text) : {});
+    } catch (e) {
+      throw new ProtocolError(`Unexpected response from "${name}"`, {
+        cause: e,
+      });
+    }
+  }
+}
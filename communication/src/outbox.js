@@ -0,0 +1,237 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import logger from './logger.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Durable queue for messages that could not be sent because of
+ * a recoverable error (e.g. the network was down). The messages are
+ * persisted and retried with exponential backoff (with jitter to avoid
+ * that clients synchronize after an outage).
+ *
+ * Since the service worker can be stopped at any time, timers are only
+ * a best-effort mechanism. The outbox should also be flushed when the
+ * service worker starts, and whenever there is evidence that the network
+ * is working again (i.e. after a message was successfully sent).
+ *
+ * Messages are stored in their final (serialized) form. That is important,
+ * since fields like the timestamp must reflect the time when the message was
+ * created, not the time when it was eventually delivered.
+ */
+export default class Outbox {
+  constructor({
+    database,
+    send,
+    storageKey = 'outbox',
+    maxAge = 24 * HOUR,
+    maxEntries = 100,
+    initialDelay = 30 * SECOND,
+    maxDelay = HOUR,
+  }) {
+    this.database = database;
+    this.send = send;
+    this.storageKey = storageKey;
+    this.maxAge = maxAge;
+    this.maxEntries = maxEntries;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+
+    this._lock = Promise.resolve();
+    this._pendingFlush = null;
+    this._timer = null;
+    this._nextId = 1;
+
+    // only for the current session (i.e. not persisted)
+    this._stats = {
+      queued: 0,
+      sent: 0,
+      retried: 0,
+      expired: 0,
+      dropped: 0,
+    };
+  }
+
+  /**
+   * Adds a serialized message to the queue.
+   */
+  async add(body, { now = Date.now() } = {}) {
+    await this._withEntries(async (entries) => {
+      entries.push({
+        id: `${now}-${this._nextId++}`,
+        body,
+        createdAt: now,
+        attempts: 1,
+        retryAt: now + this._computeDelay(1),
+      });
+      this._stats.queued += 1;
+      while (entries.length > this.maxEntries) {
+        logger.warn('Outbox is full. Dropping the oldest message.');
+        entries.shift();
+        this._stats.dropped += 1;
+      }
+      return entries;
+    });
+    this._scheduleFlush();
+  }
+
+  /**
+   * Tries to send all messages that are ready. Concurrent calls will be
+   * merged into one operation.
+   */
+  async flush({ now = Date.now() } = {}) {
+    if (!this._pendingFlush) {
+      this._pendingFlush = this._flush(now).finally(() => {
+        this._pendingFlush = null;
+        this._scheduleFlush();
+      });
+    }
+    return this._pendingFlush;
+  }
+
+  flushInBackground() {
+    this.flush().catch((e) => {
+      logger.warn('Failed to flush the outbox', e);
+    });
+  }
+
+  async _flush(now) {
+    const entries = await this._loadEntries();
+    for (const entry of entries) {
+      if (now >= entry.createdAt + this.maxAge) {
+        logger.info('Dropping expired message from the outbox:', entry.id);
+        await this._removeEntry(entry.id);
+        this._stats.expired += 1;
+        continue;
+      }
+      if (now < entry.retryAt) {
+        continue;
+      }
+
+      try {
+        await this.send(entry.body);
+        await this._removeEntry(entry.id);
+        this._stats.sent += 1;
+      } catch (e) {
+        if (!e.isRecoverableError) {
+          logger.warn('Dropping message from the outbox:', entry.id, e);
+          await this._removeEntry(entry.id);
+          this._stats.dropped += 1;
+          continue;
+        }
+
+        // Most likely, the other messages would fail for the same reason.
+        // Thus, stop here and let all ready messages wait for the next
+        // attempt (otherwise, they would trigger the next flush right away).
+        logger.info('Failed to send message from the outbox:', entry.id, e);
+        await this._withEntries(async (current) => {
+          const match = current.find((x) => x.id === entry.id);
+          if (match) {
+            match.attempts += 1;
+            match.retryAt = now + this._computeDelay(match.attempts);
+            for (const other of current) {
+              if (other.retryAt <= now) {
+                other.retryAt = match.retryAt;
+              }
+            }
+          }
+          return current;
+        });
+        this._stats.retried += 1;
+        break;
+      }
+    }
+  }
+
+  _computeDelay(attempts) {
+    const delay = Math.min(
+      this.maxDelay,
+      this.initialDelay * 2 ** Math.max(attempts - 1, 0),
+    );
+    return Math.round(delay * (0.5 + Math.random()));
+  }
+
+  _scheduleFlush() {
+    this._loadEntries()
+      .then((entries) => {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (entries.length > 0) {
+          const nextRetryAt = Math.min(...entries.map((x) => x.retryAt));
+          const delay = Math.max(nextRetryAt - Date.now(), SECOND);
+          this._timer = setTimeout(() => {
+            this._timer = null;
+            this.flushInBackground();
+          }, delay);
+        }
+      })
+      .catch((e) => {
+        logger.warn('Failed to schedule the next flush of the outbox', e);
+      });
+  }
+
+  unload() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  async getStats({ now = Date.now() } = {}) {
+    const entries = await this._loadEntries();
+    return {
+      ...this._stats,
+      size: entries.length,
+      ready: entries.filter((x) => now >= x.retryAt).length,
+      oldestCreatedAt:
+        entries.length > 0
+          ? Math.min(...entries.map((x) => x.createdAt))
+          : null,
+      nextRetryAt:
+        entries.length > 0 ? Math.min(...entries.map((x) => x.retryAt)) : null,
+    };
+  }
+
+  async _removeEntry(id) {
+    await this._withEntries(async (entries) =>
+      entries.filter((x) => x.id !== id),
+    );
+  }
+
+  async _loadEntries() {
+    await this._lock;
+    return this._readEntries();
+  }
+
+  async _readEntries() {
+    const entries = await this.database.get(this.storageKey);
+    if (!Array.isArray(entries)) {
+      if (entries !== undefined && entries !== null) {
+        logger.warn('Ignoring corrupted outbox:', entries);
+      }
+      return [];
+    }
+    // copy to avoid side-effects if the database returns live objects
+    return entries.map((x) => ({ ...x }));
+  }
+
+  // Read-modify-write operations must not overlap. Otherwise, messages
+  // could be lost or sent twice.
+  async _withEntries(update) {
+    const result = this._lock.then(async () => {
+      const entries = await update(await this._readEntries());
+      await this.database.set(this.storageKey, entries);
+    });
+    this._lock = result.catch(() => {});
+    return result;
+  }
+}
@@ -13,20 +13,92 @@
 
 import { inflate, deflate } from './zlib.js';
 import { TooBigMsgError } from './errors.js';
+import { toBase64 } from './encoding.js';
 
-// https://graphics.stanford.edu/~seander/bithacks.html#RoundUpPowerOf2
-function nextPow2(_v) {
-  let v = _v | 0;
-  v -= 1;
-  v |= v >> 1;
-  v |= v >> 2;
-  v |= v >> 4;
-  v |= v >> 8;
-  v |= v >> 16;
-  v += 1;
-  return v;
+// The compressed length is stored in the first two bytes.
+export const LENGTH_PREFIX_SIZE = 2;
+
+// Limit of the length encoding (see encodeLength).
+const MAX_SUPPORTED_SIZE = 1 << 15;
+
+// Upper bound for the size of a chunk envelope without the data.
+const CHUNK_ENVELOPE_RESERVE = 256;
+
+function powersOfTwo(minSize, maxSize) {
+  const buckets = [];
+  for (let size = minSize; size <= maxSize; size *= 2) {
+    buckets.push(size);
+  }
+  return buckets;
 }
 
+/**
+ * Defines the sizes to which messages are padded. Since messages can
+ * only be observed in one of the size classes ("buckets"), an observer
+ * learns little about the content from the length of the ciphertext.
+ *
+ * Options:
+ * - buckets: the list of allowed sizes in bytes (e.g. [1024, 4096, 32768]).
+ *   If not set, the buckets are the powers of two in [minSize, maxSize].
+ * - minSize/maxSize: only used if "buckets" are not set explicitly
+ * - chunking: if enabled, messages that exceed the largest bucket are not
+ *   rejected, but sent in multiple chunks (see splitIntoChunks)
+ */
+export class PaddingPolicy {
+  constructor({
+    buckets,
+    minSize = 1 << 10,
+    maxSize = MAX_SUPPORTED_SIZE,
+    chunking = false,
+  } = {}) {
+    this.buckets = buckets ? [...buckets] : powersOfTwo(minSize, maxSize);
+    if (this.buckets.length === 0) {
+      throw new Error('Padding policy without buckets');
+    }
+    this.buckets.forEach((size, i) => {
+      if (
+        !Number.isInteger(size) ||
+        size <= LENGTH_PREFIX_SIZE + CHUNK_ENVELOPE_RESERVE ||
+        size > MAX_SUPPORTED_SIZE ||
+        (i > 0 && size <= this.buckets[i - 1])
+      ) {
+        throw new Error(`Invalid padding buckets: ${this.buckets}`);
+      }
+    });
+    this.chunking = chunking;
+  }
+
+  get maxSize() {
+    return this.buckets[this.buckets.length - 1];
+  }
+
+  /**
+   * Returns the size class of a message (before compression), so callers
+   * can find out in advance if a message will be rejected as too big:
+   * - compressedSize: the size of the message after compression
+   * - paddedSize: the size after padding (or null if it does not fit)
+   * - overhead: the number of bytes added by the padding
+   * - fits: whether the message can be sent without chunking
+   */
+  getSizeClass(message) {
+    return this._getSizeClass(deflate(message).length);
+  }
+
+  _getSizeClass(compressedSize) {
+    const paddedSize =
+      this.buckets.find((x) => x >= compressedSize + LENGTH_PREFIX_SIZE) ??
+      null;
+    return {
+      compressedSize,
+      paddedSize,
+      overhead: paddedSize === null ? null : paddedSize - compressedSize,
+      fits: paddedSize !== null,
+    };
+  }
+}
+
+export const DEFAULT_PADDING_POLICY = new PaddingPolicy();
+
 function encodeLength(length) {
   // We could also encode length = 32767 = (1 << 15) - 1,
   // but since the message overhead is 2 bytes, in that case
@@ -45,9 +117,14 @@ function decodeLength(data) {
   return data & ((1 << 15) - 1);
 }
 
-export function encodeWithPadding(message) {
+export function encodeWithPadding(message, policy = DEFAULT_PADDING_POLICY) {
   const compressed = deflate(message);
-  const paddedSize = Math.max(1 << 10, nextPow2(2 + compressed.length));
+  const { paddedSize } = policy._getSizeClass(compressed.length);
+  if (paddedSize === null) {
+    throw new TooBigMsgError(
+      `Message is too big (${compressed.length} bytes after compression, limit: ${policy.maxSize})`,
+    );
+  }
   const data = new Uint8Array(paddedSize);
   new DataView(data.buffer).setUint16(0, encodeLength(compressed.length));
   data.set(compressed, 2);
@@ -58,3 +135,47 @@ export function decodeWithPadding(data) {
   const compressedLength = decodeLength(new DataView(data.buffer).getUint16());
   return inflate(data.slice(2, 2 + compressedLength));
 }
+
+/**
+ * Splits a message that exceeds the largest bucket into chunks, which
+ * can be sent as independent messages:
+ * {
+ *   action: 'chunk',
+ *   id: <random ID, identical for all chunks of the message>,
+ *   seq: <index of the chunk: 0, 1, ..., total - 1>,
+ *   total: <number of chunks>,
+ *   data: <base64 encoded slice of the compressed message>
+ * }
+ *
+ * To restore the message, the server has to concatenate the data of
+ * all chunks and decompress it. Note that the server will learn that
+ * the chunks belong together, but not more than from a single message.
+ *
+ * Returns the (serialized) chunks.
+ */
+export function splitIntoChunks(message, policy = DEFAULT_PADDING_POLICY) {
+  const compressed = deflate(message);
+
+  // base64 needs 4 bytes for every 3 bytes of data. Since the data
+  // is already compressed, compressing it again will not reduce it
+  // below that, but it will not grow it noticeably either.
+  const chunkSize = Math.floor(
+    ((policy.maxSize - LENGTH_PREFIX_SIZE - CHUNK_ENVELOPE_RESERVE) * 3) / 4,
+  );
+  const id = toBase64(crypto.getRandomValues(new Uint8Array(12)));
+  const total = Math.ceil(compressed.length / chunkSize);
+  const chunks = [];
+  for (let seq = 0; seq < total; seq += 1) {
+    const data = compressed.subarray(seq * chunkSize, (seq + 1) * chunkSize);
+    chunks.push(
+      JSON.stringify({
+        action: 'chunk',
+        id,
+        seq,
+        total,
+        data: toBase64(data),
+      }),
+    );
+  }
+  return chunks;
+}
@@ -9,26 +9,18 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0
  */
 
-import { encodeWithPadding } from './padding.js';
+import { DEFAULT_PADDING_POLICY, encodeWithPadding } from './padding.js';
 import { fromBase64, toBase64, fromUTF8, toUTF8 } from './encoding.js';
 import { inflate } from './zlib.js';
 import { ProtocolError, TransportError } from './errors.js';
-
-const ANONYMOUS_COMMUNICATION_PROTOCOL_VERSION = 1;
-const ANONYMOUS_COMMUNICATION_ECDH_P256_AES_128_GCM = 0xea;
-
-async function exportKey(key) {
-  return new Uint8Array(await crypto.subtle.exportKey('raw', key));
-}
-
-async function sha256(data) {
-  return new Uint8Array(await crypto.subtle.digest({ name: 'SHA-256' }, data));
-}
-
-function randomInt() {
-  // Consider using true random here
-  return Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
-}
+import ProxySelector from './proxy-selector.js';
+import TransportMetrics from './transport-metrics.js';
+import {
+  chooseCipherSuite,
+  computeSharedSecret,
+  generateKeyPair,
+} from './cipher-suites.js';
+import logger from './logger.js';
 
 /**
  * Responsible for sending WhoTracksMe message to the servers.
@@ -59,9 +51,12 @@ function randomInt() {
  * encrypted and techniques to defend against statistical attacks (guessing messages
  * based on their length) should be applied as well.
  *
- * In our current implementation, we are using AES-128-GCM with a non-iteractive
+ * In our current implementation, we are using AES-GCM with a non-iteractive
  * Diffie-Hellman key exchange (server keys being rotated once a key). In addition,
  * payloads are padded to power-of-2 buckets to defend against traffic analysis.
+ * The exact construction (the "cipher suite") is negotiated: the server lists
+ * the suites that it accepts, and the client picks the first one that it
+ * supports (see cipher-suites.js).
  *
  * Notes:
  * - It is important to stress that the assumption here is that messages are
@@ -74,54 +69,91 @@ function randomInt() {
  *   trusted-party, Ghostery will not log the IP of the sender.
  */
 export default class ProxiedHttp {
-  constructor(config, serverPublicKeyAccessor) {
+  constructor(
+    config,
+    serverPublicKeyAccessor,
+    trustedClock,
+    { paddingPolicy = DEFAULT_PADDING_POLICY, metrics } = {},
+  ) {
     this.viaProxyEndpointTemplate = config.COLLECTOR_PROXY_URL;
+    this.proxySelector = new ProxySelector({
+      urlTemplate: this.viaProxyEndpointTemplate,
+      minProxy: config.COLLECTOR_PROXY_MIN,
+      maxProxy: config.COLLECTOR_PROXY_MAX,
+    });
     this.serverPublicKeyAccessor = serverPublicKeyAccessor;
+    this.trustedClock = trustedClock;
+    this.paddingPolicy = paddingPolicy;
+    this.metrics = metrics || new TransportMetrics();
+  }
+
+  async send({ body, signal }) {
+    try {
+      const response = await this._send({ body, signal });
+      this.metrics.recordDelivery();
+      return response;
+    } catch (e) {
+      this.metrics.recordFailure(e);
+      throw e;
+    }
   }
 
-  async send({ body }) {
-    const { ciphertext, iv, secret, clientPublicKey, serverPublicKeyDate } =
-      await this.encrypt(body);
+  async _send({ body, signal }) {
+    const {
+      ciphertext,
+      iv,
+      secret,
+      suite,
+      clientPublicKey,
+      serverPublicKeyDate,
+    } = await this.encrypt(body);
 
     // layout:
     // * algorithm type (1 byte)
-    // * client ECDH public key (65 bytes; the size of the key after export)
+    // * client public key (the size of the key after export depends
+    //   on the cipher suite; e.g. 65 bytes for ECDH P-256)
     // * initialization vector (12 byte)
-    const encryptionHeader = new Uint8Array(1 + 65 + 12);
-    encryptionHeader[0] = ANONYMOUS_COMMUNICATION_ECDH_P256_AES_128_GCM;
+    const encryptionHeader = new Uint8Array(1 + clientPublicKey.length + 12);
+    encryptionHeader[0] = suite.id;
     encryptionHeader.set(clientPublicKey, 1);
-    encryptionHeader.set(iv, 1 + 65);
+    encryptionHeader.set(iv, 1 + clientPublicKey.length);
 
     const headers = {
       'Content-Type': 'application/octet-stream',
-      Version: ANONYMOUS_COMMUNICATION_PROTOCOL_VERSION.toString(),
+      Version: suite.protocolVersion.toString(),
       Encryption: toBase64(encryptionHeader),
       'Key-Date': serverPublicKeyDate,
     };
 
-    const proxyUrl = this._chooseRandomProxyUrl();
+    const proxy = this._chooseProxy();
+    let requestStartedAt = Date.now();
     let response;
     try {
-      response = await fetch(proxyUrl, {
-        method: 'POST',
+      response = await this._sendViaProxy(proxy, {
         headers,
-        credentials: 'omit',
-        cache: 'no-store',
-        redirect: 'manual',
-        body: ciphertext,
+        ciphertext,
+        signal,
       });
     } catch (e) {
-      throw new TransportError(`Failed to send data to '${proxyUrl}'`, {
-        cause: e,
-      });
-    }
-    if (!response.ok) {
-      if (response.status === 429 || response.status >= 500) {
-        throw new TransportError(
-          `Failed to send data (${response.statusText})`,
-        );
+      // note: if the caller aborted the request, retrying would be pointless
+      if (!(e instanceof TransportError) || signal?.aborted) {
+        throw e;
       }
-      throw new Error(`Failed to send data (${response.statusText})`);
+
+      // Retry once through a different proxy. Note that the identical
+      // ciphertext is sent again. If the first attempt reached the server
+      // after all, the server will be able to detect the duplicate.
+      const fallbackProxy = this._chooseProxy({ exclude: [proxy.proxyNum] });
+      logger.info(
+        `Failed to send through proxy #${proxy.proxyNum}. Retrying with proxy #${fallbackProxy.proxyNum}...`,
+        e,
+      );
+      requestStartedAt = Date.now();
+      response = await this._sendViaProxy(fallbackProxy, {
+        headers,
+        ciphertext,
+        signal,
+      });
     }
 
     let data;
@@ -158,77 +190,103 @@ export default class ProxiedHttp {
       }
       data = inflate(data.subarray(4, 4 + size));
     }
-    const { status, body: body_ } = JSON.parse(fromUTF8(data));
+    const { status, body: body_, ts } = JSON.parse(fromUTF8(data));
+
+    // Only encrypted responses are authenticated. Otherwise, the proxy
+    // could have modified the timestamp.
+    if (serverIV && ts !== undefined && this.trustedClock) {
+      this.trustedClock.updateFromServerTime({
+        serverTime: ts,
+        requestStartedAt,
+      });
+    }
     return new Response(body_, { status });
   }
 
-  _chooseRandomProxyUrl() {
-    const MIN_PROXY_NUM = 1;
-    const MAX_PROXY_NUM = 100;
-    const NUM_PROXIES = MAX_PROXY_NUM - MIN_PROXY_NUM + 1;
-    const proxyNum = (randomInt() % NUM_PROXIES) + MIN_PROXY_NUM;
-    return this.viaProxyEndpointTemplate.replace('*', proxyNum);
+  async _sendViaProxy({ proxyNum, url }, { headers, ciphertext, signal }) {
+    let response;
+    const startedAt = Date.now();
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        credentials: 'omit',
+        cache: 'no-store',
+        redirect: 'manual',
+        body: ciphertext,
+        signal,
+      });
+    } catch (e) {
+      // Cancellations (by the caller or by a timeout) tell nothing about
+      // the health of the proxy. Also, retrying would be pointless.
+      if (signal?.aborted || e?.name === 'AbortError') {
+        throw e;
+      }
+      this.proxySelector.reportFailure(proxyNum);
+      throw new TransportError(`Failed to send data to '${url}'`, {
+        cause: e,
+      });
+    }
+    this.metrics.recordProxyLatency(Date.now() - startedAt);
+    if (!response.ok) {
+      if (response.status === 429 || response.status >= 500) {
+        this.proxySelector.reportFailure(proxyNum);
+        throw new TransportError(
+          `Failed to send data (${response.statusText})`,
+        );
+      }
+      throw new Error(`Failed to send data (${response.statusText})`);
+    }
+    this.proxySelector.reportSuccess(proxyNum);
+    return response;
   }
 
-  async generateClientECDHKey() {
-    const { publicKey, privateKey } = await crypto.subtle.generateKey(
-      { name: 'ECDH', namedCurve: 'P-256' },
-      true,
-      ['deriveKey'],
-    );
-    return {
-      publicKey: await exportKey(publicKey),
-      privateKey,
-    };
+  _chooseProxy({ exclude } = {}) {
+    return this.proxySelector.choose({ exclude });
   }
 
   async negotiateSecret() {
     // Setup:
-    // 1) get the server's public key for today
-    // 2) compute a new public/private key pair
-    const [serverKey, clientKeys] = await Promise.all([
-      this.serverPublicKeyAccessor.getKey(),
-      this.generateClientECDHKey(),
-    ]);
-    const { publicKey: serverPublicKey, date: serverPublicKeyDate } = serverKey;
+    // 1) get the server's public keys for today
+    // 2) pick the cipher suite
+    // 3) compute a new public/private key pair (of the suite's key type)
+    const {
+      date: serverPublicKeyDate,
+      keys,
+      cipherSuites,
+    } = await this.serverPublicKeyAccessor.getKeys();
+    const suite = await chooseCipherSuite(cipherSuites, Object.keys(keys));
     const { publicKey: clientPublicKey, privateKey: clientPrivateKey } =
-      clientKeys;
-
-    // Perform ECDH to get a curve point (on P-256, which is assumed
-    // have an effective security strength of at least 128 bits).
-    // To derive the symmetric key for AES-128-GCM, first hash with
-    // SHA-256, then take 16 bytes resulting in the desired 128 bit key.
-    const derivedKey = await crypto.subtle.deriveKey(
-      { name: 'ECDH', namedCurve: 'P-256', public: serverPublicKey },
+      await generateKeyPair(suite.keyType);
+
+    // Perform the Diffie-Hellman key exchange (on P-256 or X25519, which
+    // are assumed to have an effective security strength of at least
+    // 128 bits). Then derive the symmetric key for AES-GCM.
+    const serverPublicKey = keys[suite.keyType].rawPublicKey;
+    const sharedSecret = await computeSharedSecret(
+      suite.keyType,
       clientPrivateKey,
-      { name: 'AES-GCM', length: 256 },
-      true,
-      ['encrypt', 'decrypt'],
+      serverPublicKey,
     );
-    const rawDerived = await exportKey(derivedKey);
-    const raw128bitKey = (await sha256(rawDerived)).subarray(0, 16);
-    const secret = await crypto.subtle.importKey(
-      'raw',
-      raw128bitKey,
-      { name: 'AES-GCM', length: 128 },
-      false,
-      ['encrypt', 'decrypt'],
-    );
-    return { secret, clientPublicKey, serverPublicKeyDate };
+    const secret = await suite.deriveKey(sharedSecret, {
+      clientPublicKey,
+      serverPublicKey,
+    });
+    return { secret, suite, clientPublicKey, serverPublicKeyDate };
   }
 
   /**
    * When sending through proxies, we have to create a secure channel.
    * Like ANONYMOUS_COMMUNICATION, we use an Integrated Encryption Scheme (IES). First, exchange
    * a symmentric key (through ECDH). Then derive a AES key and encrypt
-   * the data with AES-128-GCM.
+   * the data with AES-GCM.
    *
    * In addition, we should take counter-measures against traffic analysis.
-   * To achieve that, payloads are padded to the next power-of-2 bucket size
-   * (with a minimum size of 1K).
+   * To achieve that, payloads are padded to fixed bucket sizes (by default,
+   * the next power-of-2 with a minimum size of 1K; see padding.js).
    */
   async encrypt(plaintext) {
-    const { secret, clientPublicKey, serverPublicKeyDate } =
+    const { secret, suite, clientPublicKey, serverPublicKeyDate } =
       await this.negotiateSecret();
     const iv = crypto.getRandomValues(new Uint8Array(12));
 
@@ -236,7 +294,11 @@ export default class ProxiedHttp {
     const unpaddedPlaintext = toUTF8(
       typeof plaintext === 'string' ? plaintext : JSON.stringify(plaintext),
     );
-    const data = encodeWithPadding(unpaddedPlaintext);
+    const data = encodeWithPadding(unpaddedPlaintext, this.paddingPolicy);
+    this.metrics.recordSend({
+      bytesBeforePadding: unpaddedPlaintext.length,
+      bytesAfterPadding: data.length,
+    });
     const ciphertext = new Uint8Array(
       await crypto.subtle.encrypt(
         { name: 'AES-GCM', iv, tagLength: 128 },
@@ -245,6 +307,13 @@ export default class ProxiedHttp {
       ),
     );
 
-    return { ciphertext, iv, secret, clientPublicKey, serverPublicKeyDate };
+    return {
+      ciphertext,
+      iv,
+      secret,
+      suite,
+      clientPublicKey,
+      serverPublicKeyDate,
+    };
   }
 }
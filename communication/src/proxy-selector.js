@@ -0,0 +1,149 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import logger from './logger.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+function randomInt() {
+  // Consider using true random here
+  return Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
+}
+
+/**
+ * Chooses the proxy for the next request. Proxies are picked uniformly
+ * at random, but proxies that recently failed (network errors, 429, 5xx)
+ * are temporarily excluded. Repeated failures increase the time until
+ * a proxy is considered again.
+ *
+ * The health information is only kept in memory. Losing it when the
+ * service worker gets stopped is not a problem: in the worst case,
+ * a broken proxy will be tried once more.
+ *
+ * The proxy URL is defined by a template (e.g. "https://proxy-*.example.test"),
+ * where "*" gets replaced by the proxy number.
+ */
+export default class ProxySelector {
+  constructor({
+    urlTemplate,
+    minProxy = 1,
+    maxProxy = 100,
+    initialCooldown = MINUTE,
+    maxCooldown = 30 * MINUTE,
+  }) {
+    if (
+      !Number.isInteger(minProxy) ||
+      !Number.isInteger(maxProxy) ||
+      minProxy > maxProxy
+    ) {
+      throw new Error(`Invalid proxy range: [${minProxy}, ${maxProxy}]`);
+    }
+    this.urlTemplate = urlTemplate;
+    if (urlTemplate.includes('*')) {
+      this.minProxy = minProxy;
+      this.maxProxy = maxProxy;
+    } else {
+      // no placeholder -> all requests will go to the same URL
+      this.minProxy = 1;
+      this.maxProxy = 1;
+    }
+    this.initialCooldown = initialCooldown;
+    this.maxCooldown = maxCooldown;
+
+    // proxy number -> { failures, excludedUntil }
+    this._unhealthy = new Map();
+  }
+
+  get numProxies() {
+    return this.maxProxy - this.minProxy + 1;
+  }
+
+  /**
+   * Returns { proxyNum, url }. Proxies listed in "exclude" (by number)
+   * will be avoided if possible.
+   */
+  choose({ exclude = [], now = Date.now() } = {}) {
+    const isAvailable = (proxyNum) =>
+      !exclude.includes(proxyNum) && !this._isExcluded(proxyNum, now);
+
+    // Fast path: most of the time, nearly all proxies are healthy.
+    // Thus, a few random attempts will almost always find a good one.
+    for (let i = 0; i < 5; i += 1) {
+      const proxyNum = this._randomProxyNum();
+      if (isAvailable(proxyNum)) {
+        return this._toResult(proxyNum);
+      }
+    }
+
+    const candidates = [];
+    for (let num = this.minProxy; num <= this.maxProxy; num += 1) {
+      if (isAvailable(num)) {
+        candidates.push(num);
+      }
+    }
+    if (candidates.length > 0) {
+      return this._toResult(candidates[randomInt() % candidates.length]);
+    }
+
+    // There is no healthy proxy left. It is better to try anyway than
+    // to block all traffic (perhaps the local network was down).
+    logger.warn('All proxies are marked as unhealthy. Picking any proxy.');
+    return this._toResult(this._randomProxyNum());
+  }
+
+  reportSuccess(proxyNum) {
+    this._unhealthy.delete(proxyNum);
+  }
+
+  reportFailure(proxyNum, { now = Date.now() } = {}) {
+    const failures = (this._unhealthy.get(proxyNum)?.failures || 0) + 1;
+    const cooldown = Math.min(
+      this.maxCooldown,
+      this.initialCooldown * 2 ** (failures - 1),
+    );
+    this._unhealthy.set(proxyNum, { failures, excludedUntil: now + cooldown });
+    logger.info(
+      `Excluding proxy #${proxyNum} for ${
+        cooldown / SECOND
+      } seconds (failures: ${failures})`,
+    );
+  }
+
+  getStats({ now = Date.now() } = {}) {
+    let excluded = 0;
+    for (const proxyNum of this._unhealthy.keys()) {
+      if (this._isExcluded(proxyNum, now)) {
+        excluded += 1;
+      }
+    }
+    return {
+      numProxies: this.numProxies,
+      excluded,
+    };
+  }
+
+  _isExcluded(proxyNum, now) {
+    const entry = this._unhealthy.get(proxyNum);
+    return !!entry && now < entry.excludedUntil;
+  }
+
+  _randomProxyNum() {
+    return (randomInt() % this.numProxies) + this.minProxy;
+  }
+
+  _toResult(proxyNum) {
+    return {
+      proxyNum,
+      url: this.urlTemplate.replace('*', proxyNum),
+    };
+  }
+}
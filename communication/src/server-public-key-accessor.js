@@ -10,25 +10,108 @@
  */
 
 import logger from './logger.js';
-import { getTimeAsYYYYMMDD } from './timestamps.js';
-import { fromBase64 } from './encoding.js';
-import { FailedToFetchPublicKeys } from './errors.js';
+import { getTimeAsYYYYMMDD, getTrustedUtcTime } from './timestamps.js';
+import { fromBase64, toUTF8 } from './encoding.js';
+import { FailedToFetchPublicKeys, InvalidServerPublicKeys } from './errors.js';
+import {
+  DEFAULT_CIPHER_SUITES,
+  KEY_TYPES,
+  isKeyTypeSupported,
+} from './cipher-suites.js';
 
 function isYYYYMMDD(date) {
   return typeof date === 'string' && /^[0-9]{8}$/.test(date);
 }
 
+function parsePubKeys(pubKeys) {
+  return Object.keys(pubKeys)
+    .filter(isYYYYMMDD)
+    .map((date) => [date, fromBase64(pubKeys[date])]);
+}
+
+/**
+ * Besides the P-256 keys ("pubKeys"), which every server has to provide,
+ * the server can offer keys for other key types and list the cipher
+ * suites that it accepts (ordered by preference).
+ */
+function parseKeySet({ pubKeys, x25519PubKeys, cipherSuites }) {
+  if (!pubKeys) {
+    throw new Error('Server public keys are missing');
+  }
+  return {
+    pubKeys: parsePubKeys(pubKeys),
+    x25519PubKeys: x25519PubKeys ? parsePubKeys(x25519PubKeys) : [],
+    cipherSuites: Array.isArray(cipherSuites)
+      ? cipherSuites.filter(Number.isInteger)
+      : DEFAULT_CIPHER_SUITES,
+  };
+}
+
+// The original format on disk was only the list of P-256 keys.
+function fromDiskFormat(entry) {
+  if (Array.isArray(entry)) {
+    return {
+      pubKeys: entry,
+      x25519PubKeys: [],
+      cipherSuites: DEFAULT_CIPHER_SUITES,
+    };
+  }
+  return entry;
+}
+
 export default class ServerPublicKeyAccessor {
-  constructor({ config, database }) {
+  constructor({ config, database, trustedClock }) {
     // Note: do not go through proxies when fetching keys; otherwise,
     // the proxy could replace it, and the key exchange would be insecure.
     this.collectorUrl = config.COLLECTOR_DIRECT_URL;
     this.database = database;
-    this.storageKey = 'server-ecdh-keys';
+    this.trustedClock = trustedClock;
+
+    // Long-lived key to verify the signature of the (daily rotated)
+    // encryption keys. Expected format: base64 encoded ECDSA P-256 public
+    // key in raw format (i.e. the uncompressed point with 65 bytes).
+    //
+    // Signed and unsigned keys are cached under different keys. That way,
+    // enabling the verification cannot pick up unverified keys from disk.
+    this.signingKey = config.COLLECTOR_PUBKEYS_SIGNING_KEY;
+    if (this.signingKey) {
+      this.storageKey = 'server-ecdh-keys-signed';
+    } else {
+      logger.warn(
+        'COLLECTOR_PUBKEYS_SIGNING_KEY is not configured.',
+        'The signature of the server public keys will not be verified.',
+      );
+      this.storageKey = 'server-ecdh-keys';
+    }
     this._knownKeys = new Map();
+    this._knownX25519Keys = new Map();
+    this._cipherSuites = DEFAULT_CIPHER_SUITES;
+    this._importedSigningKey = null;
+
+    // only for diagnostics (see getStats)
+    this.lastFetchedAt = null;
+    this.lastFetchFailedAt = null;
+  }
+
+  getStats() {
+    return {
+      knownDates: [...this._knownKeys.keys()],
+      cipherSuites: this._cipherSuites,
+      lastFetchedAt: this.lastFetchedAt,
+      lastFetchFailedAt: this.lastFetchFailedAt,
+    };
   }
 
   async getKey(today = getTimeAsYYYYMMDD()) {
+    const { date, keys } = await this.getKeys(today);
+    return { date, publicKey: keys.p256.publicKey };
+  }
+
+  /**
+   * Returns all server keys for today (by key type) together with the
+   * cipher suites that the server accepts.
+   */
+  async getKeys(today = getTimeAsYYYYMMDD()) {
     if (!this._knownKeys.get(today)) {
       if (!this._pending) {
         this._pending = this._updateCache(today);
@@ -42,7 +125,17 @@ export default class ServerPublicKeyAccessor {
     }
     const key = this._knownKeys.get(today);
     if (key) {
-      return { date: today, publicKey: key.imported };
+      const keys = {
+        p256: { publicKey: key.imported, rawPublicKey: key.key },
+      };
+      const x25519Key = this._knownX25519Keys.get(today);
+      if (x25519Key) {
+        keys.x25519 = {
+          publicKey: x25519Key.imported,
+          rawPublicKey: x25519Key.key,
+        };
+      }
+      return { date: today, keys, cipherSuites: this._cipherSuites };
     }
     // did not get anything after refreshing the cache -> give up
     throw new Error(`No server's public key was found for today=${today}`);
@@ -52,12 +145,21 @@ export default class ServerPublicKeyAccessor {
     // try to load from disk
     let knownKeys;
     try {
-      const keysFromDisk = await this.database
+      let keysFromDisk = await this.database
         .get(this.storageKey)
         .catch(() => null);
-      if (keysFromDisk && keysFromDisk.some(([date]) => date === today)) {
+      if (keysFromDisk) {
+        // the signature is checked again, since the key set may have expired
+        keysFromDisk = this.signingKey
+          ? await this._verifySignedPubKeys(keysFromDisk)
+          : fromDiskFormat(keysFromDisk);
+      }
+      if (
+        keysFromDisk &&
+        keysFromDisk.pubKeys.some(([date]) => date === today)
+      ) {
         logger.debug('Server keys on disk are still valid');
-        knownKeys = await this.importAndVerifyPubKeys(keysFromDisk);
+        knownKeys = await this._importKeySet(keysFromDisk);
       } else {
         logger.info(
           'Server keys on disk need to be refetched. Expected:',
@@ -73,28 +175,70 @@ export default class ServerPublicKeyAccessor {
 
     // not found on disk or outdated -> fetch from server
     if (!knownKeys) {
-      const pubKeys = await this._fetchPublicKeys();
-      const allKeys = Object.keys(pubKeys)
-        .filter(isYYYYMMDD)
-        .map((date) => [date, fromBase64(pubKeys[date])]);
-      knownKeys = await this.importAndVerifyPubKeys(allKeys);
+      let entry;
+      if (this.signingKey) {
+        const { signedPubKeys } = await this._fetchPublicKeys([
+          'signedPubKeys',
+        ]);
+        knownKeys = await this._importKeySet(
+          await this._verifySignedPubKeys(signedPubKeys),
+        );
+        entry = signedPubKeys;
+      } else {
+        const config = await this._fetchPublicKeys([
+          'pubKeys',
+          'x25519PubKeys',
+          'cipherSuites',
+        ]);
+        const keySet = parseKeySet(config);
+        knownKeys = await this._importKeySet(keySet);
+        entry = keySet;
+      }
 
       // update disk cache
       try {
-        const entry = [...knownKeys].map(([date, { key }]) => [date, key]);
         await this.database.set(this.storageKey, entry);
       } catch (e) {
         logger.warn('Failed to cache server keys to disk.', e);
       }
     }
 
-    this._knownKeys = knownKeys;
+    this._knownKeys = knownKeys.p256;
+    this._knownX25519Keys = knownKeys.x25519;
+    this._cipherSuites = knownKeys.cipherSuites;
+  }
+
+  async _importKeySet({ pubKeys, x25519PubKeys, cipherSuites }) {
+    let x25519 = new Map();
+    if (x25519PubKeys.length > 0) {
+      if (await isKeyTypeSupported('x25519')) {
+        x25519 = await this.importAndVerifyPubKeys(x25519PubKeys, 'x25519');
+      } else {
+        logger.info('Ignoring X25519 keys, since they are not supported');
+      }
+    }
+    return {
+      p256: await this.importAndVerifyPubKeys(pubKeys),
+      x25519,
+      cipherSuites,
+    };
+  }
+
+  /**
+   * Takes a fresh sample of the server time (see TrustedClock), which is
+   * observed from the response of the direct connection.
+   */
+  async resyncClock() {
+    await this._fetchPublicKeys(
+      this.signingKey ? ['signedPubKeys'] : ['pubKeys'],
+    );
   }
 
-  async _fetchPublicKeys() {
-    const url = `${this.collectorUrl}/config?fields=pubKeys`;
+  async _fetchPublicKeys(fields) {
+    const url = `${this.collectorUrl}/config?fields=${fields.join(',')}`;
     logger.info('Fetching new server public keys from', url);
     try {
+      const requestStartedAt = Date.now();
       const response = await fetch(url, {
         method: 'GET',
         credentials: 'omit',
@@ -105,10 +249,15 @@ export default class ServerPublicKeyAccessor {
           `Failed to get config (${response.statusText}) from '${url}'`,
         );
       }
-      const { pubKeys } = await response.json();
-      logger.info('Fetched server public keys:', pubKeys);
-      return pubKeys;
+
+      // Since it is a direct connection, the server time can be trusted.
+      this.trustedClock?.updateFromDateHeader(response, { requestStartedAt });
+      const config = await response.json();
+      logger.info('Fetched server public keys:', config);
+      this.lastFetchedAt = Date.now();
+      return config;
     } catch (e) {
+      this.lastFetchFailedAt = Date.now();
       throw new FailedToFetchPublicKeys(
         `Failed to fetch public keys from '${url}'`,
         { cause: e },
@@ -116,14 +265,14 @@ export default class ServerPublicKeyAccessor {
     }
   }
 
-  async importAndVerifyPubKeys(allKeys) {
+  async importAndVerifyPubKeys(allKeys, keyType = 'p256') {
     return new Map(
       await Promise.all(
         allKeys.map(async ([date, key]) => {
           const imported = await crypto.subtle.importKey(
             'raw',
             key,
-            { name: 'ECDH', namedCurve: 'P-256' },
+            KEY_TYPES[keyType].algorithm,
             false,
             [],
           );
@@ -132,4 +281,80 @@ export default class ServerPublicKeyAccessor {
       ),
     );
   }
+
+  /**
+   * Expects the key set in the following format:
+   * {
+   *   payload: '{"pubKeys":{"YYYYMMDD":"<base64>",...},"expiresAt":<ms since Unix epoch>}',
+   *   signature: '<base64>',
+   * }
+   *
+   * Note: "expiresAt" is in milliseconds (as returned by Date.now()),
+   * not in seconds.
+   *
+   * Optionally, the payload can contain "x25519PubKeys" and "cipherSuites"
+   * (for details, see parseKeySet).
+   *
+   * The signature is an ECDSA signature (P-256 with SHA-256, encoded
+   * as r|s like in WebCrypto) over the UTF-8 encoded payload string.
+   * Signing the string instead of the parsed object avoids having to
+   * agree with the server on a canonical JSON representation.
+   *
+   * Returns the parsed key set.
+   */
+  async _verifySignedPubKeys(
+    signedPubKeys,
+    now = getTrustedUtcTime().getTime(),
+  ) {
+    const { payload, signature } = signedPubKeys || {};
+    if (typeof payload !== 'string' || typeof signature !== 'string') {
+      throw new InvalidServerPublicKeys('Server public keys are not signed');
+    }
+
+    let isValid;
+    try {
+      isValid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        await this._getSigningKey(),
+        fromBase64(signature),
+        toUTF8(payload),
+      );
+    } catch (e) {
+      throw new InvalidServerPublicKeys(
+        'Failed to verify the signature of the server public keys',
+        { cause: e },
+      );
+    }
+    if (!isValid) {
+      throw new InvalidServerPublicKeys(
+        'Server public keys have an invalid signature',
+      );
+    }
+
+    const { expiresAt, ...keys } = JSON.parse(payload);
+    if (!keys.pubKeys || !Number.isSafeInteger(expiresAt)) {
+      throw new InvalidServerPublicKeys(
+        'Signed server public keys are corrupted',
+      );
+    }
+    if (now >= expiresAt) {
+      throw new InvalidServerPublicKeys(
+        `Server public keys expired (expiresAt=${expiresAt}, now=${now})`,
+      );
+    }
+    return parseKeySet(keys);
+  }
+
+  async _getSigningKey() {
+    if (!this._importedSigningKey) {
+      this._importedSigningKey = await crypto.subtle.importKey(
+        'raw',
+        fromBase64(this.signingKey),
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify'],
+      );
+    }
+    return this._importedSigningKey;
+  }
 }
@@ -0,0 +1,94 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const index = Math.ceil((p / 100) * sortedValues.length) - 1;
+  return sortedValues[Math.max(index, 0)];
+}
+
+/**
+ * Collects health information about the transport (i.e. the requests
+ * made by ProxiedHttp). The metrics are only kept in memory; they cover
+ * the lifetime of the current service worker (or background page).
+ */
+export default class TransportMetrics {
+  constructor({ maxLatencySamples = 100 } = {}) {
+    this.maxLatencySamples = maxLatencySamples;
+    this.reset();
+  }
+
+  reset() {
+    this.sends = 0;
+    this.delivered = 0;
+    this.bytesBeforePadding = 0;
+    this.bytesAfterPadding = 0;
+    this.failures = {}; // error name -> count
+    this.lastDeliveredAt = null;
+    this.lastFailedAt = null;
+
+    // ring buffer with the most recent latencies (in ms)
+    this._latencies = [];
+    this._nextLatencySlot = 0;
+  }
+
+  recordSend({ bytesBeforePadding, bytesAfterPadding }) {
+    this.sends += 1;
+    this.bytesBeforePadding += bytesBeforePadding;
+    this.bytesAfterPadding += bytesAfterPadding;
+  }
+
+  recordDelivery({ now = Date.now() } = {}) {
+    this.delivered += 1;
+    this.lastDeliveredAt = now;
+  }
+
+  recordFailure(error, { now = Date.now() } = {}) {
+    const name = error?.name || 'Error';
+    this.failures[name] = (this.failures[name] || 0) + 1;
+    this.lastFailedAt = now;
+  }
+
+  recordProxyLatency(latencyInMs) {
+    this._latencies[this._nextLatencySlot] = latencyInMs;
+    this._nextLatencySlot =
+      (this._nextLatencySlot + 1) % this.maxLatencySamples;
+  }
+
+  get totalFailures() {
+    return Object.values(this.failures).reduce((x, y) => x + y, 0);
+  }
+
+  getLatencyPercentiles() {
+    const sorted = [...this._latencies].sort((x, y) => x - y);
+    return {
+      samples: sorted.length,
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      p99: percentile(sorted, 99),
+    };
+  }
+
+  getStats() {
+    return {
+      sends: this.sends,
+      delivered: this.delivered,
+      failures: { ...this.failures },
+      bytesBeforePadding: this.bytesBeforePadding,
+      bytesAfterPadding: this.bytesAfterPadding,
+      lastDeliveredAt: this.lastDeliveredAt,
+      lastFailedAt: this.lastFailedAt,
+      proxyLatency: this.getLatencyPercentiles(),
+    };
+  }
+}
@@ -9,33 +9,227 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0
  */
 
+import logger from './logger.js';
 import { ClockOutOfSync } from './errors.js';
 
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
 /**
  * Contains functions to generate timestamps used in WhoTracksMe messages.
  * As a general rule, all timestamps in the context of WhoTracksMe will be in UTC.
  *
  * To mitigate the risk of fingerprinting based on clock drift, messages
  * should not include high resolution timestamps, but instead should be truncated.
+ *
+ * Under Manifest V3 constraints, the clock cannot be verified by running
+ * a parallel clock with setTimeout/setInterval (there is no persistent
+ * background page, and the alarm API is too imprecise). Instead, it observes
+ * timestamps in server responses that cannot be modified by third-parties
+ * (i.e. from end-to-end encrypted messages, or from direct connections
+ * to our servers) and learns the offset of the local system clock.
+ *
+ * If the offset exceeds the threshold, the clock is considered to be out
+ * of sync. Note that the local time will not be corrected; the offset
+ * only serves to detect badly set clocks. The last known offset is persisted,
+ * since otherwise it would be lost whenever the service worker gets stopped.
+ *
+ * Offsets are only trusted for "maxOffsetAge". Otherwise, if the user fixed
+ * the clock in the meantime, the outdated offset would block all messages.
+ * Also, before giving up, the clock tries to take a new sample with the
+ * optional "resync" function (e.g. by observing a direct connection).
  */
 export class TrustedClock {
+  constructor({
+    database,
+    storageKey = 'trusted-clock',
+    maxOffset = 30 * MINUTE,
+    maxRoundTripTime = MINUTE,
+    maxOffsetAge = 6 * HOUR,
+    resync = null,
+    minResyncInterval = MINUTE,
+  } = {}) {
+    this.database = database;
+    this.storageKey = storageKey;
+    this.maxOffset = maxOffset;
+    this.maxOffsetAge = maxOffsetAge;
+    this.resync = resync;
+    this.minResyncInterval = minResyncInterval;
+    this._pendingResync = null;
+    this._lastResyncAt = null;
+
+    // If a request takes too long, it is no longer possible to tell
+    // at which point in time the server created the timestamp.
+    this.maxRoundTripTime = maxRoundTripTime;
+
+    // Without any observations, the local system time is trusted.
+    this._state = {
+      offset: 0, // in milliseconds (server time - local time)
+      syncedAt: 0, // local time of the last observation (Unix epoch)
+    };
+
+    this._pendingRestore = this.database
+      ? this._restore().catch((e) => {
+          logger.warn('Failed to restore the clock offset from disk', e);
+        })
+      : Promise.resolve();
+  }
+
+  async _restore() {
+    const state = await this.database.get(this.storageKey);
+    if (!state) {
+      return;
+    }
+    const { offset, syncedAt } = state;
+    if (!Number.isFinite(offset) || !Number.isSafeInteger(syncedAt)) {
+      logger.warn('Ignoring corrupted clock offset on disk:', state);
+      return;
+    }
+
+    // an observation during the restore operation takes precedence
+    if (syncedAt > this._state.syncedAt) {
+      this._state = { offset, syncedAt };
+    }
+  }
+
+  /**
+   * Updates the offset from a server timestamp. Only use timestamps from
+   * responses that could not have been modified in transit. The timestamps
+   * when the request was started and when the response was received are
+   * needed to approximate the time when the server generated the response.
+   *
+   * Returns true if the observation was accepted.
+   */
+  async updateFromServerTime({
+    serverTime,
+    requestStartedAt,
+    responseReceivedAt = Date.now(),
+  }) {
+    if (!Number.isFinite(serverTime) || serverTime <= 0) {
+      logger.warn('Ignoring invalid server time:', serverTime);
+      return false;
+    }
+    const roundTripTime = responseReceivedAt - requestStartedAt;
+    if (!(roundTripTime >= 0 && roundTripTime <= this.maxRoundTripTime)) {
+      logger.debug(
+        'Ignoring server time, since the round trip time was too high:',
+        roundTripTime,
+      );
+      return false;
+    }
+
+    const localTime = requestStartedAt + roundTripTime / 2;
+    const offset = Math.round(serverTime - localTime);
+    const wasInSync = this._isInSync(this._state.offset);
+    this._state = { offset, syncedAt: responseReceivedAt };
+    if (this._isInSync(offset) !== wasInSync) {
+      if (wasInSync) {
+        logger.warn('The system clock is out of sync. Offset:', offset);
+      } else {
+        logger.info('The system clock is back in sync. Offset:', offset);
+      }
+    }
+
+    if (this.database) {
+      try {
+        await this._pendingRestore;
+        await this.database.set(this.storageKey, this._state);
+      } catch (e) {
+        logger.warn('Failed to persist the clock offset', e);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Convenience function to observe the "Date" header of a response.
+   * It has only a resolution of seconds, but that is precise enough
+   * to detect badly set clocks.
+   *
+   * Warning: only use it for direct connections to servers that we trust
+   * (never for responses that were routed through proxies).
+   */
+  async updateFromDateHeader(response, { requestStartedAt }) {
+    const dateHeader = response.headers?.get('Date');
+    if (!dateHeader) {
+      return false;
+    }
+    return this.updateFromServerTime({
+      serverTime: Date.parse(dateHeader),
+      requestStartedAt,
+    });
+  }
+
+  _isInSync(offset) {
+    return Math.abs(offset) <= this.maxOffset;
+  }
+
+  // Note: if the local clock jumped back, the observation cannot be trusted
+  // (small negative ages are expected, since "syncedAt" may be estimated).
+  _isOutdated(syncedAt, now) {
+    const age = now - syncedAt;
+    return age < -this.maxRoundTripTime || age > this.maxOffsetAge;
+  }
+
   checkTime() {
-    // TODO: Trust that the local system time is correct. On most systems,
-    // that assumption should hold. it is a non-trivial problem to improve
-    // it under Manifest V3 constraints (ideas like running a parallel
-    // clock with setTimeout/setInterval is not a solution because of the
-    // lack of persistent background page; the alarm API is too imprecise;
-    // maybe a reliable clock could be built by observing server time-stamps).
+    const unixEpoche = Date.now();
+    const { syncedAt } = this._state;
+    const offset = this._isOutdated(syncedAt, unixEpoche)
+      ? 0
+      : this._state.offset;
     return {
-      inSync: true,
-      unixEpoche: Date.now(),
+      inSync: this._isInSync(offset),
+      unixEpoche,
+      offset,
+      syncedAt,
     };
   }
 
+  /**
+   * If the clock is out of sync, tries to take a new sample (see "resync")
+   * before giving up. Returns the result of "checkTime" afterwards.
+   */
+  async resyncIfOutOfSync() {
+    if (!this.checkTime().inSync) {
+      await this._resync();
+    }
+    return this.checkTime();
+  }
+
+  _resync() {
+    if (!this.resync) {
+      return Promise.resolve();
+    }
+    if (!this._pendingResync) {
+      const now = Date.now();
+      if (
+        this._lastResyncAt !== null &&
+        Math.abs(now - this._lastResyncAt) < this.minResyncInterval
+      ) {
+        return Promise.resolve();
+      }
+      this._lastResyncAt = now;
+      this._pendingResync = Promise.resolve()
+        .then(() => this.resync())
+        .catch((e) => {
+          logger.warn('Failed to resync the clock', e);
+        })
+        .finally(() => {
+          this._pendingResync = null;
+        });
+    }
+    return this._pendingResync;
+  }
+
   now() {
-    const { inSync, unixEpoche } = this.checkTime();
+    const { inSync, unixEpoche, offset } = this.checkTime();
     if (!inSync) {
-      throw new ClockOutOfSync();
+      // the caller cannot wait, but the next call may succeed
+      this._resync();
+      throw new ClockOutOfSync(
+        `The system clock is out of sync (offset: ${offset} ms)`,
+      );
     }
     return unixEpoche;
   }
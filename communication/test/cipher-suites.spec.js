@@ -0,0 +1,223 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import InMemoryDatabase from './helpers/in-memory-database.js';
+import ReferenceCollector from './helpers/reference-collector.js';
+
+import AnonymousCommunication from '../src/index.js';
+import {
+  CIPHER_SUITES,
+  ECDH_P256_AES_128_GCM,
+  ECDH_P256_HKDF_AES_256_GCM,
+  X25519_HKDF_AES_256_GCM,
+  chooseCipherSuite,
+  computeSharedSecret,
+  generateKeyPair,
+} from '../src/cipher-suites.js';
+import logger from '../src/logger.js';
+
+logger.disable();
+
+async function encryptAndDecrypt(encryptionKey, decryptionKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, tagLength: 128 },
+    encryptionKey,
+    new Uint8Array([1, 2, 3]),
+  );
+  return new Uint8Array(
+    await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, tagLength: 128 },
+      decryptionKey,
+      ciphertext,
+    ),
+  );
+}
+
+describe('#cipher-suites', function () {
+  describe('#chooseCipherSuite', function () {
+    it('should follow the preferences of the server', async function () {
+      const suite = await chooseCipherSuite(
+        [X25519_HKDF_AES_256_GCM, ECDH_P256_AES_128_GCM],
+        ['p256', 'x25519'],
+      );
+      expect(suite.id).to.equal(X25519_HKDF_AES_256_GCM);
+    });
+
+    it('should skip suites without server keys', async function () {
+      const suite = await chooseCipherSuite(
+        [X25519_HKDF_AES_256_GCM, ECDH_P256_HKDF_AES_256_GCM],
+        ['p256'],
+      );
+      expect(suite.id).to.equal(ECDH_P256_HKDF_AES_256_GCM);
+    });
+
+    it('should skip unknown suites', async function () {
+      const suite = await chooseCipherSuite(
+        [0x42, ECDH_P256_AES_128_GCM],
+        ['p256'],
+      );
+      expect(suite.id).to.equal(ECDH_P256_AES_128_GCM);
+    });
+
+    it('should fail if there is no common suite', async function () {
+      try {
+        await chooseCipherSuite([0x42], ['p256']);
+      } catch (e) {
+        return;
+      }
+      expect.fail('Expected negotiation to fail');
+    });
+  });
+
+  for (const suite of CIPHER_SUITES.values()) {
+    it(`should derive the same key on both sides (${suite.name})`, async function () {
+      const server = await generateKeyPair(suite.keyType);
+      const client = await generateKeyPair(suite.keyType);
+      const context = {
+        clientPublicKey: client.publicKey,
+        serverPublicKey: server.publicKey,
+      };
+      const clientKey = await suite.deriveKey(
+        await computeSharedSecret(
+          suite.keyType,
+          client.privateKey,
+          server.publicKey,
+        ),
+        context,
+      );
+      const serverKey = await suite.deriveKey(
+        await computeSharedSecret(
+          suite.keyType,
+          server.privateKey,
+          client.publicKey,
+        ),
+        context,
+      );
+      expect(await encryptAndDecrypt(clientKey, serverKey)).to.deep.equal(
+        new Uint8Array([1, 2, 3]),
+      );
+    });
+  }
+
+  it('should keep the original key derivation for ECDH-P256-AES-128-GCM', async function () {
+    // reference: the construction before cipher suites were introduced
+    const server = await crypto.subtle.generateKey(
+      { name: 'ECDH', namedCurve: 'P-256' },
+      true,
+      ['deriveKey', 'deriveBits'],
+    );
+    const client = await crypto.subtle.generateKey(
+      { name: 'ECDH', namedCurve: 'P-256' },
+      true,
+      ['deriveKey', 'deriveBits'],
+    );
+    const derivedKey = await crypto.subtle.deriveKey(
+      { name: 'ECDH', namedCurve: 'P-256', public: server.publicKey },
+      client.privateKey,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt'],
+    );
+    const rawDerived = await crypto.subtle.exportKey('raw', derivedKey);
+    const hash = new Uint8Array(
+      await crypto.subtle.digest({ name: 'SHA-256' }, rawDerived),
+    );
+    const expectedKey = await crypto.subtle.importKey(
+      'raw',
+      hash.subarray(0, 16),
+      { name: 'AES-GCM', length: 128 },
+      false,
+      ['encrypt', 'decrypt'],
+    );
+
+    const suite = CIPHER_SUITES.get(ECDH_P256_AES_128_GCM);
+    const exportRaw = async (key) =>
+      new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    const rawServerPublicKey = await exportRaw(server.publicKey);
+    const key = await suite.deriveKey(
+      await computeSharedSecret('p256', client.privateKey, rawServerPublicKey),
+      {
+        clientPublicKey: await exportRaw(client.publicKey),
+        serverPublicKey: rawServerPublicKey,
+      },
+    );
+    expect(await encryptAndDecrypt(key, expectedKey)).to.deep.equal(
+      new Uint8Array([1, 2, 3]),
+    );
+  });
+
+  describe('negotiation with the collector', function () {
+    let collector;
+    let uut;
+
+    async function startCollector(options) {
+      collector = new ReferenceCollector(options);
+      await collector.init();
+      collector.install();
+      uut = new AnonymousCommunication({
+        config: { ...collector.config, CHANNEL: 'test-channel' },
+        connectDatabase: () => new InMemoryDatabase(),
+      });
+    }
+
+    afterEach(function () {
+      collector?.uninstall();
+      collector = null;
+    });
+
+    it('should use the original suite if the server advertises nothing', async function () {
+      await startCollector();
+      const response = await uut.send({ action: 'test' });
+      expect(response.status).to.equal(200);
+      expect(collector.receivedCipherSuites).to.deep.equal([
+        ECDH_P256_AES_128_GCM,
+      ]);
+    });
+
+    for (const suite of CIPHER_SUITES.values()) {
+      it(`should send messages with ${suite.name}`, async function () {
+        await startCollector({ cipherSuites: [suite.id] });
+        const response = await uut.send({ action: 'test' });
+        expect(response.status).to.equal(200);
+        expect(collector.receivedCipherSuites).to.deep.equal([suite.id]);
+      });
+    }
+
+    it('should pick the first suite preferred by the server', async function () {
+      await startCollector({
+        cipherSuites: [
+          0x42,
+          X25519_HKDF_AES_256_GCM,
+          ECDH_P256_HKDF_AES_256_GCM,
+          ECDH_P256_AES_128_GCM,
+        ],
+      });
+      await uut.send({ action: 'test' });
+      expect(collector.receivedCipherSuites).to.deep.equal([
+        X25519_HKDF_AES_256_GCM,
+      ]);
+    });
+
+    it('should negotiate based on signed keys', async function () {
+      await startCollector({
+        signPubKeys: true,
+        cipherSuites: [ECDH_P256_HKDF_AES_256_GCM, ECDH_P256_AES_128_GCM],
+      });
+      await uut.send({ action: 'test' });
+      expect(collector.receivedCipherSuites).to.deep.equal([
+        ECDH_P256_HKDF_AES_256_GCM,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import InMemoryDatabase from './helpers/in-memory-database.js';
+import ReferenceCollector from './helpers/reference-collector.js';
+
+import AnonymousCommunication from '../src/index.js';
+import { TooBigMsgError } from '../src/errors.js';
+import logger from '../src/logger.js';
+import SelfCheck from '../../reporting/src/self-check.js';
+
+logger.disable();
+
+const HOUR = 60 * 60 * 1000;
+
+describe('#AnonymousCommunication (end-to-end)', function () {
+  let collector;
+  let uut;
+
+  async function startCollector(options, { padding } = {}) {
+    collector = new ReferenceCollector(options);
+    await collector.init();
+    collector.install();
+    uut = new AnonymousCommunication({
+      config: { ...collector.config, CHANNEL: 'test-channel' },
+      connectDatabase: () => new InMemoryDatabase(),
+      padding,
+    });
+  }
+
+  function randomText(numBytes) {
+    const bytes = crypto.getRandomValues(new Uint8Array(numBytes));
+    return [...bytes].map((x) => x.toString(16).padStart(2, '0')).join('');
+  }
+
+  afterEach(function () {
+    collector?.uninstall();
+    collector = null;
+  });
+
+  for (const compressResponses of [false, true]) {
+    describe(`with compressResponses=${compressResponses}`, function () {
+      beforeEach(async function () {
+        await startCollector({ compressResponses });
+      });
+
+      it('should deliver messages', async function () {
+        const response = await uut.send({
+          action: 'test',
+          ts: '20200102',
+          payload: { foo: 42 },
+        });
+        expect(response.status).to.equal(200);
+        expect(await response.json()).to.deep.equal({});
+        expect(collector.receivedMessages).to.deep.equal([
+          {
+            action: 'test',
+            channel: 'test-channel',
+            payload: { foo: 42 },
+            ts: '20200102',
+          },
+        ]);
+      });
+
+      it('should pass responses of instant messages', async function () {
+        collector.onMessage = async ({ path }) => ({
+          status: 200,
+          body: JSON.stringify({ result: path === 'checkquorum' }),
+        });
+        const response = await uut.sendInstant({
+          action: 'safe-browsing-quorum',
+          path: 'checkquorum',
+          payload: '?hu=1234',
+          method: 'GET',
+        });
+        expect(await response.json()).to.deep.equal({ result: true });
+      });
+
+      it('should deliver batches', async function () {
+        collector.onMessage = async ({ action }) => ({
+          status: action === 'bad' ? 400 : 200,
+        });
+        const results = await uut.sendBatch([
+          { action: 'good', ts: '20200102' },
+          { action: 'bad', ts: '20200102' },
+        ]);
+        expect(results).to.deep.equal([
+          { ok: true, status: 200 },
+          { ok: false, status: 400 },
+        ]);
+      });
+
+      it('should fetch the keys only once', async function () {
+        await uut.send({ action: 'test1' });
+        await uut.send({ action: 'test2' });
+        expect(collector.stats).to.include({ keyRequests: 1, messages: 2 });
+      });
+    });
+  }
+
+  it('should support unencrypted responses', async function () {
+    await startCollector({ encryptResponses: false });
+    const response = await uut.send({ action: 'test' });
+    expect(response.status).to.equal(200);
+  });
+
+  it('should verify signed keys', async function () {
+    await startCollector({ signPubKeys: true });
+    await uut.send({ action: 'test' });
+    expect(collector.stats).to.include({ keyRequests: 1, messages: 1 });
+  });
+
+  it('should detect clients with wrong clocks', async function () {
+    await startCollector({ now: () => Date.now() + 5 * HOUR });
+    expect(uut.trustedClock.checkTime().inSync).to.be.true;
+
+    await uut.send({ action: 'test', ts: '20200102' });
+    expect(uut.trustedClock.checkTime().inSync).to.be.false;
+  });
+
+  it('should send big messages in chunks if enabled', async function () {
+    await startCollector({}, { padding: { maxSize: 4096, chunking: true } });
+    const message = {
+      action: 'test',
+      ts: '20200102',
+      payload: randomText(8000),
+    };
+    expect(uut.getSizeClass(message).fits).to.be.false;
+
+    const response = await uut.send(message);
+    expect(response.status).to.equal(200);
+    expect(collector.receivedMessages).to.deep.equal([
+      { ...message, channel: 'test-channel' },
+    ]);
+    expect(collector.stats.messages).to.equal(1);
+  });
+
+  it('should reject big messages if chunking is disabled', async function () {
+    await startCollector({}, { padding: { maxSize: 4096 } });
+    try {
+      await uut.send({ action: 'test', payload: randomText(8000) });
+    } catch (e) {
+      expect(e).to.be.an.instanceOf(TooBigMsgError);
+      return;
+    }
+    expect.fail('Expected the message to be rejected');
+  });
+
+  describe('#selfChecks', function () {
+    it('should skip the checks before the first message', async function () {
+      await startCollector();
+      const report = (await uut.selfChecks(new SelfCheck())).report();
+      expect(report.status).to.equal('PASSED');
+      expect(report.log.skipped.transport).to.exist;
+    });
+
+    it('should report transport metrics', async function () {
+      await startCollector();
+      await uut.send({ action: 'test' });
+
+      const stats = await uut.getStats();
+      expect(stats.transport).to.include({ sends: 1, delivered: 1 });
+      expect(stats.transport.bytesAfterPadding).to.equal(1024);
+      expect(stats.transport.proxyLatency.samples).to.equal(1);
+      expect(stats.keys.lastFetchedAt).to.be.a('number');
+
+      const report = (await uut.selfChecks(new SelfCheck())).report();
+      expect(report.status).to.equal('PASSED');
+      expect(report.log.passed.transport).to.exist;
+      expect(report.log.passed.keys).to.exist;
+    });
+
+    it('should fail if no messages can be delivered', async function () {
+      await startCollector();
+      collector.uninstall();
+      globalThis.fetch = async () => {
+        throw new Error('network is down');
+      };
+      try {
+        await uut.send({ action: 'test' });
+      } catch (e) {
+        // expected
+      }
+      globalThis.fetch = collector.fetch;
+
+      const { transport } = await uut.getStats();
+      expect(transport.failures).to.deep.equal({ FailedToFetchPublicKeys: 1 });
+      const report = (await uut.selfChecks(new SelfCheck())).report();
+      expect(report.status).to.equal('FAILED');
+      expect(report.log.failures.transport).to.exist;
+      expect(report.log.warnings.keys).to.exist;
+    });
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+/**
+ * Expects the promise to reject with an instance of the given error class.
+ * Returns the error to allow further checks.
+ */
+export default async function expectRejection(promise, errorClass) {
+  try {
+    await promise;
+  } catch (e) {
+    expect(e).to.be.an.instanceOf(errorClass);
+    return e;
+  }
+  return expect.fail(`Expected ${errorClass.name}`);
+}
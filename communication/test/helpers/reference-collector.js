@@ -0,0 +1,337 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { decodeWithPadding } from '../../src/padding.js';
+import { fromBase64, toBase64, fromUTF8, toUTF8 } from '../../src/encoding.js';
+import { deflate, inflate } from '../../src/zlib.js';
+import { getTimeAsYYYYMMDD } from '../../src/timestamps.js';
+import {
+  CIPHER_SUITES,
+  DEFAULT_CIPHER_SUITES,
+  KEY_TYPES,
+  computeSharedSecret,
+  generateKeyPair,
+} from '../../src/cipher-suites.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reference implementation of the server side of the protocol that is
+ * implemented by ProxiedHttp. It plays both roles, the collector and the
+ * proxy: it serves the public keys ("/config?fields=pubKeys") and accepts
+ * encrypted messages on all other paths.
+ *
+ * It has no dependencies on Node.js, so it can be used in both mocha
+ * environments (Node.js and the browser). To plug it into a test suite,
+ * install it as a replacement for the global "fetch":
+ *
+ *   const collector = new ReferenceCollector();
+ *   await collector.init();
+ *   collector.install();
+ *   const communication = new AnonymousCommunication({
+ *     config: { ...collector.config, CHANNEL: 'test' },
+ *     connectDatabase: () => new InMemoryDatabase(),
+ *   });
+ *   ...
+ *   collector.uninstall();
+ *
+ * For manual testing, scripts/reference-collector.js exposes it as
+ * a HTTP server.
+ *
+ * Options:
+ * - signPubKeys: serves the keys as "signedPubKeys" and provides the
+ *   matching COLLECTOR_PUBKEYS_SIGNING_KEY in the config
+ * - encryptResponses: if false, responses are sent in plaintext
+ * - compressResponses: if true, responses use the compressed format
+ *   ("<size: 4-byte unsigned int>:<data: "size" bytes>")
+ * - cipherSuites: the accepted cipher suites (ordered by preference). If not
+ *   set, the suites are not advertised, which means only the original
+ *   construction (ECDH P-256 with AES-128-GCM) can be used
+ * - onMessage: async (message) => ({ status, body }) to control the
+ *   responses (by default, all messages are accepted with "{}")
+ * - now: the server time (to simulate clients with wrong clocks)
+ */
+export default class ReferenceCollector {
+  constructor({
+    baseUrl = 'https://collector.test',
+    signPubKeys = false,
+    encryptResponses = true,
+    compressResponses = false,
+    cipherSuites,
+    onMessage,
+    now = () => Date.now(),
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.signPubKeys = signPubKeys;
+    this.encryptResponses = encryptResponses;
+    this.compressResponses = compressResponses;
+    this.cipherSuites = cipherSuites;
+    this.onMessage = onMessage || (async () => ({ status: 200, body: '{}' }));
+    this.now = now;
+
+    this.receivedMessages = [];
+    this.receivedCipherSuites = [];
+    this._pendingChunks = new Map();
+    this.stats = {
+      keyRequests: 0,
+      messages: 0,
+      rejected: 0,
+    };
+    // key type -> (date -> { rawPublicKey, privateKey })
+    this._keys = { p256: new Map(), x25519: new Map() };
+    this._originalFetch = null;
+    this.fetch = (url, options) => this.handle(new Request(url, options));
+  }
+
+  get acceptedCipherSuites() {
+    return this.cipherSuites || DEFAULT_CIPHER_SUITES;
+  }
+
+  /**
+   * Generates the server keys (for yesterday, today and tomorrow).
+   */
+  async init() {
+    const keyTypes = new Set(['p256']);
+    for (const id of this.acceptedCipherSuites) {
+      // unknown suites can be listed to simulate newer servers
+      if (CIPHER_SUITES.has(id)) {
+        keyTypes.add(CIPHER_SUITES.get(id).keyType);
+      }
+    }
+
+    const today = this.now();
+    for (const keyType of keyTypes) {
+      for (const ts of [today - DAY, today, today + DAY]) {
+        const date = getTimeAsYYYYMMDD(new Date(ts));
+        const { publicKey, privateKey } = await generateKeyPair(keyType);
+        this._keys[keyType].set(date, { rawPublicKey: publicKey, privateKey });
+      }
+    }
+
+    if (this.signPubKeys) {
+      this._signingKeys = await crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        true,
+        ['sign', 'verify'],
+      );
+      this._rawSigningKey = new Uint8Array(
+        await crypto.subtle.exportKey('raw', this._signingKeys.publicKey),
+      );
+    }
+  }
+
+  get config() {
+    const config = {
+      COLLECTOR_DIRECT_URL: this.baseUrl,
+      COLLECTOR_PROXY_URL: this.baseUrl.replace('://', '://proxy-*.'),
+    };
+    if (this.signPubKeys) {
+      config.COLLECTOR_PUBKEYS_SIGNING_KEY = toBase64(this._rawSigningKey);
+    }
+    return config;
+  }
+
+  install() {
+    if (this._originalFetch) {
+      throw new Error('Already installed');
+    }
+    this._originalFetch = globalThis.fetch;
+    globalThis.fetch = this.fetch;
+  }
+
+  uninstall() {
+    if (this._originalFetch) {
+      globalThis.fetch = this._originalFetch;
+      this._originalFetch = null;
+    }
+  }
+
+  async handle(request) {
+    const { pathname, searchParams } = new URL(request.url);
+    if (request.method === 'GET' && pathname === '/config') {
+      return this._handleConfig(searchParams.get('fields') || '');
+    }
+    if (request.method === 'POST') {
+      try {
+        return await this._handleMessage(request);
+      } catch (e) {
+        this.stats.rejected += 1;
+        return new Response(`Bad request: ${e}`, { status: 400 });
+      }
+    }
+    return new Response('Not found', { status: 404 });
+  }
+
+  async _handleConfig(fields) {
+    this.stats.keyRequests += 1;
+    const toPubKeys = (keys) =>
+      Object.fromEntries(
+        [...keys].map(([date, { rawPublicKey }]) => [
+          date,
+          toBase64(rawPublicKey),
+        ]),
+      );
+    const keySet = { pubKeys: toPubKeys(this._keys.p256) };
+    if (this._keys.x25519.size > 0) {
+      keySet.x25519PubKeys = toPubKeys(this._keys.x25519);
+    }
+    if (this.cipherSuites) {
+      keySet.cipherSuites = this.cipherSuites;
+    }
+
+    const config = {};
+    for (const field of fields.split(',')) {
+      if (field in keySet) {
+        config[field] = keySet[field];
+      } else if (field === 'signedPubKeys' && this.signPubKeys) {
+        const payload = JSON.stringify({
+          ...keySet,
+          expiresAt: this.now() + 2 * DAY,
+        });
+        const signature = await crypto.subtle.sign(
+          { name: 'ECDSA', hash: 'SHA-256' },
+          this._signingKeys.privateKey,
+          toUTF8(payload),
+        );
+        config.signedPubKeys = {
+          payload,
+          signature: toBase64(new Uint8Array(signature)),
+        };
+      }
+    }
+    return new Response(JSON.stringify(config), {
+      headers: {
+        'Content-Type': 'application/json',
+        Date: new Date(this.now()).toUTCString(),
+      },
+    });
+  }
+
+  async _handleMessage(request) {
+    // layout:
+    // * algorithm type (1 byte)
+    // * client public key (size depends on the cipher suite)
+    // * initialization vector (12 byte)
+    const header = fromBase64(request.headers.get('Encryption') || '');
+    const suite = CIPHER_SUITES.get(header[0]);
+    if (!suite || !this.acceptedCipherSuites.includes(suite.id)) {
+      throw new Error(`Unsupported algorithm: ${header[0]}`);
+    }
+    const version = request.headers.get('Version');
+    if (version !== suite.protocolVersion.toString()) {
+      throw new Error(`Unsupported version: ${version}`);
+    }
+    const keyLength = KEY_TYPES[suite.keyType].publicKeyLength;
+    if (header.length !== 1 + keyLength + 12) {
+      throw new Error('Malformed encryption header');
+    }
+    const clientPublicKey = header.subarray(1, 1 + keyLength);
+    const iv = header.subarray(1 + keyLength);
+
+    const keyDate = request.headers.get('Key-Date');
+    const serverKey = this._keys[suite.keyType].get(keyDate);
+    if (!serverKey) {
+      throw new Error(`Unknown key date: ${keyDate}`);
+    }
+    const sharedSecret = await computeSharedSecret(
+      suite.keyType,
+      serverKey.privateKey,
+      clientPublicKey,
+    );
+    const secret = await suite.deriveKey(sharedSecret, {
+      clientPublicKey,
+      serverPublicKey: serverKey.rawPublicKey,
+    });
+    this.receivedCipherSuites.push(suite.id);
+
+    const ciphertext = new Uint8Array(await request.arrayBuffer());
+    const padded = new Uint8Array(
+      await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, tagLength: 128 },
+        secret,
+        ciphertext,
+      ),
+    );
+    let message = JSON.parse(fromUTF8(decodeWithPadding(padded)));
+    if (message.action === 'chunk') {
+      message = this._addChunk(message);
+      if (!message) {
+        return this._encodeResponse(
+          { status: 200, body: '{}', ts: this.now() },
+          secret,
+        );
+      }
+    }
+    this.receivedMessages.push(message);
+    this.stats.messages += 1;
+
+    let reply;
+    if (message.action === 'batch') {
+      const results = [];
+      for (const msg of message.messages) {
+        const { status } = await this.onMessage(msg);
+        results.push({ status });
+      }
+      reply = { status: 200, body: JSON.stringify({ results }) };
+    } else {
+      reply = await this.onMessage(message);
+    }
+    return this._encodeResponse({ ...reply, ts: this.now() }, secret);
+  }
+
+  // Returns the restored message once all chunks have been received.
+  _addChunk({ id, seq, total, data }) {
+    if (!this._pendingChunks.has(id)) {
+      this._pendingChunks.set(id, new Array(total));
+    }
+    const chunks = this._pendingChunks.get(id);
+    chunks[seq] = fromBase64(data);
+    if (chunks.includes(undefined)) {
+      return null;
+    }
+    this._pendingChunks.delete(id);
+
+    const compressed = new Uint8Array(
+      chunks.reduce((sum, x) => sum + x.length, 0),
+    );
+    let pos = 0;
+    for (const chunk of chunks) {
+      compressed.set(chunk, pos);
+      pos += chunk.length;
+    }
+    return JSON.parse(fromUTF8(inflate(compressed)));
+  }
+
+  async _encodeResponse(reply, secret) {
+    let data = toUTF8(JSON.stringify(reply));
+    if (this.compressResponses) {
+      const compressed = deflate(data);
+      const framed = new Uint8Array(4 + compressed.length);
+      new DataView(framed.buffer).setUint32(0, compressed.length);
+      framed.set(compressed, 4);
+      data = framed;
+    }
+
+    const headers = { 'Content-Type': 'application/octet-stream' };
+    if (this.encryptResponses) {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      data = new Uint8Array(
+        await crypto.subtle.encrypt(
+          { name: 'AES-GCM', iv, tagLength: 128 },
+          secret,
+          data,
+        ),
+      );
+      headers['Encryption-IV'] = toBase64(iv);
+    }
+    return new Response(data, { headers });
+  }
+}
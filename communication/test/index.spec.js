@@ -0,0 +1,144 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import InMemoryDatabase from './helpers/in-memory-database.js';
+import expectRejection from './helpers/expect-rejection.js';
+
+import AnonymousCommunication from '../src/index.js';
+import {
+  InvalidMessageError,
+  ProtocolError,
+  TransportError,
+} from '../src/errors.js';
+import logger from '../src/logger.js';
+
+logger.disable();
+
+describe('#AnonymousCommunication', function () {
+  let uut;
+  let sentBodies;
+  let serverResponse;
+
+  beforeEach(function () {
+    uut = new AnonymousCommunication({
+      config: {
+        COLLECTOR_DIRECT_URL: '192.0.2.0', // TEST-NET-1 address
+        COLLECTOR_PROXY_URL: '192.0.2.0',
+        CHANNEL: 'test-channel',
+      },
+      connectDatabase: () => new InMemoryDatabase(),
+    });
+    sentBodies = [];
+    serverResponse = () => new Response('{}', { status: 200 });
+    sinon.stub(uut.proxiedHttp, 'send').callsFake(async ({ body }) => {
+      sentBodies.push(JSON.parse(body));
+      return serverResponse();
+    });
+  });
+
+  describe('#send', function () {
+    it('should add the meta fields', async function () {
+      await uut.send({ action: 'test', ts: '20200102', payload: {} });
+      expect(sentBodies).to.deep.equal([
+        {
+          action: 'test',
+          channel: 'test-channel',
+          payload: {},
+          ts: '20200102',
+        },
+      ]);
+    });
+
+    it('should reject messages without action', async function () {
+      await expectRejection(uut.send({ payload: {} }), InvalidMessageError);
+      expect(sentBodies).to.be.empty;
+    });
+  });
+
+  describe('#sendBatch', function () {
+    const msg1 = { action: 'test1', ts: '20200102', payload: 1 };
+    const msg2 = { action: 'test2', ts: '20200102', payload: 2 };
+
+    it('should send all messages in one envelope', async function () {
+      serverResponse = () =>
+        new Response(
+          JSON.stringify({ results: [{ status: 200 }, { status: 200 }] }),
+        );
+
+      const results = await uut.sendBatch([msg1, msg2]);
+
+      expect(results).to.deep.equal([
+        { ok: true, status: 200 },
+        { ok: true, status: 200 },
+      ]);
+      expect(sentBodies).to.deep.equal([
+        {
+          action: 'batch',
+          messages: [
+            { ...msg1, channel: 'test-channel' },
+            { ...msg2, channel: 'test-channel' },
+          ],
+        },
+      ]);
+    });
+
+    it('should report the status of each message', async function () {
+      serverResponse = () =>
+        new Response(
+          JSON.stringify({ results: [{ status: 400 }, { status: 200 }] }),
+        );
+
+      const results = await uut.sendBatch([msg1, msg2]);
+
+      expect(results).to.deep.equal([
+        { ok: false, status: 400 },
+        { ok: true, status: 200 },
+      ]);
+    });
+
+    it('should reject invalid input', async function () {
+      await expectRejection(uut.sendBatch([]), InvalidMessageError);
+      await expectRejection(uut.sendBatch(msg1), InvalidMessageError);
+      await expectRejection(
+        uut.sendBatch([msg1, { payload: 3 }]),
+        InvalidMessageError,
+      );
+      expect(sentBodies).to.be.empty;
+    });
+
+    it('should fail if the number of results does not match', async function () {
+      serverResponse = () =>
+        new Response(JSON.stringify({ results: [{ status: 200 }] }));
+      await expectRejection(uut.sendBatch([msg1, msg2]), ProtocolError);
+    });
+
+    it('should fail if the results are not objects', async function () {
+      for (const entry of [null, 200, 'ok', [200]]) {
+        serverResponse = () =>
+          new Response(JSON.stringify({ results: [{ status: 200 }, entry] }));
+        await expectRejection(uut.sendBatch([msg1, msg2]), ProtocolError);
+      }
+    });
+
+    it('should fail if the server does not understand batches', async function () {
+      serverResponse = () => new Response('{}', { status: 200 });
+      await expectRejection(uut.sendBatch([msg1, msg2]), ProtocolError);
+    });
+
+    it('should classify server errors as recoverable', async function () {
+      serverResponse = () => new Response('', { status: 503 });
+      await expectRejection(uut.sendBatch([msg1, msg2]), TransportError);
+    });
+  });
+});
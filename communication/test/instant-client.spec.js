@@ -0,0 +1,172 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import expectRejection from './helpers/expect-rejection.js';
+
+import InstantClient from '../src/instant-client.js';
+import {
+  InvalidMessageError,
+  ProtocolError,
+  TransportError,
+} from '../src/errors.js';
+
+const HASH = '0beec7b5ea3f0fdbc95d0dd47f3c5bc275da8a33';
+
+describe('#InstantClient', function () {
+  let requests;
+  let reply;
+  let uut;
+
+  beforeEach(function () {
+    requests = [];
+    reply = async () => new Response('{"result":true}');
+    uut = new InstantClient({
+      async sendInstant(request) {
+        requests.push(request);
+        return reply(request);
+      },
+    });
+  });
+
+  it('should build the request and decode the response', async function () {
+    expect(await uut.call('checkQuorum', { hash: HASH })).to.equal(true);
+    expect(requests).to.have.lengthOf(1);
+    const { signal, ...request } = requests[0];
+    expect(request).to.deep.equal({
+      action: 'safe-browsing-quorum',
+      path: 'checkquorum',
+      payload: `?hu=${HASH}`,
+      method: 'GET',
+    });
+    expect(signal).to.be.an.instanceOf(AbortSignal);
+  });
+
+  it('should accept empty responses if the content is not needed', async function () {
+    reply = async () => new Response('');
+    await uut.call('incrementQuorum', { hash: HASH, bucket: 7 });
+    expect(requests[0].payload).to.equal(`?hu=${HASH}&oc=7`);
+  });
+
+  it('should validate the parameters', async function () {
+    for (const params of [{}, { hash: 'foo' }, { hash: HASH.toUpperCase() }]) {
+      await expectRejection(
+        uut.call('checkQuorum', params),
+        InvalidMessageError,
+      );
+    }
+    await expectRejection(
+      uut.call('incrementQuorum', { hash: HASH, bucket: 256 }),
+      InvalidMessageError,
+    );
+    await expectRejection(uut.call('unknown'), InvalidMessageError);
+    expect(requests).to.be.empty;
+  });
+
+  it('should only send the hash prefix in k-anonymous quorum checks', async function () {
+    reply = async () =>
+      new Response(JSON.stringify({ threshold: 5, counts: { [HASH]: 7 } }));
+    expect(
+      await uut.call('checkQuorumByPrefix', { prefix: HASH.slice(0, 8) }),
+    ).to.deep.equal({ threshold: 5, counts: { [HASH]: 7 } });
+    expect(requests[0].payload).to.equal(`?hp=${HASH.slice(0, 8)}`);
+
+    for (const prefix of [undefined, '', 'xyz', HASH + '0']) {
+      await expectRejection(
+        uut.call('checkQuorumByPrefix', { prefix }),
+        InvalidMessageError,
+      );
+    }
+    for (const body of [
+      '{"counts":{}}',
+      '{"threshold":5}',
+      '{"threshold":5,"counts":{"foo":1}}',
+      `{"threshold":5,"counts":{"${HASH}":-1}}`,
+      '{"threshold":5,"counts":{"__proto__":1}}',
+    ]) {
+      reply = async () => new Response(body);
+      await expectRejection(
+        uut.call('checkQuorumByPrefix', { prefix: 'abcd' }),
+        ProtocolError,
+      );
+    }
+  });
+
+  it('should reject malformed responses', async function () {
+    for (const body of ['{"result":"yes"}', 'not JSON']) {
+      reply = async () => new Response(body);
+      await expectRejection(
+        uut.call('checkQuorum', { hash: HASH }),
+        ProtocolError,
+      );
+    }
+  });
+
+  it('should map status codes to errors', async function () {
+    for (const [status, errorClass] of [
+      [400, ProtocolError],
+      [404, ProtocolError],
+      [429, TransportError],
+      [500, TransportError],
+      [503, TransportError],
+    ]) {
+      reply = async () => new Response('', { status });
+      await expectRejection(
+        uut.call('checkQuorum', { hash: HASH }),
+        errorClass,
+      );
+    }
+  });
+
+  it('should abort requests after the timeout', async function () {
+    reply = ({ signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+    await expectRejection(
+      uut.call('checkQuorum', { hash: HASH }, { timeout: 10 }),
+      TransportError,
+    );
+  });
+
+  it('should detach from the caller signal after the request', async function () {
+    const { signal } = new AbortController();
+    let listeners = 0;
+    const { addEventListener, removeEventListener } = signal;
+    signal.addEventListener = (...args) => {
+      listeners += 1;
+      addEventListener.apply(signal, args);
+    };
+    signal.removeEventListener = (...args) => {
+      listeners -= 1;
+      removeEventListener.apply(signal, args);
+    };
+    for (let i = 0; i < 3; i += 1) {
+      await uut.call('checkQuorum', { hash: HASH }, { signal });
+    }
+    expect(listeners).to.equal(0);
+  });
+
+  it('should support cancelling requests', async function () {
+    const controller = new AbortController();
+    reply = ({ signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+        controller.abort(new Error('cancelled'));
+      });
+    const error = await expectRejection(
+      uut.call('checkQuorum', { hash: HASH }, { signal: controller.signal }),
+      Error,
+    );
+    expect(error.message).to.equal('cancelled');
+  });
+});
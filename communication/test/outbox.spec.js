@@ -0,0 +1,208 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import InMemoryDatabase from './helpers/in-memory-database.js';
+import ReferenceCollector from './helpers/reference-collector.js';
+
+import Outbox from '../src/outbox.js';
+import AnonymousCommunication from '../src/index.js';
+import { ProtocolError, TransportError } from '../src/errors.js';
+import logger from '../src/logger.js';
+
+logger.disable();
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+describe('#Outbox', function () {
+  let database;
+  let sentMessages;
+  let networkError;
+  let uut;
+
+  function newOutbox() {
+    return new Outbox({
+      database,
+      send: async (body) => {
+        if (networkError) {
+          throw networkError;
+        }
+        sentMessages.push(body);
+      },
+      maxAge: 24 * HOUR,
+      maxEntries: 3,
+      initialDelay: 30 * SECOND,
+      maxDelay: HOUR,
+    });
+  }
+
+  beforeEach(function () {
+    database = new InMemoryDatabase();
+    sentMessages = [];
+    networkError = null;
+    uut = newOutbox();
+  });
+
+  afterEach(function () {
+    uut.unload();
+  });
+
+  it('should start empty', async function () {
+    expect(await uut.getStats()).to.include({ size: 0, ready: 0 });
+  });
+
+  it('should send queued messages once they are ready', async function () {
+    const now = Date.now();
+    await uut.add('msg1', { now });
+
+    await uut.flush({ now });
+    expect(sentMessages).to.be.empty;
+
+    await uut.flush({ now: now + MINUTE });
+    expect(sentMessages).to.deep.equal(['msg1']);
+    expect(await uut.getStats()).to.include({ size: 0, sent: 1 });
+  });
+
+  it('should survive restarts', async function () {
+    const now = Date.now();
+    await uut.add('msg1', { now });
+    uut.unload();
+
+    uut = newOutbox();
+    await uut.flush({ now: now + MINUTE });
+    expect(sentMessages).to.deep.equal(['msg1']);
+  });
+
+  it('should back off exponentially on recoverable errors', async function () {
+    let now = Date.now();
+    await uut.add('msg1', { now });
+    networkError = new TransportError('network is down');
+
+    const delays = [];
+    for (let i = 0; i < 10; i += 1) {
+      const { nextRetryAt } = await uut.getStats();
+      delays.push(nextRetryAt - now);
+      now = nextRetryAt;
+      await uut.flush({ now });
+    }
+    expect(sentMessages).to.be.empty;
+
+    // jitter: each delay is within [0.5, 1.5] of the base delay
+    delays.forEach((delay, i) => {
+      const baseDelay = Math.min(30 * SECOND * 2 ** i, HOUR);
+      expect(delay).to.be.within(0.5 * baseDelay, 1.5 * baseDelay);
+    });
+
+    networkError = null;
+    await uut.flush({ now: now + 2 * HOUR });
+    expect(sentMessages).to.deep.equal(['msg1']);
+  });
+
+  it('should back off all ready messages if sending fails', async function () {
+    const now = Date.now();
+    await uut.add('msg1', { now });
+    await uut.add('msg2', { now });
+    await uut.add('msg3', { now });
+    networkError = new TransportError('network is down');
+
+    await uut.flush({ now: now + HOUR });
+    const { ready, nextRetryAt } = await uut.getStats({ now: now + HOUR });
+    expect(ready).to.equal(0);
+    expect(nextRetryAt - (now + HOUR)).to.be.at.least(0.5 * MINUTE);
+
+    networkError = null;
+    await uut.flush({ now: nextRetryAt });
+    expect(sentMessages).to.deep.equal(['msg1', 'msg2', 'msg3']);
+  });
+
+  it('should drop messages on permanent errors', async function () {
+    const now = Date.now();
+    await uut.add('msg1', { now });
+    networkError = new ProtocolError('rejected');
+
+    await uut.flush({ now: now + MINUTE });
+    expect(await uut.getStats()).to.include({ size: 0, dropped: 1 });
+  });
+
+  it('should drop expired messages', async function () {
+    const now = Date.now();
+    await uut.add('msg1', { now });
+
+    await uut.flush({ now: now + 25 * HOUR });
+    expect(sentMessages).to.be.empty;
+    expect(await uut.getStats()).to.include({ size: 0, expired: 1 });
+  });
+
+  it('should drop the oldest messages if the outbox is full', async function () {
+    const now = Date.now();
+    for (const msg of ['msg1', 'msg2', 'msg3', 'msg4']) {
+      await uut.add(msg, { now });
+    }
+    expect(await uut.getStats()).to.include({ size: 3, dropped: 1 });
+
+    await uut.flush({ now: now + MINUTE });
+    expect(sentMessages).to.deep.equal(['msg2', 'msg3', 'msg4']);
+  });
+
+  describe('in AnonymousCommunication', function () {
+    let collector;
+    let communication;
+
+    beforeEach(async function () {
+      collector = new ReferenceCollector();
+      await collector.init();
+      collector.install();
+      communication = new AnonymousCommunication({
+        config: { ...collector.config, CHANNEL: 'test-channel' },
+        connectDatabase: () => database,
+        outbox: true,
+      });
+    });
+
+    afterEach(function () {
+      communication.unload();
+      collector.uninstall();
+    });
+
+    it('should queue messages if the network is down', async function () {
+      globalThis.fetch = async () => {
+        throw new Error('network is down');
+      };
+
+      const response = await communication.send({ action: 'test' });
+      expect(response.status).to.equal(202);
+      expect(await communication.outbox.getStats()).to.include({ size: 1 });
+
+      globalThis.fetch = collector.fetch;
+      await communication.outbox.flush({ now: Date.now() + HOUR });
+      expect(collector.receivedMessages).to.have.lengthOf(1);
+      expect(collector.receivedMessages[0].action).to.equal('test');
+    });
+
+    it('should stop the retry timer on unload', async function () {
+      globalThis.fetch = async () => {
+        throw new Error('network is down');
+      };
+      await communication.send({ action: 'test' });
+      await communication.outbox._pendingFlush;
+      await communication.outbox._lock;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(communication.outbox._timer).to.not.be.null;
+
+      communication.unload();
+      expect(communication.outbox._timer).to.be.null;
+      expect(await communication.outbox.getStats()).to.include({ size: 1 });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import {
+  PaddingPolicy,
+  decodeWithPadding,
+  encodeWithPadding,
+  splitIntoChunks,
+} from '../src/padding.js';
+import { TooBigMsgError } from '../src/errors.js';
+import { fromBase64, fromUTF8, toBase64, toUTF8 } from '../src/encoding.js';
+import { inflate } from '../src/zlib.js';
+
+// Random data cannot be compressed. Note that compression only removes
+// the overhead of the base64 encoding, so the compressed size will be
+// close to "numBytes".
+function incompressibleMessage(numBytes) {
+  const bytes = new Uint8Array(numBytes);
+  for (let i = 0; i < numBytes; i += 65536) {
+    crypto.getRandomValues(bytes.subarray(i, i + 65536));
+  }
+  return toUTF8(JSON.stringify({ data: toBase64(bytes) }));
+}
+
+function expectTooBig(fn) {
+  expect(fn).to.throw(TooBigMsgError);
+}
+
+describe('#padding', function () {
+  describe('with the default policy', function () {
+    it('should pad small messages to 1K', function () {
+      const data = encodeWithPadding(toUTF8('{}'));
+      expect(data.length).to.equal(1024);
+      expect(fromUTF8(decodeWithPadding(data))).to.equal('{}');
+    });
+
+    it('should pad to the next power of two', function () {
+      const message = incompressibleMessage(5000);
+      const data = encodeWithPadding(message);
+      expect(data.length).to.equal(8192);
+      expect(decodeWithPadding(data)).to.deep.equal(message);
+    });
+
+    it('should reject messages above 32K', function () {
+      expectTooBig(() => encodeWithPadding(incompressibleMessage(40000)));
+    });
+  });
+
+  describe('#PaddingPolicy', function () {
+    it('should support fixed buckets', function () {
+      const policy = new PaddingPolicy({ buckets: [2048, 16384] });
+      expect(encodeWithPadding(toUTF8('{}'), policy).length).to.equal(2048);
+      expect(
+        encodeWithPadding(incompressibleMessage(3000), policy).length,
+      ).to.equal(16384);
+      expectTooBig(() =>
+        encodeWithPadding(incompressibleMessage(20000), policy),
+      );
+    });
+
+    it('should support lowering the max size', function () {
+      const policy = new PaddingPolicy({ maxSize: 4096 });
+      expect(policy.buckets).to.deep.equal([1024, 2048, 4096]);
+      expectTooBig(() =>
+        encodeWithPadding(incompressibleMessage(5000), policy),
+      );
+    });
+
+    it('should reject invalid buckets', function () {
+      for (const buckets of [
+        [],
+        [2048, 1024],
+        [1024, 1024],
+        [1024, 65536],
+        [1.5],
+      ]) {
+        expect(() => new PaddingPolicy({ buckets })).to.throw();
+      }
+    });
+
+    it('should expose the size class of messages', function () {
+      const policy = new PaddingPolicy();
+      const { compressedSize, paddedSize, overhead, fits } =
+        policy.getSizeClass(incompressibleMessage(5000));
+      expect(paddedSize).to.equal(8192);
+      expect(overhead).to.equal(paddedSize - compressedSize);
+      expect(fits).to.be.true;
+
+      expect(policy.getSizeClass(incompressibleMessage(40000))).to.include({
+        paddedSize: null,
+        overhead: null,
+        fits: false,
+      });
+    });
+
+    it('should agree with the encoding on the size class', function () {
+      const policy = new PaddingPolicy();
+      for (const size of [0, 1000, 1020, 1030, 32700, 32750, 32800]) {
+        const message = incompressibleMessage(size);
+        const { fits, paddedSize } = policy.getSizeClass(message);
+        if (fits) {
+          expect(encodeWithPadding(message, policy).length).to.equal(
+            paddedSize,
+          );
+        } else {
+          expectTooBig(() => encodeWithPadding(message, policy));
+        }
+      }
+    });
+  });
+
+  describe('#splitIntoChunks', function () {
+    it('should split messages into chunks that fit', function () {
+      const policy = new PaddingPolicy({ maxSize: 4096, chunking: true });
+      const message = incompressibleMessage(20000);
+      const chunks = splitIntoChunks(message, policy);
+      expect(chunks.length).to.be.above(1);
+
+      const parsed = chunks.map((chunk) => JSON.parse(chunk));
+      for (const [seq, chunk] of parsed.entries()) {
+        expect(policy.getSizeClass(toUTF8(chunks[seq])).fits).to.be.true;
+        expect(chunk).to.include({
+          action: 'chunk',
+          id: parsed[0].id,
+          seq,
+          total: chunks.length,
+        });
+      }
+
+      const compressed = parsed.flatMap(({ data }) => [...fromBase64(data)]);
+      expect(inflate(new Uint8Array(compressed))).to.deep.equal(message);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import InMemoryDatabase from './helpers/in-memory-database.js';
+import ReferenceCollector from './helpers/reference-collector.js';
+
+import ProxySelector from '../src/proxy-selector.js';
+import AnonymousCommunication from '../src/index.js';
+import { TransportError } from '../src/errors.js';
+import logger from '../src/logger.js';
+
+logger.disable();
+
+const MINUTE = 60 * 1000;
+
+describe('#ProxySelector', function () {
+  let uut;
+
+  beforeEach(function () {
+    uut = new ProxySelector({
+      urlTemplate: 'https://proxy-*.test',
+      minProxy: 1,
+      maxProxy: 3,
+      initialCooldown: MINUTE,
+      maxCooldown: 10 * MINUTE,
+    });
+  });
+
+  function chooseMany({ n = 100, now, exclude } = {}) {
+    const seen = new Set();
+    for (let i = 0; i < n; i += 1) {
+      seen.add(uut.choose({ now, exclude }).proxyNum);
+    }
+    return [...seen].sort();
+  }
+
+  it('should pick proxies from the configured range', function () {
+    expect(chooseMany()).to.deep.equal([1, 2, 3]);
+    expect(uut.choose())
+      .to.have.property('url')
+      .that.matches(/^https:\/\/proxy-[1-3]\.test$/);
+  });
+
+  it('should support templates without placeholders', function () {
+    uut = new ProxySelector({ urlTemplate: 'https://proxy.test' });
+    expect(uut.choose()).to.deep.equal({
+      proxyNum: 1,
+      url: 'https://proxy.test',
+    });
+  });
+
+  it('should reject invalid ranges', function () {
+    expect(
+      () =>
+        new ProxySelector({
+          urlTemplate: 'https://proxy-*.test',
+          minProxy: 5,
+          maxProxy: 1,
+        }),
+    ).to.throw();
+  });
+
+  it('should temporarily exclude failed proxies', function () {
+    const now = Date.now();
+    uut.reportFailure(2, { now });
+    expect(chooseMany({ now })).to.deep.equal([1, 3]);
+    expect(uut.getStats({ now })).to.deep.equal({ numProxies: 3, excluded: 1 });
+
+    expect(chooseMany({ now: now + MINUTE })).to.deep.equal([1, 2, 3]);
+  });
+
+  it('should increase the cooldown after repeated failures', function () {
+    const now = Date.now();
+    uut.reportFailure(2, { now });
+    uut.reportFailure(2, { now });
+    uut.reportFailure(2, { now });
+    expect(chooseMany({ now: now + 3 * MINUTE })).to.deep.equal([1, 3]);
+    expect(chooseMany({ now: now + 4 * MINUTE })).to.deep.equal([1, 2, 3]);
+  });
+
+  it('should forget failures after a success', function () {
+    const now = Date.now();
+    uut.reportFailure(2, { now });
+    uut.reportSuccess(2);
+    expect(chooseMany({ now })).to.deep.equal([1, 2, 3]);
+  });
+
+  it('should honor explicit exclusions', function () {
+    expect(chooseMany({ exclude: [1] })).to.deep.equal([2, 3]);
+  });
+
+  it('should fall back to any proxy if all are unhealthy', function () {
+    const now = Date.now();
+    [1, 2, 3].forEach((num) => uut.reportFailure(num, { now }));
+    expect(chooseMany({ now })).to.deep.equal([1, 2, 3]);
+  });
+
+  describe('in ProxiedHttp', function () {
+    let collector;
+    let communication;
+    let brokenProxies;
+    let attempts;
+
+    beforeEach(async function () {
+      collector = new ReferenceCollector();
+      await collector.init();
+      collector.install();
+      brokenProxies = new Set();
+      attempts = [];
+      globalThis.fetch = async (url, options) => {
+        const { hostname } = new URL(url);
+        attempts.push(hostname);
+        if (brokenProxies.has(hostname)) {
+          return new Response('', { status: 502 });
+        }
+        return collector.fetch(url, options);
+      };
+
+      communication = new AnonymousCommunication({
+        config: {
+          ...collector.config,
+          COLLECTOR_PROXY_MIN: 1,
+          COLLECTOR_PROXY_MAX: 2,
+          CHANNEL: 'test-channel',
+        },
+        connectDatabase: () => new InMemoryDatabase(),
+      });
+      await communication.serverPublicKeyAccessor.getKey();
+      attempts = [];
+    });
+
+    afterEach(function () {
+      collector.uninstall();
+    });
+
+    it('should retry once with a different proxy', async function () {
+      brokenProxies.add('proxy-1.collector.test');
+      for (let i = 0; i < 10; i += 1) {
+        await communication.send({ action: 'test' });
+      }
+      expect(collector.receivedMessages).to.have.lengthOf(10);
+
+      // the broken proxy should have been tried only once
+      expect(
+        attempts.filter((x) => x === 'proxy-1.collector.test'),
+      ).to.have.lengthOf.at.most(1);
+    });
+
+    it('should fail if the fallback proxy is broken as well', async function () {
+      brokenProxies.add('proxy-1.collector.test');
+      brokenProxies.add('proxy-2.collector.test');
+      try {
+        await communication.send({ action: 'test' });
+        expect.fail('should have thrown');
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(TransportError);
+      }
+      expect(attempts).to.have.lengthOf(2);
+      expect(new Set(attempts).size).to.equal(2);
+    });
+
+    it('should not blame the proxy if the request was cancelled', async function () {
+      const controller = new AbortController();
+      globalThis.fetch = (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          attempts.push(new URL(url).hostname);
+          signal.addEventListener('abort', () => reject(signal.reason));
+          controller.abort(new Error('cancelled'));
+        });
+      const pending = communication.sendInstant({
+        action: 'test',
+        signal: controller.signal,
+      });
+      try {
+        await pending;
+        expect.fail('should have thrown');
+      } catch (e) {
+        expect(e.message).to.equal('cancelled');
+      }
+      expect(attempts).to.have.lengthOf(1);
+      expect(
+        communication.proxiedHttp.proxySelector.getStats().excluded,
+      ).to.equal(0);
+    });
+  });
+});
@@ -16,6 +16,8 @@ import { Buffer } from 'buffer';
 import InMemoryDatabase from './helpers/in-memory-database.js';
 
 import ServerPublicKeyAccessor from '../src/server-public-key-accessor.js';
+import { InvalidServerPublicKeys } from '../src/errors.js';
+import { toBase64, toUTF8 } from '../src/encoding.js';
 import logger from '../src/logger.js';
 
 logger.disable();
@@ -132,4 +134,147 @@ describe('#ServerPublicKeyAccessor', function () {
     });
     expect(MOCKS.fetch._numCalls).to.equal(0);
   });
+
+  describe('with signed keys', function () {
+    let signingKeys;
+    let expiresAt;
+    let signedPubKeys;
+
+    async function sign(payload, privateKey = signingKeys.privateKey) {
+      const signature = await crypto.subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        privateKey,
+        toUTF8(payload),
+      );
+      return toBase64(new Uint8Array(signature));
+    }
+
+    async function signPubKeys({
+      dates = MOCKS.dates,
+      privateKey = signingKeys.privateKey,
+    } = {}) {
+      const pubKeys = {};
+      dates.forEach((d) => {
+        pubKeys[d] = MOCKS.fakeKey;
+      });
+      const payload = JSON.stringify({ pubKeys, expiresAt });
+      return { payload, signature: await sign(payload, privateKey) };
+    }
+
+    async function expectInvalidKeys(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(InvalidServerPublicKeys);
+        return;
+      }
+      expect.fail('Expected the keys to be rejected');
+    }
+
+    async function generateSigningKeys() {
+      return crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        true,
+        ['sign', 'verify'],
+      );
+    }
+
+    beforeEach(async function () {
+      // only the ECDH keys are faked; the signature checks are real
+      const importKey = crypto.subtle.importKey.wrappedMethod;
+      crypto.subtle.importKey.callsFake((...args) =>
+        args[2].name === 'ECDSA'
+          ? importKey.apply(crypto.subtle, args)
+          : MOCKS.importKey(),
+      );
+
+      signingKeys = await generateSigningKeys();
+      const rawSigningKey = new Uint8Array(
+        await crypto.subtle.exportKey('raw', signingKeys.publicKey),
+      );
+      uut = new ServerPublicKeyAccessor({
+        config: {
+          COLLECTOR_DIRECT_URL: '192.0.2.0', // TEST-NET-1 address
+          COLLECTOR_PUBKEYS_SIGNING_KEY: toBase64(rawSigningKey),
+        },
+        database,
+      });
+
+      expiresAt = Date.now() + 7 * 24 * 60 * 60 * 1000;
+      signedPubKeys = await signPubKeys();
+      MOCKS.fetch = async () => {
+        MOCKS.fetch._numCalls += 1;
+        return mockedResponse({ body: JSON.stringify({ signedPubKeys }) });
+      };
+      MOCKS.fetch._numCalls = 0;
+      window.fetch.callsFake((...args) => MOCKS.fetch(...args));
+    });
+
+    it('should accept keys with a valid signature', async function () {
+      expect(await uut.getKey(MOCKS.today)).to.deep.equal({
+        date: MOCKS.today,
+        publicKey: MOCKS.fakeImportedKey,
+      });
+    });
+
+    it('should reject unsigned keys', async function () {
+      MOCKS.fetch = async () => {
+        const pubKeys = { [MOCKS.today]: MOCKS.fakeKey };
+        return mockedResponse({ body: JSON.stringify({ pubKeys }) });
+      };
+      await expectInvalidKeys(uut.getKey(MOCKS.today));
+    });
+
+    it('should reject keys signed by another key', async function () {
+      const { privateKey } = await generateSigningKeys();
+      signedPubKeys = await signPubKeys({ privateKey });
+      await expectInvalidKeys(uut.getKey(MOCKS.today));
+    });
+
+    it('should reject keys if the payload was modified', async function () {
+      const { signature } = signedPubKeys;
+      const { payload } = await signPubKeys({ dates: [MOCKS.today] });
+      signedPubKeys = { payload, signature };
+      await expectInvalidKeys(uut.getKey(MOCKS.today));
+    });
+
+    it('should reject expired keys', async function () {
+      expiresAt = Date.now() - 1;
+      signedPubKeys = await signPubKeys();
+      await expectInvalidKeys(uut.getKey(MOCKS.today));
+    });
+
+    it('should cache verified keys on disk', async function () {
+      await uut.getKey(MOCKS.today);
+      expect(MOCKS.fetch._numCalls).to.equal(1);
+
+      uut._knownKeys = new Map();
+      expect(await uut.getKey(MOCKS.today)).to.deep.equal({
+        date: MOCKS.today,
+        publicKey: MOCKS.fakeImportedKey,
+      });
+      expect(MOCKS.fetch._numCalls).to.equal(1);
+    });
+
+    it('should refetch keys if the keys on disk expired', async function () {
+      expiresAt = Date.now() - 1;
+      await database.set(uut.storageKey, await signPubKeys());
+
+      expiresAt = Date.now() + 60 * 1000;
+      signedPubKeys = await signPubKeys();
+      expect(await uut.getKey(MOCKS.today)).to.deep.equal({
+        date: MOCKS.today,
+        publicKey: MOCKS.fakeImportedKey,
+      });
+      expect(MOCKS.fetch._numCalls).to.equal(1);
+    });
+
+    it('should ignore unsigned keys on disk', async function () {
+      await database.set('server-ecdh-keys', [
+        [MOCKS.today, Buffer.from(MOCKS.fakeKey, 'base64')],
+      ]);
+      await uut.getKey(MOCKS.today);
+      expect(MOCKS.fetch._numCalls).to.equal(1);
+    });
+  });
 });
@@ -0,0 +1,82 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import TransportMetrics from '../src/transport-metrics.js';
+import { TransportError } from '../src/errors.js';
+
+describe('#TransportMetrics', function () {
+  let uut;
+
+  beforeEach(function () {
+    uut = new TransportMetrics({ maxLatencySamples: 10 });
+  });
+
+  it('should start empty', function () {
+    expect(uut.getStats()).to.deep.equal({
+      sends: 0,
+      delivered: 0,
+      failures: {},
+      bytesBeforePadding: 0,
+      bytesAfterPadding: 0,
+      lastDeliveredAt: null,
+      lastFailedAt: null,
+      proxyLatency: { samples: 0, p50: null, p90: null, p99: null },
+    });
+  });
+
+  it('should count sends and bytes', function () {
+    uut.recordSend({ bytesBeforePadding: 100, bytesAfterPadding: 1024 });
+    uut.recordSend({ bytesBeforePadding: 3000, bytesAfterPadding: 4096 });
+    uut.recordDelivery({ now: 42 });
+    expect(uut.getStats()).to.include({
+      sends: 2,
+      delivered: 1,
+      bytesBeforePadding: 3100,
+      bytesAfterPadding: 5120,
+      lastDeliveredAt: 42,
+    });
+  });
+
+  it('should group failures by error class', function () {
+    uut.recordFailure(new TransportError('network down'));
+    uut.recordFailure(new TransportError('network down'));
+    uut.recordFailure(new Error('bug'));
+    expect(uut.getStats().failures).to.deep.equal({
+      TransportError: 2,
+      Error: 1,
+    });
+    expect(uut.totalFailures).to.equal(3);
+  });
+
+  it('should compute latency percentiles', function () {
+    for (let i = 1; i <= 10; i += 1) {
+      uut.recordProxyLatency(i * 100);
+    }
+    expect(uut.getLatencyPercentiles()).to.deep.equal({
+      samples: 10,
+      p50: 500,
+      p90: 900,
+      p99: 1000,
+    });
+  });
+
+  it('should only keep the most recent latencies', function () {
+    for (let i = 0; i < 10; i += 1) {
+      uut.recordProxyLatency(10000);
+    }
+    for (let i = 0; i < 10; i += 1) {
+      uut.recordProxyLatency(1);
+    }
+    expect(uut.getLatencyPercentiles()).to.include({ samples: 10, p99: 1 });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import InMemoryDatabase from './helpers/in-memory-database.js';
+
+import { TrustedClock } from '../src/trusted-clock.js';
+import { ClockOutOfSync } from '../src/errors.js';
+import logger from '../src/logger.js';
+
+logger.disable();
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+describe('#TrustedClock', function () {
+  let clock;
+  let database;
+  let uut;
+
+  // 2020-01-02 12:00 (UTC)
+  const localTime = Date.UTC(2020, 0, 2, 12, 0, 0);
+
+  function observe(offset, { roundTripTime = 200 } = {}) {
+    const requestStartedAt = Date.now();
+    const responseReceivedAt = requestStartedAt + roundTripTime;
+    return uut.updateFromServerTime({
+      serverTime: requestStartedAt + roundTripTime / 2 + offset,
+      requestStartedAt,
+      responseReceivedAt,
+    });
+  }
+
+  beforeEach(async function () {
+    clock = sinon.useFakeTimers(localTime);
+    database = new InMemoryDatabase();
+    uut = new TrustedClock({ database });
+    await uut._pendingRestore;
+  });
+
+  afterEach(function () {
+    clock.restore();
+  });
+
+  it('should trust the system clock without observations', function () {
+    expect(uut.checkTime().inSync).to.be.true;
+    expect(uut.now()).to.equal(localTime);
+    expect(uut.getTimeAsYYYYMMDD()).to.equal('20200102');
+    expect(uut.getTimeAsYYYYMMDDHH()).to.equal('2020010212');
+  });
+
+  it('should tolerate small offsets', async function () {
+    expect(await observe(2 * MINUTE)).to.be.true;
+    expect(uut.checkTime()).to.include({ inSync: true, offset: 2 * MINUTE });
+    expect(uut.now()).to.equal(localTime);
+  });
+
+  it('should detect if the system clock is off', async function () {
+    expect(await observe(-3 * HOUR)).to.be.true;
+    expect(uut.checkTime()).to.include({ inSync: false, offset: -3 * HOUR });
+    expect(() => uut.now()).to.throw(ClockOutOfSync);
+    expect(() => uut.getTimeAsYYYYMMDD()).to.throw(ClockOutOfSync);
+  });
+
+  it('should recover once the system clock is fixed', async function () {
+    await observe(24 * HOUR);
+    expect(uut.checkTime().inSync).to.be.false;
+
+    await observe(SECOND);
+    expect(uut.checkTime().inSync).to.be.true;
+  });
+
+  it('should ignore observations with high round trip times', async function () {
+    expect(await observe(3 * HOUR, { roundTripTime: 5 * MINUTE })).to.be.false;
+    expect(uut.checkTime().inSync).to.be.true;
+  });
+
+  it('should ignore invalid server times', async function () {
+    for (const serverTime of [undefined, null, NaN, -1, 'now']) {
+      expect(
+        await uut.updateFromServerTime({
+          serverTime,
+          requestStartedAt: Date.now(),
+        }),
+      ).to.be.false;
+    }
+    expect(uut.checkTime()).to.include({ inSync: true, offset: 0 });
+  });
+
+  it('should restore the offset from disk', async function () {
+    await observe(-3 * HOUR);
+
+    const newInstance = new TrustedClock({ database });
+    await newInstance._pendingRestore;
+    expect(newInstance.checkTime()).to.include({
+      inSync: false,
+      offset: -3 * HOUR,
+    });
+  });
+
+  it('should ignore corrupted data on disk', async function () {
+    await database.set(uut.storageKey, { offset: 'foo', syncedAt: 1 });
+
+    const newInstance = new TrustedClock({ database });
+    await newInstance._pendingRestore;
+    expect(newInstance.checkTime()).to.include({ inSync: true, offset: 0 });
+  });
+
+  it('should use the "Date" header of responses', async function () {
+    const requestStartedAt = Date.now();
+    const response = new Response('', {
+      headers: { Date: new Date(requestStartedAt + 2 * HOUR).toUTCString() },
+    });
+    expect(await uut.updateFromDateHeader(response, { requestStartedAt })).to.be
+      .true;
+    expect(uut.checkTime().inSync).to.be.false;
+  });
+
+  it('should stop trusting outdated offsets', async function () {
+    await observe(-3 * HOUR);
+    expect(uut.checkTime().inSync).to.be.false;
+
+    clock.tick(uut.maxOffsetAge + MINUTE);
+    expect(uut.checkTime()).to.include({ inSync: true, offset: 0 });
+    expect(uut.getTimeAsYYYYMMDD()).to.be.a('string');
+  });
+
+  it('should not trust offsets if the system clock jumped back', async function () {
+    await observe(3 * HOUR);
+    expect(uut.checkTime().inSync).to.be.false;
+
+    clock.setSystemTime(localTime - HOUR);
+    expect(uut.checkTime()).to.include({ inSync: true, offset: 0 });
+  });
+
+  describe('with resync', function () {
+    let resync;
+
+    beforeEach(async function () {
+      resync = sinon.spy(() => observe(SECOND));
+      uut = new TrustedClock({ database, resync });
+      await uut._pendingRestore;
+    });
+
+    it('should not resync if the clock is in sync', async function () {
+      expect(await uut.resyncIfOutOfSync()).to.include({ inSync: true });
+      expect(resync.called).to.be.false;
+    });
+
+    it('should take a new sample before giving up', async function () {
+      await observe(-3 * HOUR);
+      expect(await uut.resyncIfOutOfSync()).to.include({
+        inSync: true,
+        offset: SECOND,
+      });
+      expect(resync.calledOnce).to.be.true;
+    });
+
+    it('should resync in the background if the caller cannot wait', async function () {
+      await observe(-3 * HOUR);
+      expect(() => uut.now()).to.throw(ClockOutOfSync);
+      await uut._pendingResync;
+      expect(uut.now()).to.equal(localTime);
+    });
+
+    it('should limit the number of resyncs', async function () {
+      resync = sinon.spy(() => observe(-3 * HOUR));
+      uut.resync = resync;
+      await observe(-3 * HOUR);
+
+      expect(await uut.resyncIfOutOfSync()).to.include({ inSync: false });
+      expect(await uut.resyncIfOutOfSync()).to.include({ inSync: false });
+      expect(resync.calledOnce).to.be.true;
+
+      clock.tick(uut.minResyncInterval);
+      await uut.resyncIfOutOfSync();
+      expect(resync.calledTwice).to.be.true;
+    });
+
+    it('should survive failing resyncs', async function () {
+      uut.resync = sinon.stub().rejects(new Error('network down'));
+      await observe(-3 * HOUR);
+      expect(await uut.resyncIfOutOfSync()).to.include({ inSync: false });
+    });
+  });
+});
@@ -89,6 +89,7 @@ const urlReporter = new UrlReporter({
   storage: createStorage(),
   connectDatabase: createStorage,
   communication,
+  alarms: chrome.alarms,
 });
 
 const requestReporter = new RequestReporter(config.request, {
@@ -127,6 +128,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     })();
 
+    return true;
+  } else if (request.action === 'jobs') {
+    const { queueLength, deadLetters } =
+      urlReporter.jobScheduler._describeJobs();
+    sendResponse({ queueLength, deadLetters });
+  } else if (request.action === 'replay-dead-letters') {
+    urlReporter.jobScheduler.replayDeadLetters().then(sendResponse);
+    return true;
+  } else if (request.action === 'purge-dead-letters') {
+    urlReporter.jobScheduler.purgeDeadLetters().then(sendResponse);
     return true;
   }
 });
@@ -1,6 +1,18 @@
 const browser = globalThis.browser || globalThis.chrome;
 const $container = document.querySelector('#page-store');
 const $filter = document.querySelector('#filter');
+const $deadLetters = document.querySelector('#dead-letters');
+
+document
+  .querySelector('#replay-dead-letters')
+  .addEventListener('click', () =>
+    browser.runtime.sendMessage({ action: 'replay-dead-letters' }),
+  );
+document
+  .querySelector('#purge-dead-letters')
+  .addEventListener('click', () =>
+    browser.runtime.sendMessage({ action: 'purge-dead-letters' }),
+  );
 
 $filter.value = localStorage.filter || '';
 $filter.addEventListener('input', () => {
@@ -20,6 +32,14 @@ async function render() {
       : tabs.filter((tab) => tab.url.includes(localStorage.filter));
   }
   $container.innerHTML = JSON.stringify(tabs, null, 2);
+
+  let { deadLetters } = await browser.runtime.sendMessage({ action: 'jobs' });
+  if (localStorage.filter) {
+    deadLetters = deadLetters.filter((x) =>
+      JSON.stringify(x).includes(localStorage.filter),
+    );
+  }
+  $deadLetters.textContent = JSON.stringify(deadLetters, null, 2);
 }
 
 await render();
@@ -0,0 +1,19 @@
+const path = require('path');
+const { nodeResolve } = require('@rollup/plugin-node-resolve');
+const commonjs = require('@rollup/plugin-commonjs');
+const json = require('@rollup/plugin-json');
+
+// Tools that run in Node.js (outside of the extension). Only the sources
+// of this package are bundled; dependencies are loaded from node_modules.
+module.exports = [
+  {
+    input: 'tools/test-patterns.js',
+    plugins: [nodeResolve(), commonjs(), json()],
+    external: (id, importer) =>
+      !!importer && !id.startsWith('.') && !path.isAbsolute(id),
+    output: {
+      file: 'tools/test-patterns.bundle.mjs',
+      format: 'es',
+    },
+  },
+];
@@ -0,0 +1,103 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { BadPatternError } from './errors';
+import { isValidHost } from './url-patterns';
+import { requireObject, requireString, requireArrayOfStrings } from './utils';
+
+const MAX_PREFIX_LENGTH = 256;
+const MAX_RULES_PER_CATEGORY = 20;
+const MAX_HOSTS_PER_RULE = 50;
+
+/**
+ * Compiles a single ad redirect rule into a function that takes a URL
+ * and returns whether it is a redirect of an ad click.
+ *
+ * Example:
+ * {
+ *   "prefix": "https://duckduckgo.com/y.js?",
+ *   "params": ["ad_domain", "ad_provider", "ad_type"]
+ * }
+ *
+ * - prefix (optional): the URL must start with it
+ * - hosts (optional): the hostname of the URL must be in the list
+ * - params (optional): query parameters that must be present
+ *
+ * At least one of "prefix" or "hosts" must be defined. If multiple
+ * conditions are given, all of them have to match.
+ */
+export function compileAdRedirectRule(definition) {
+  requireObject(definition, 'ad redirect rule');
+  const { prefix, hosts, params = [] } = definition;
+  if (prefix === undefined && hosts === undefined) {
+    throw new BadPatternError('Ad redirect rule needs a prefix or hosts');
+  }
+  const checks = [];
+  if (prefix !== undefined) {
+    requireString(prefix, 'prefix');
+    if (!prefix.startsWith('https://') || prefix.length > MAX_PREFIX_LENGTH) {
+      throw new BadPatternError(`Bad prefix: ${prefix}`);
+    }
+    checks.push((url) => url.startsWith(prefix));
+  }
+  if (hosts !== undefined) {
+    requireArrayOfStrings(hosts, 'hosts');
+    if (
+      hosts.length === 0 ||
+      hosts.length > MAX_HOSTS_PER_RULE ||
+      !hosts.every(isValidHost)
+    ) {
+      throw new BadPatternError(`Bad hosts: ${hosts}`);
+    }
+    const allowedHosts = new Set(hosts);
+    checks.push((url, parsedUrl) => allowedHosts.has(parsedUrl()?.hostname));
+  }
+  requireArrayOfStrings(params, 'params');
+  if (params.length > 0) {
+    checks.push((url, parsedUrl) => {
+      const searchParams = parsedUrl()?.searchParams;
+      return !!searchParams && params.every((key) => searchParams.has(key));
+    });
+  }
+
+  return (url) => {
+    let parsed;
+    const parsedUrl = () => {
+      if (parsed === undefined) {
+        try {
+          parsed = new URL(url);
+        } catch (e) {
+          parsed = null;
+        }
+      }
+      return parsed;
+    };
+    return checks.every((check) => check(url, parsedUrl));
+  };
+}
+
+/**
+ * Compiles the list of ad redirect rules of a search category into a
+ * single matcher (a URL matches if it matches any of the rules).
+ * Throws if any of the rules is invalid.
+ */
+export function compileAdRedirectRules(definitions) {
+  if (!Array.isArray(definitions)) {
+    throw new BadPatternError('Ad redirect rules must be an array');
+  }
+  if (definitions.length > MAX_RULES_PER_CATEGORY) {
+    throw new BadPatternError(
+      `Too many ad redirect rules: ${definitions.length} > ${MAX_RULES_PER_CATEGORY}`,
+    );
+  }
+  const rules = definitions.map(compileAdRedirectRule);
+  return (url) => rules.some((rule) => rule(url));
+}
@@ -19,6 +19,51 @@ const DAY = 24 * HOUR;
 
 const ATTRACK_JOB_TYPE = 'attrack:send-message:v1';
 
+function splitInHalves(array) {
+  const mid = Math.ceil(array.length / 2);
+  return [array.slice(0, mid), array.slice(mid)];
+}
+
+/**
+ * Pages with many third parties can exceed the message size limit.
+ * In that case, the third parties are distributed over multiple messages
+ * with identical page information. Only the first message counts the
+ * page load ("c"); otherwise, the page would be counted multiple times.
+ */
+function splitTpEvents(message) {
+  const { data } = message.payload;
+  if (data.length > 1) {
+    return splitInHalves(data).map((part) => ({
+      ...message,
+      payload: { ...message.payload, data: part },
+    }));
+  }
+
+  const [page] = data;
+  const tps = Object.entries(page.tps);
+  if (tps.length <= 1) {
+    return null;
+  }
+  return splitInHalves(tps).map((part, i) => ({
+    ...message,
+    payload: {
+      ...message.payload,
+      data: [
+        {
+          ...page,
+          c: i === 0 ? page.c : 0,
+          tps: Object.fromEntries(part),
+        },
+      ],
+    },
+  }));
+}
+
+// action -> function to split the message (or null if not possible)
+const SPLITTERS = {
+  'wtm.attrack.tp_events': splitTpEvents,
+};
+
 export default class AttrackMessageHandler {
   constructor({ communication, jobScheduler }) {
     this.communication = requireParam(communication);
@@ -59,6 +104,12 @@ export default class AttrackMessageHandler {
     requireParam(message);
     requireString(message.action);
 
+    for (const part of this._splitIfTooBig(message)) {
+      this._sendInBackground(part);
+    }
+  }
+
+  _sendInBackground(message) {
     if (this.jobScheduler.active) {
       const job = {
         type: ATTRACK_JOB_TYPE,
@@ -78,6 +129,29 @@ export default class AttrackMessageHandler {
     }
   }
 
+  // Too big messages will be rejected by the communication layer.
+  // Where it is possible, it is better to split them in advance.
+  _splitIfTooBig(message) {
+    const split = SPLITTERS[message.action];
+    if (!split || !this.communication.getSizeClass) {
+      return [message];
+    }
+    try {
+      if (this.communication.getSizeClass(message).fits) {
+        return [message];
+      }
+      const parts = split(message);
+      if (!parts) {
+        logger.warn('Message is too big, but cannot be split:', message);
+        return [message];
+      }
+      return parts.flatMap((part) => this._splitIfTooBig(part));
+    } catch (e) {
+      logger.warn('Failed to check the size of the message', e);
+      return [message];
+    }
+  }
+
   _sendNowInBackground(message) {
     this.communication.send(message).catch((e) => {
       logger.error('Failed to send message', e);
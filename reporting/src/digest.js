@@ -26,8 +26,20 @@
  * drawback of needing more space (not a show-stopper, but a concern on the server side).
  */
 export async function sha1(str) {
+  return digest('SHA-1', str);
+}
+
+/**
+ * Unlike sha1, it is intended for integrity checks (e.g. to verify that
+ * incremental pattern updates reproduced the expected result).
+ */
+export async function sha256(str) {
+  return digest('SHA-256', str);
+}
+
+async function digest(algorithm, str) {
   const dataUint8 = new TextEncoder().encode(str);
-  const hashBuffer = await crypto.subtle.digest('SHA-1', dataUint8);
+  const hashBuffer = await crypto.subtle.digest(algorithm, dataUint8);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
 }
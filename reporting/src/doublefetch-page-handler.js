@@ -498,7 +498,9 @@ export default class DoublefetchPageHandler {
         depth,
       };
 
-      const { accept, reason } = this.sanitizer.checkSuspiciousQuery(query);
+      const { accept, reason } = this.sanitizer.checkSuspiciousQuery(query, {
+        category: 'page-query',
+      });
       if (!accept) {
         log('Omitting search query from page:', { query, reason });
         safePage.search.query = null;
@@ -518,7 +520,9 @@ export default class DoublefetchPageHandler {
         safePage.url,
       );
     } else if (isCanonicalUrl || isIndexed || safePage.requestedIndex) {
-      const { result, reason } = sanitizeUrl(safePage.url);
+      const { result, reason } = this.sanitizer.sanitizeUrl(safePage.url, {
+        category: 'page-url',
+      });
       if (result !== 'safe') {
         logWarn(
           'The page appears to be public, but it will be dropped, since it failed standard static checks for the URL',
@@ -529,7 +533,10 @@ export default class DoublefetchPageHandler {
         return null;
       }
     } else {
-      const { result, reason } = sanitizeUrl(safePage.url, { strict: true });
+      const { result, reason } = this.sanitizer.sanitizeUrl(safePage.url, {
+        strict: true,
+        category: 'page-url-strict',
+      });
       if (result !== 'safe') {
         log(
           'Failed strict static checks for the URL',
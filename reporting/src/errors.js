@@ -93,6 +93,18 @@ export class RateLimitedByServerError extends TemporarilyUnableToFetchUrlError {
  */
 export class BadPatternError extends PermanentError {}
 
+/**
+ * Thrown if the signature of the patterns is missing or invalid.
+ * Note that it may also indicate that the CDN has been compromised.
+ */
+export class InvalidPatternSignatureError extends PermanentError {}
+
+/**
+ * Thrown if an incremental pattern update (diff) cannot be applied.
+ * The caller is expected to fall back to fetching the full patterns.
+ */
+export class PatternsDiffError extends PermanentError {}
+
 /**
  * Thrown when an unknown transformation builtin is referrenced.
  * In most situation, it means the client is outdated.
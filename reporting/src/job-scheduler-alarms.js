@@ -0,0 +1,161 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import logger from './logger';
+import { requireParam, requireString } from './utils';
+import SeqExecutor from './seq-executor';
+import SelfCheck from './self-check';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+/**
+ * Optional driver for the JobScheduler that wakes up the service worker
+ * (Manifest V3) when the next job becomes ready. Without it, jobs will
+ * only run if the service worker is started by other events; for users
+ * that rarely browse, jobs may otherwise sit until their TTL expires.
+ *
+ * There will be at most one alarm, which is armed for the earliest
+ * time when a job can be executed. To avoid frequent wake-ups, the
+ * alarms are coarse: they will be rounded up to full minutes (the
+ * alarms API will not fire more often anyway).
+ *
+ * If the alarms API is not available (e.g. because the "alarms"
+ * permission is missing), the driver stays inactive. The scheduler
+ * will then keep working as before.
+ */
+export default class JobSchedulerAlarms {
+  constructor({
+    jobScheduler,
+    alarms,
+    onWakeUp,
+    alarmName = 'wtm-reporting-job-scheduler',
+    granularityInMs = 1 * MINUTE,
+  }) {
+    this.jobScheduler = requireParam(jobScheduler);
+    this.alarms = alarms;
+    this.onWakeUp = requireParam(onWakeUp);
+    this.alarmName = requireString(alarmName);
+    this.granularityInMs = granularityInMs;
+
+    this.active = false;
+    this.unavailable = false;
+    this._armExecutor = new SeqExecutor();
+    this._armPending = false;
+    this._onAlarm = this._onAlarm.bind(this);
+
+    // Note: the observers will be installed before the job scheduler is
+    // initialized. If the alarms are not active, they will be ignored.
+    const rearm = () => this.requestArm();
+    this.jobScheduler.addObserver('jobRegistered', rearm);
+    this.jobScheduler.addObserver('jobFailed', rearm);
+  }
+
+  async init() {
+    if (this.active) {
+      return;
+    }
+    if (!this.alarms?.create || !this.alarms?.onAlarm) {
+      logger.info(
+        'Alarms API not available (is the "alarms" permission missing?).',
+        'Jobs will only run when the service worker is woken up by other events.',
+      );
+      this.unavailable = true;
+      return;
+    }
+    this.alarms.onAlarm.addListener(this._onAlarm);
+    this.active = true;
+    this.requestArm();
+  }
+
+  unload() {
+    if (!this.active) {
+      return;
+    }
+    this.active = false;
+    this.alarms.onAlarm.removeListener(this._onAlarm);
+    this._clearAlarm().catch((e) => {
+      logger.warn('Failed to clear alarm', e);
+    });
+  }
+
+  /**
+   * Makes sure that the alarm reflects the current state of the queues.
+   * Multiple requests will be coalesced.
+   */
+  requestArm() {
+    if (!this.active || this._armPending) {
+      return;
+    }
+    this._armPending = true;
+    this._armExecutor
+      .run(async () => {
+        this._armPending = false;
+        if (this.active) {
+          await this._arm();
+        }
+      })
+      .catch((e) => {
+        logger.warn('Failed to arm alarm', e);
+      });
+  }
+
+  async _arm(now = Date.now()) {
+    await this.jobScheduler.ready();
+    const nextWakeUp = this.jobScheduler.getNextWakeUpTime(now);
+    const alarm = await this.alarms.get(this.alarmName);
+    if (nextWakeUp === null) {
+      if (alarm) {
+        logger.debug('No pending jobs. Clearing alarm.');
+        await this._clearAlarm();
+      }
+      return;
+    }
+
+    // Round up to the next slot; if there is already an alarm that fires
+    // before (but is not stale), keep it. After it fires, it will re-arm.
+    const { granularityInMs } = this;
+    const when =
+      Math.ceil((nextWakeUp + 1) / granularityInMs) * granularityInMs;
+    if (alarm && alarm.scheduledTime > now && alarm.scheduledTime <= when) {
+      return;
+    }
+    logger.debug('Arming alarm to wake up at', new Date(when));
+    await this.alarms.create(this.alarmName, { when });
+  }
+
+  async _clearAlarm() {
+    await this.alarms.clear(this.alarmName);
+  }
+
+  _onAlarm(alarm) {
+    if (!this.active || alarm?.name !== this.alarmName) {
+      return;
+    }
+    logger.debug('Woken up by alarm. Processing pending jobs...');
+    (async () => {
+      try {
+        await this.onWakeUp();
+      } catch (e) {
+        logger.warn('Failed to process jobs after wake-up', e);
+      } finally {
+        this.requestArm();
+      }
+    })();
+  }
+
+  async selfChecks(check = new SelfCheck()) {
+    if (this.unavailable) {
+      check.warn('alarms API is not available');
+    }
+    return check;
+  }
+}
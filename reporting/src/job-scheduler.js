@@ -10,8 +10,12 @@
  */
 
 import logger from './logger';
-import { randomBetween } from './random';
-import { BadJobError, BadJobHandlerError } from './errors';
+import { randomBetween, random32Bit } from './random';
+import {
+  BadJobError,
+  BadJobHandlerError,
+  RateLimitedByServerError,
+} from './errors';
 import SeqExecutor from './seq-executor';
 import { equalityCanBeProven } from './utils';
 import SelfCheck from './self-check';
@@ -34,6 +38,17 @@ const DAY = 24 * HOUR;
 const WEEK = 7 * DAY;
 const MONTH = 30 * DAY;
 
+// Expired or rejected jobs should not outlive their TTL (see _addDeadLetter)
+function isReplayableDeadLetter({ reason }) {
+  return reason !== 'expired' && reason !== 'rejected';
+}
+
+function newRandomId() {
+  return [random32Bit(), random32Bit()]
+    .map((x) => x.toString(16).padStart(8, '0'))
+    .join('');
+}
+
 class JobTester {
   constructor(now = Date.now()) {
     this.now = now;
@@ -47,6 +62,12 @@ class JobTester {
     return this.now >= jobEntry._meta.expireAt;
   }
 
+  // Note: jobs that were persisted before "retryAt" was introduced
+  // have no backoff, so they can be retried immediately.
+  isRetryDue(jobEntry) {
+    return this.now >= (jobEntry._meta.retryAt ?? 0);
+  }
+
   // Note: this will not guarantee that all expired jobs get removed.
   // It will only look at the jobs at the begin of the queue. Typically,
   // that should be enough to eventually reap them. If you need stronger
@@ -130,6 +151,41 @@ class JobTester {
  * - Jobs have TTLs and each queue can have size limits. By dropping jobs,
  *   the scheduler can provide stronger guarantees about resource usage.
  *
+ * Retries:
+ * - Jobs that fail with a permanent error (or with an unexpected error)
+ *   are dropped. Jobs that fail with a recoverable error are put into the
+ *   "retryable" queue, up to "maxAutoRetriesAfterError" times.
+ * - Retries use exponential backoff with jitter (starting with
+ *   "retryBackoffInMs", capped by "maxRetryBackoffInMs"). The time of the
+ *   next retry is persisted in "retryAt". Retries will only be started
+ *   if there are no new jobs of the same priority that are ready.
+ * - Once a job of the same type succeeds, one failed job will be retried
+ *   immediately, since the cause of the error (e.g. no network) is likely
+ *   gone. The exception are jobs that were rate limited by the server
+ *   (RateLimitedByServerError): they will always wait until "retryAt",
+ *   which is at least "rateLimitBackoffInMs" in the future.
+ *
+ * Dead letters:
+ * - Jobs that are removed without having succeeded (because they failed
+ *   without pending retries, expired or were rejected or dropped because
+ *   of the job limits) are kept in a bounded, persisted list of
+ *   "dead letters". It exists for troubleshooting: the entries can be
+ *   listed, replayed or purged (see "listDeadLetters").
+ * - To not undermine the TTLs of jobs, dead letters are kept at most
+ *   "maxDeadLetterAgeInMs" and never beyond the expiration of the job.
+ *   Jobs that expired or were rejected are only kept as a record (without
+ *   arguments) and cannot be replayed. Errors are stored without message.
+ *
+ * Job groups (see "registerJobGroup"):
+ * - Jobs can be registered as a group that share a correlation id. Jobs
+ *   spawned by members of the group will also join the group; thus, the
+ *   group will be completed once all jobs of the pipeline have finished.
+ * - Handlers get a context as second argument. With "context.setResult",
+ *   they can pass a result (must be serializable) to the optional
+ *   completion job, which runs once the whole group succeeded.
+ * - If a job of the group fails (without pending retries), expires or is
+ *   dropped, the group fails and the completion job will not be run.
+ *
  * Priorities:
  * - Each job type has an optional static priority. Jobs queue with higher
  *   priorities will be scheduled for execution before jobs with the
@@ -138,11 +194,14 @@ class JobTester {
  *   will be executed before newer jobs.
  *
  * Note:
- * - At the moment, it is intentionally not installing additional timers
- *   through the alert API. The assumption is that it will still be possible
- *   to clean up the queues fast enough. The second assumption is that
- *   executing jobs when the service worker is already running should be
- *   more resource friendly than waking up the user's device.
+ * - The scheduler itself is not installing additional timers through the
+ *   alarms API. The assumption is that it will still be possible to clean
+ *   up the queues fast enough. The second assumption is that executing jobs
+ *   when the service worker is already running should be more resource
+ *   friendly than waking up the user's device.
+ * - If jobs should not wait until the service worker is started by other
+ *   events, an alarm can be armed for the time returned by
+ *   "getNextWakeUpTime" (see JobSchedulerAlarms).
  */
 export default class JobScheduler {
   static STATES = [
@@ -159,6 +218,8 @@ export default class JobScheduler {
     'jobFailed',
     'jobExpired',
     'jobRejected',
+    'groupCompleted',
+    'groupFailed',
     'syncedToDisk',
   ];
 
@@ -174,6 +235,8 @@ export default class JobScheduler {
     this.defaultTTL = 2 * WEEK;
     this.maxTTL = 6 * MONTH;
     this.globalJobLimit = 10000;
+    this.maxDeadLetters = 100;
+    this.maxDeadLetterAgeInMs = 1 * DAY;
 
     this.defaultConfig = {
       priority: 0, // higher values will be executed before
@@ -187,6 +250,9 @@ export default class JobScheduler {
 
       // error handling:
       maxAutoRetriesAfterError: 2, // (give up after three attempts in total)
+      retryBackoffInMs: 30 * SECOND, // doubles after each failed attempt
+      maxRetryBackoffInMs: 6 * HOUR,
+      rateLimitBackoffInMs: 10 * MINUTE,
     };
     this._ensureValidHandlerConfig(this.defaultConfig);
     this.handlerConfigs = {};
@@ -195,6 +261,8 @@ export default class JobScheduler {
     // stored and loaded from local storage. Ideally, use only simple data
     // types (plain objects, arrays, strings and numbers).
     this.jobQueues = {}; // type -> [jobEntry] where jobEntry == { job, _meta }
+    this.jobGroups = {}; // correlation id -> { pending, results, completionJob, expireAt }
+    this.deadLetters = []; // oldest first (see _addDeadLetter)
 
     this.lastCheck = 0; // Unix epoch
     this.nextCheckTimer = null;
@@ -312,7 +380,51 @@ export default class JobScheduler {
     }
   }
 
-  _registerJob(job, now = Date.now()) {
+  /**
+   * Registers jobs that belong together (e.g. the stages of a pipeline).
+   * Once all jobs (including the jobs that they spawned) succeeded,
+   * the optional "completionJob" will be registered; its args will be
+   * extended by "group: { id, results }", where results[i] is the value
+   * that the pipeline of the i-th job has passed to "context.setResult".
+   *
+   * Returns the correlation id of the group.
+   */
+  async registerJobGroup(
+    jobs,
+    { completionJob, now = Date.now(), autoTrigger = true } = {},
+  ) {
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+      throw new BadJobError('A job group must contain at least one job');
+    }
+    jobs.forEach((job) => this._ensureValidJob(job));
+    if (completionJob) {
+      this._ensureValidJob(completionJob);
+    }
+    await this.ready();
+
+    const id = newRandomId();
+    this.jobGroups[id] = {
+      pending: 0,
+      results: jobs.map(() => null),
+      completionJob: completionJob || null,
+      expireAt: now,
+    };
+    this._markAsDirty();
+    try {
+      jobs.forEach((job, index) =>
+        this._registerJob(job, now, { group: { id, index } }),
+      );
+    } catch (e) {
+      delete this.jobGroups[id];
+      throw e;
+    }
+    if (autoTrigger) {
+      this._scheduleProcessPendingJobs();
+    }
+    return id;
+  }
+
+  _registerJob(job, now = Date.now(), { group } = {}) {
     this._ensureValidJob(job);
     const { type } = job;
     if (!this.handlers[type]) {
@@ -383,10 +495,19 @@ export default class JobScheduler {
         expireAt,
       },
     };
+    if (group) {
+      jobEntry._meta.group = group;
+      const jobGroup = this.jobGroups[group.id];
+      if (jobGroup) {
+        jobGroup.pending += 1;
+        jobGroup.expireAt = Math.max(jobGroup.expireAt, expireAt);
+      }
+    }
 
     const { ok, reason } = this._checkJobLimits(type, now);
     if (!ok) {
       this.notifyObservers('jobRejected', jobEntry, reason);
+      this._onJobDropped(jobEntry, 'rejected', { now });
       return;
     }
 
@@ -396,6 +517,163 @@ export default class JobScheduler {
     } else {
       logger.warn('New job immediately expired:', jobEntry);
       this.notifyObservers('jobExpired', jobEntry);
+      this._onJobDropped(jobEntry, 'expired', { now });
+    }
+  }
+
+  // Called when a job of a group succeeded (after its spawned jobs have
+  // been registered). Completes the group if it was the last pending job.
+  _onGroupJobSucceeded(jobEntry, result, now = Date.now()) {
+    const { id, index } = jobEntry._meta.group || {};
+    const jobGroup = this.jobGroups[id];
+    if (!jobGroup) {
+      return;
+    }
+    if (result !== undefined) {
+      jobGroup.results[index] = result;
+    }
+    jobGroup.pending -= 1;
+    this._markAsDirty();
+    if (jobGroup.pending > 0) {
+      return;
+    }
+
+    delete this.jobGroups[id];
+    const { results, completionJob } = jobGroup;
+    logger.debug('Job group', id, 'completed:', results);
+    this.notifyObservers('groupCompleted', { id, results });
+    if (completionJob) {
+      try {
+        this._registerJob(
+          {
+            ...completionJob,
+            args: { ...completionJob.args, group: { id, results } },
+          },
+          now,
+        );
+      } catch (e) {
+        logger.error('Failed to register completion job:', completionJob, e);
+      }
+    }
+  }
+
+  // Called whenever a job is removed without having succeeded.
+  _onJobDropped(jobEntry, reason, { error, now = Date.now() } = {}) {
+    this._addDeadLetter(jobEntry, reason, { error, now });
+    this._failJobGroup(jobEntry, reason);
+  }
+
+  _addDeadLetter(jobEntry, reason, { error, now = Date.now() } = {}) {
+    const { job, _meta } = jobEntry;
+    const numFailures = _meta.numFailures || 0;
+    const replayable = isReplayableDeadLetter({ reason });
+    let expireAt = now + this.maxDeadLetterAgeInMs;
+    if (replayable && _meta.expireAt < expireAt) {
+      expireAt = _meta.expireAt;
+    }
+    this.deadLetters.push({
+      id: newRandomId(),
+      job: replayable ? job : { type: job.type },
+      reason,
+      // Note: the message is not kept, since it may contain job data
+      error: error ? { name: error.name || 'Error' } : null,
+      attempts: reason === 'failed' ? numFailures + 1 : numFailures,
+      createdAt: _meta.createdAt,
+      droppedAt: now,
+      expireAt,
+    });
+    this._pruneDeadLetters(now);
+    this._markAsDirty();
+  }
+
+  // Returns true if entries were removed.
+  _pruneDeadLetters(now = Date.now()) {
+    const numBefore = this.deadLetters.length;
+    this.deadLetters = this.deadLetters.filter(
+      (x) => Number.isInteger(x.expireAt) && now < x.expireAt,
+    );
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+    }
+    return this.deadLetters.length !== numBefore;
+  }
+
+  _selectDeadLetters({ ids, type } = {}) {
+    return this.deadLetters.filter(
+      (x) => (!ids || ids.includes(x.id)) && (!type || x.job.type === type),
+    );
+  }
+
+  /**
+   * Lists the jobs that were dropped without having succeeded (oldest
+   * first). Optionally, it can be filtered by job type or ids.
+   */
+  async listDeadLetters({ ids, type } = {}) {
+    await this.ready();
+    return JSON.parse(JSON.stringify(this._selectDeadLetters({ ids, type })));
+  }
+
+  /**
+   * Registers the selected jobs again (and removes them from the
+   * dead letters). Returns the number of replayed jobs.
+   *
+   * Note: replayed jobs are no longer part of their job group. Entries
+   * of expired or rejected jobs cannot be replayed and will be kept.
+   */
+  async replayDeadLetters({ ids, type, now = Date.now() } = {}) {
+    await this.ready();
+    const selected = this._selectDeadLetters({ ids, type }).filter(
+      isReplayableDeadLetter,
+    );
+    this.deadLetters = this.deadLetters.filter((x) => !selected.includes(x));
+    this._markAsDirty();
+    for (const { job } of selected) {
+      try {
+        // Absolute timestamps would likely expire the job immediately
+        const config = { ...job.config };
+        delete config.readyAt;
+        delete config.expireAt;
+        this._registerJob({ ...job, config }, now);
+      } catch (e) {
+        logger.error('Failed to replay job:', job, e);
+      }
+    }
+    if (selected.length > 0) {
+      this._scheduleProcessPendingJobs();
+    }
+    return selected.length;
+  }
+
+  /**
+   * Removes the selected dead letters (by default, all of them).
+   * Returns the number of removed entries.
+   */
+  async purgeDeadLetters({ ids, type } = {}) {
+    await this.ready();
+    const selected = this._selectDeadLetters({ ids, type });
+    this.deadLetters = this.deadLetters.filter((x) => !selected.includes(x));
+    this._markAsDirty();
+    return selected.length;
+  }
+
+  _failJobGroup(jobEntry, reason) {
+    const id = jobEntry._meta.group?.id;
+    if (id && this.jobGroups[id]) {
+      delete this.jobGroups[id];
+      this._markAsDirty();
+      logger.warn('Job group', id, 'failed:', reason, jobEntry.job);
+      this.notifyObservers('groupFailed', { id, reason, job: jobEntry.job });
+    }
+  }
+
+  _expireJobGroups(now = Date.now()) {
+    for (const [id, { expireAt }] of Object.entries(this.jobGroups)) {
+      if (now >= expireAt) {
+        delete this.jobGroups[id];
+        this._markAsDirty();
+        logger.warn('Job group', id, 'expired');
+        this.notifyObservers('groupFailed', { id, reason: 'expired' });
+      }
     }
   }
 
@@ -427,6 +705,7 @@ export default class JobScheduler {
             deletedJob,
           });
           this._markAsDirty();
+          this._onJobDropped(deletedJob, 'dropped', { now });
           return ok(); // early exit since we now freed room for one job
         } else {
           return reject('local job limit reached');
@@ -469,22 +748,52 @@ export default class JobScheduler {
     this._markAsDirty();
   }
 
-  _tryPushToRetryableQueue(jobEntry, now = Date.now()) {
+  // Job specific configurations take precedence over handler configurations.
+  _getConfigValue(job, key) {
+    return (
+      job.config?.[key] ??
+      this.handlerConfigs[job.type]?.[key] ??
+      this.defaultConfig[key]
+    );
+  }
+
+  _computeRetryBackoff(job, { numFailures, rateLimited }) {
+    const initialBackoff = this._getConfigValue(job, 'retryBackoffInMs');
+    const maxBackoff = this._getConfigValue(job, 'maxRetryBackoffInMs');
+    let backoff = Math.min(initialBackoff * 2 ** (numFailures - 1), maxBackoff);
+    if (rateLimited) {
+      backoff = Math.max(
+        backoff,
+        this._getConfigValue(job, 'rateLimitBackoffInMs'),
+      );
+    }
+
+    // Jitter avoids that jobs that failed at the same time (e.g. because
+    // the network was down) will all be retried at the same time.
+    return Math.round(randomBetween(backoff / 2, backoff));
+  }
+
+  /**
+   * Returns the time of the next retry, or "null" if the job should not
+   * be retried anymore.
+   */
+  _tryPushToRetryableQueue(jobEntry, error, now = Date.now()) {
     const { job, _meta } = jobEntry;
 
     let attemptsLeft;
     if (Number.isInteger(_meta.attemptsLeft)) {
       attemptsLeft = _meta.attemptsLeft - 1;
     } else {
-      attemptsLeft =
-        job.config?.maxAutoRetriesAfterError ??
-        this.handlerConfigs[job.type]?.maxAutoRetriesAfterError ??
-        this.defaultConfig.maxAutoRetriesAfterError;
+      attemptsLeft = this._getConfigValue(job, 'maxAutoRetriesAfterError');
     }
     if (attemptsLeft <= 0) {
-      return false;
+      return null;
     }
 
+    const numFailures = (_meta.numFailures || 0) + 1;
+    const rateLimited = error instanceof RateLimitedByServerError;
+    const retryAt =
+      now + this._computeRetryBackoff(job, { numFailures, rateLimited });
     const retryJob = {
       job,
       _meta: {
@@ -496,10 +805,28 @@ export default class JobScheduler {
         // been executed before).
         readyAt: now,
         attemptsLeft,
+        numFailures,
+        retryAt,
+        rateLimited,
       },
     };
     this._pushToQueue({ jobEntry: retryJob, state: 'retryable', now });
-    return true;
+    return retryAt;
+  }
+
+  // Removes the oldest job from the "retryable" queue whose backoff
+  // has expired (or returns null if there is none).
+  _takeDueRetry(type, jobTester) {
+    const { retryable = [] } = this.jobQueues[type] || {};
+    this._tryExpireJobsInQueue(retryable, jobTester);
+    const pos = retryable.findIndex((x) => jobTester.isRetryDue(x));
+    if (pos < 0) {
+      return null;
+    }
+    const [jobEntry] = retryable.splice(pos, 1);
+    this._markAsDirty();
+    logger.debug('Retrying previously failed job:', jobEntry.job);
+    return jobEntry;
   }
 
   _removeFromRunningQueue(jobEntry, now = Date.now()) {
@@ -525,6 +852,7 @@ export default class JobScheduler {
     await this.jobExecutor.run(async () => {
       let numJobsExecuted = 0;
       let now = Date.now();
+      this._expireJobGroups(now);
       while (this.active) {
         if (numJobsExecuted >= maxJobsToRun) {
           autoResumeAfterCooldowns = false;
@@ -537,20 +865,35 @@ export default class JobScheduler {
         }
         this._pushToQueue({ jobEntry, state: 'running', now });
         let newJobs;
+        let result;
         let success = false;
         try {
           this.notifyObservers('jobStarted', jobEntry);
-          newJobs = (await this._runJob(jobEntry.job)) || [];
+          const context = {
+            groupId: jobEntry._meta.group?.id ?? null,
+            setResult: (value) => {
+              result = value;
+            },
+          };
+          newJobs = (await this._runJob(jobEntry.job, context)) || [];
           success = true;
           this.notifyObservers('jobSucceeded', jobEntry);
         } catch (e) {
           let pendingRetry = false;
+          let retryAt = null;
           if (e.isPermanentError) {
             logger.error('Job failed:', jobEntry.job, e.message);
           } else if (e.isRecoverableError) {
-            if (this._tryPushToRetryableQueue(jobEntry, now)) {
+            retryAt = this._tryPushToRetryableQueue(jobEntry, e, now);
+            if (retryAt !== null) {
               pendingRetry = true;
-              logger.warn('Job failed (pushed for retry):', jobEntry.job, e);
+              logger.warn(
+                'Job failed (pushed for retry in',
+                retryAt - now,
+                'ms):',
+                jobEntry.job,
+                e,
+              );
             } else {
               logger.error('Job failed (no more retries):', jobEntry.job, e);
             }
@@ -559,31 +902,42 @@ export default class JobScheduler {
           }
           this.notifyObservers('jobFailed', jobEntry, {
             pendingRetry,
+            retryAt,
             exception: e,
           });
+          if (!pendingRetry) {
+            this._onJobDropped(jobEntry, 'failed', { error: e, now });
+          }
         } finally {
           now = Date.now();
           this._removeFromRunningQueue(jobEntry, now);
         }
 
         if (success) {
+          const { group } = jobEntry._meta;
           if (newJobs.length > 0) {
             logger.debug('Job', jobEntry.job, 'spawned', newJobs);
             for (const job of newJobs) {
               try {
-                this._registerJob(job, now);
+                this._registerJob(job, now, { group });
               } catch (e) {
                 logger.error('Failed to register spawned job:', job, e);
               }
             }
           }
+          if (group) {
+            this._onGroupJobSucceeded(jobEntry, result, now);
+          }
 
+          // Since a job of the same type succeeded, skip the backoff of
+          // the oldest failed job (unless it was rate limited).
           const { type } = jobEntry.job;
           const { retryable = [] } = this.jobQueues[type];
           if (retryable.length > 0) {
             this._tryExpireJobsInQueue(retryable, new JobTester(now));
-            if (retryable.length > 0) {
-              const jobEntry = this.jobQueues[type].retryable.shift();
+            const pos = retryable.findIndex((x) => !x._meta.rateLimited);
+            if (pos >= 0) {
+              const [jobEntry] = retryable.splice(pos, 1);
               logger.debug(
                 'Reinserting previously failed job into the ready queue:',
                 jobEntry.job,
@@ -623,6 +977,7 @@ export default class JobScheduler {
       this._markAsDirty();
       for (const jobEntry of expiredJobs) {
         this.notifyObservers('jobExpired', jobEntry);
+        this._onJobDropped(jobEntry, 'expired', { now: jobTester.now });
       }
     }
     return { numExpired, expiredJobs };
@@ -681,15 +1036,28 @@ export default class JobScheduler {
       }
     }
 
+    // 3) no new job can run, so try to find a failed job to retry
+    //    (retries should never prevent new jobs from being started)
+    for (const types of this.queuesByPriority) {
+      for (const type of types) {
+        if (!this.cooldowns[type] || now >= this.cooldowns[type]) {
+          const jobEntry = this._takeDueRetry(type, jobTester);
+          if (jobEntry) {
+            return jobEntry;
+          }
+        }
+      }
+    }
+
     return null;
   }
 
-  async _runJob(job) {
+  async _runJob(job, context) {
     const handler = this.handlers[job.type];
     if (!handler) {
       throw new Error(`Unexpected type: ${job.type}`);
     }
-    return handler(job);
+    return handler(job, context);
   }
 
   _scheduleProcessPendingJobs({
@@ -738,6 +1106,34 @@ export default class JobScheduler {
 
     if (persistedState?.jobQueues) {
       const now = Date.now();
+
+      // Note: groups must be restored before the jobs, since expiring
+      // jobs will also fail their groups.
+      this.jobGroups = {};
+      for (const [id, jobGroup] of Object.entries(
+        persistedState.jobGroups || {},
+      )) {
+        if (
+          Number.isInteger(jobGroup?.pending) &&
+          Array.isArray(jobGroup.results) &&
+          Number.isFinite(jobGroup.expireAt)
+        ) {
+          this.jobGroups[id] = jobGroup;
+        } else {
+          logger.warn('Dropping corrupted job group:', id, jobGroup);
+          this._markAsDirty();
+        }
+      }
+      this.deadLetters = [];
+      if (Array.isArray(persistedState.deadLetters)) {
+        this.deadLetters = persistedState.deadLetters.filter(
+          (x) => typeof x?.id === 'string' && x.job?.type,
+        );
+        if (this._pruneDeadLetters(now)) {
+          this._markAsDirty();
+        }
+      }
+
       const jobTester = new JobTester(now);
       const isJobCreationTimeOK = ({ _meta }) => _meta.createdAt < now + DAY;
 
@@ -781,6 +1177,9 @@ export default class JobScheduler {
               'Detected unfinished running jobs (delete them):',
               queues.running,
             );
+            queues.running.forEach((jobEntry) =>
+              this._onJobDropped(jobEntry, 'interrupted', { now }),
+            );
             queues.running = [];
             this._markAsDirty();
           }
@@ -853,10 +1252,13 @@ export default class JobScheduler {
     //   are concurrent write operation to chrome.storage.local
     // * as a mitigation, serialize the writes now
     this._writeToDiskExecutor ||= new SeqExecutor();
+    this._pruneDeadLetters();
     return this._writeToDiskExecutor.run(async () =>
       this.storage.set(this.storageKey, {
         dbVersion: DB_VERSION,
         jobQueues: this.jobQueues,
+        jobGroups: this.jobGroups,
+        deadLetters: this.deadLetters,
       }),
     );
   }
@@ -937,6 +1339,8 @@ export default class JobScheduler {
         byType,
       },
       queueLength: all.length,
+      groups: { ...this.jobGroups },
+      deadLetters: [...this.deadLetters],
     };
   }
 
@@ -990,6 +1394,30 @@ export default class JobScheduler {
     return count;
   }
 
+  /**
+   * Returns the earliest time (Unix epoch) when there will be a job
+   * that can be executed, or "null" if there are no pending jobs.
+   * Cooldowns are ignored, since they are not persisted anyway.
+   */
+  getNextWakeUpTime(now = Date.now()) {
+    let nextWakeUp = null;
+    const update = (time) => {
+      if (nextWakeUp === null || time < nextWakeUp) {
+        nextWakeUp = time;
+      }
+    };
+    for (const { ready = [], waiting = [], retryable = [] } of Object.values(
+      this.jobQueues,
+    )) {
+      if (ready.length > 0) {
+        return now;
+      }
+      waiting.forEach(({ _meta }) => update(_meta.readyAt));
+      retryable.forEach(({ _meta }) => update(_meta.retryAt ?? now));
+    }
+    return nextWakeUp === null ? null : Math.max(nextWakeUp, now);
+  }
+
   getTotalJobsWaitingForRetry() {
     let count = 0;
     for (const queue of Object.values(this.jobQueues)) {
@@ -1040,6 +1468,16 @@ export default class JobScheduler {
         throw new BadJobError(`${timestamp} corrupted`);
       }
     }
+    if (_meta.retryAt !== undefined && !Number.isFinite(_meta.retryAt)) {
+      throw new BadJobError('retryAt corrupted');
+    }
+    if (
+      _meta.group !== undefined &&
+      (typeof _meta.group?.id !== 'string' ||
+        !Number.isInteger(_meta.group.index))
+    ) {
+      throw new BadJobError('group corrupted');
+    }
   }
 
   _ensureValidJobEntry({ job, _meta }) {
@@ -1079,6 +1517,9 @@ export default class JobScheduler {
     expectInt('maxJobsTotal', nonNegative);
     expectInt('cooldownInMs', nonNegative);
     expectInt('maxAutoRetriesAfterError', nonNegative);
+    expectInt('retryBackoffInMs', nonNegative);
+    expectInt('maxRetryBackoffInMs', nonNegative);
+    expectInt('rateLimitBackoffInMs', nonNegative);
 
     if (numCheckedKeys !== Object.keys(config).length) {
       const unexpectedKeys = Object.keys(config).filter(
@@ -1159,6 +1600,16 @@ export default class JobScheduler {
       });
     }
 
+    const brokenGroups = Object.entries(this.jobGroups).filter(
+      ([, { pending }]) => pending <= 0,
+    );
+    if (brokenGroups.length > 0) {
+      check.fail('Job groups without pending jobs found', {
+        total: brokenGroups.length,
+        samples: brokenGroups.slice(0, 10),
+      });
+    }
+
     // TODO: warn if there are jobs that should have run long time ago
 
     return check;
@@ -0,0 +1,109 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { PatternsDiffError } from './errors';
+
+function parsePointer(path) {
+  if (typeof path !== 'string' || (path !== '' && path[0] !== '/')) {
+    throw new PatternsDiffError(`Bad JSON pointer: ${path}`);
+  }
+  return path
+    .split('/')
+    .slice(1)
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function isContainer(x) {
+  return x !== null && typeof x === 'object';
+}
+
+function toArrayIndex(array, token, { allowEnd = false } = {}) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new PatternsDiffError(`Bad array index: ${token}`);
+  }
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new PatternsDiffError(`Array index out of bounds: ${token}`);
+  }
+  return index;
+}
+
+/**
+ * Applies a JSON patch (subset of RFC 6902: "add", "remove" and
+ * "replace") to the given document. The input will not be modified.
+ *
+ * Example:
+ * [
+ *   { "op": "replace", "path": "/search-go/version", "value": 3 },
+ *   { "op": "remove", "path": "/search-dd" }
+ * ]
+ *
+ * Throws PatternsDiffError if the patch cannot be applied.
+ */
+export function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatternsDiffError('Patch must be an array of operations');
+  }
+  let root = structuredClone(document);
+  for (const operation of operations) {
+    const { op, path, value } = operation || {};
+    if (op !== 'add' && op !== 'remove' && op !== 'replace') {
+      throw new PatternsDiffError(`Unsupported operation: ${op}`);
+    }
+    if (op !== 'remove' && value === undefined) {
+      throw new PatternsDiffError(`Missing value (op=${op}, path=${path})`);
+    }
+    const tokens = parsePointer(path);
+    if (tokens.length === 0) {
+      if (op === 'remove') {
+        throw new PatternsDiffError('Cannot remove the whole document');
+      }
+      root = structuredClone(value);
+      continue;
+    }
+
+    let parent = root;
+    for (const token of tokens.slice(0, -1)) {
+      const next = Array.isArray(parent)
+        ? parent[toArrayIndex(parent, token)]
+        : parent[token];
+      if (!isContainer(next) || !Object.hasOwn(parent, token)) {
+        throw new PatternsDiffError(`Path not found: ${path}`);
+      }
+      parent = next;
+    }
+
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+      const index = toArrayIndex(parent, key, { allowEnd: op === 'add' });
+      if (op === 'add') {
+        parent.splice(index, 0, structuredClone(value));
+      } else if (op === 'remove') {
+        parent.splice(index, 1);
+      } else {
+        parent[index] = structuredClone(value);
+      }
+    } else {
+      if (op !== 'add' && !Object.hasOwn(parent, key)) {
+        throw new PatternsDiffError(`Path not found: ${path}`);
+      }
+      if (op === 'remove') {
+        delete parent[key];
+      } else {
+        parent[key] = structuredClone(value);
+      }
+    }
+  }
+  return root;
+}
@@ -9,13 +9,20 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0
  */
 
+import * as tldts from 'tldts-experimental';
+
 import logger from './logger';
+import { sanitizeHostname } from './popularity-vote-sanitizer';
+import { compileAdRedirectRules } from './ad-redirect-patterns';
 import { requireParam, requireString, requireObject, fastHash } from './utils';
 import random from './random';
 import { timezoneAgnosticDailyExpireAt } from './cooldowns';
 
 const SECOND = 1000;
 
+// Longer redirect chains are rare and will be ignored.
+const MAX_REDIRECTS = 8;
+
 function tryParseHostname(url) {
   try {
     return new URL(url).host;
@@ -24,55 +31,121 @@ function tryParseHostname(url) {
   }
 }
 
-function hasQueryParams(url, params) {
-  try {
-    const { searchParams } = new URL(url);
-    return params.every((key) => searchParams.has(key));
-  } catch (e) {
-    return false;
-  }
-}
-
-const searchAdRedirectByCategory = {
-  go: (url) =>
-    url.startsWith('https://www.googleadservices.com/') ||
-    url.startsWith('https://www.google.com/aclk?'),
-  bi: (url) => url.startsWith('https://www.bing.com/aclk?'),
-  dd: (url) =>
-    url.startsWith('https://www.bing.com/aclick?') ||
-    (url.startsWith('https://duckduckgo.com/y.js?') &&
-      hasQueryParams(url, ['ad_domain', 'ad_provider', 'ad_type'])),
-  gh: (url) => url.startsWith('https://tatrck.com/h/'),
-  br: (url) =>
-    url.startsWith('https://search.brave.com/a/redirect?') &&
-    hasQueryParams(url, ['click_url', 'placement_id']),
-  ec: (url) =>
-    url.startsWith('https://syndicatedsearch.goog/aclk?') ||
-    url.startsWith('https://ad.doubleclick.net/searchads/link/click?'),
+// Builtin rules, which apply unless the patterns define "adRedirects"
+// for the search category (see ad-redirect-patterns.js).
+const BUILTIN_AD_REDIRECTS = {
+  go: [
+    { prefix: 'https://www.googleadservices.com/' },
+    { prefix: 'https://www.google.com/aclk?' },
+  ],
+  bi: [{ prefix: 'https://www.bing.com/aclk?' }],
+  dd: [
+    { prefix: 'https://www.bing.com/aclick?' },
+    {
+      prefix: 'https://duckduckgo.com/y.js?',
+      params: ['ad_domain', 'ad_provider', 'ad_type'],
+    },
+  ],
+  gh: [{ prefix: 'https://tatrck.com/h/' }],
+  br: [
+    {
+      prefix: 'https://search.brave.com/a/redirect?',
+      params: ['click_url', 'placement_id'],
+    },
+  ],
+  ec: [
+    { prefix: 'https://syndicatedsearch.goog/aclk?' },
+    { prefix: 'https://ad.doubleclick.net/searchads/link/click?' },
+  ],
 };
 
+const builtinAdRedirectByCategory = Object.fromEntries(
+  Object.entries(BUILTIN_AD_REDIRECTS).map(([category, rules]) => [
+    category,
+    compileAdRedirectRules(rules),
+  ]),
+);
+
 // exported only for tests
-export function isAdUrlByCategory(url, category) {
+export function isAdUrlByCategory(
+  url,
+  category,
+  adRedirectByCategory = builtinAdRedirectByCategory,
+) {
   requireString(url);
   requireString(category);
 
-  const check = searchAdRedirectByCategory[category];
+  const check = adRedirectByCategory[category];
   return !!(check && check(url));
 }
 
-function isTracking(url) {
+// Well-known click trackers (ad servers and affiliate networks), which
+// bounce the user through their own hosts before landing on the target.
+const KNOWN_BOUNCE_TRACKERS = new Set([
+  'ad.doubleclick.net',
+  'clickserve.dartsearch.net',
+  'click.linksynergy.com',
+  'go.skimresources.com',
+  'redirect.viglink.com',
+  'track.adform.net',
+  'prf.hn',
+  'www.awin1.com',
+  'www.anrdoezrs.net',
+  'www.dpbolvw.net',
+  'www.jdoqocy.com',
+  'www.kqzyfj.com',
+  'www.tkqlhce.com',
+]);
+
+function isTracking(url, adRedirectByCategory) {
   requireString(url);
 
   // Note: For bootstrapping, start with the tracking ads. We could integrate
   // with the adblocker engine or TrackerDB eventually here to improve coverage.
-  return Object.values(searchAdRedirectByCategory).some((check) => check(url));
+  return Object.values(adRedirectByCategory).some((check) => check(url));
+}
+
+function isBounceTracking(url, adRedirectByCategory) {
+  requireString(url);
+  try {
+    return (
+      KNOWN_BOUNCE_TRACKERS.has(new URL(url).hostname) ||
+      isTracking(url, adRedirectByCategory)
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+// Returns the hostname and the registrable domain (or null for IPs
+// and URLs without a known public suffix).
+function parseSite(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+  const { domain, isIp } = tldts.parse(hostname, {
+    extractHostname: false,
+    mixedInputs: false,
+    validateHostname: false,
+  });
+  if (isIp || !domain) {
+    return null;
+  }
+  return { hostname, domain };
 }
 
-function isSearchAdRedirect(category, redirects) {
-  const trackingUrls = redirects.map((x) => x.from).filter(isTracking);
+function isSearchAdRedirect(category, redirects, adRedirectByCategory) {
+  const trackingUrls = redirects
+    .map((x) => x.from)
+    .filter((url) => isTracking(url, adRedirectByCategory));
+  const isAdUrl = (url) =>
+    isAdUrlByCategory(url, category, adRedirectByCategory);
   const isAd =
-    (redirects.length > 0 && isAdUrlByCategory(redirects[0].from, category)) ||
-    (trackingUrls.length > 0 && isAdUrlByCategory(trackingUrls[0], category));
+    (redirects.length > 0 && isAdUrl(redirects[0].from)) ||
+    (trackingUrls.length > 0 && isAdUrl(trackingUrls[0]));
   return { isAd, trackingUrls };
 }
 
@@ -92,14 +165,24 @@ function toSendMessageJob(action, payload, deduplicateBy) {
  *
  * It observes events emitted by the "Page", so some events will
  * have been filtered already (e.g. "incognito" tabs are filtered out).
+ *
+ * The rules to detect ad redirects can be overwritten per search category
+ * by the patterns (if "patterns" is not set, only the builtin rules apply).
  */
 export default class NavTrackingDetector {
-  constructor({ sanitizer, persistedHashes, quorumChecker, jobScheduler }) {
+  constructor({
+    sanitizer,
+    persistedHashes,
+    quorumChecker,
+    jobScheduler,
+    patterns,
+  }) {
     this.active = false;
     this.sanitizer = requireParam(sanitizer);
     this.persistedHashes = requireParam(persistedHashes);
     this.quorumChecker = requireParam(quorumChecker);
     this.jobScheduler = requireParam(jobScheduler);
+    this.patterns = patterns;
 
     this.jobScheduler.registerHandler(
       'nav-track-detect:quorum-isAdCheck',
@@ -175,13 +258,77 @@ export default class NavTrackingDetector {
   }
 
   // general case: page navigation
-  _analyzeNavigation(event) {
-    // TODO:
-    // A difference is that publically indexed 'search -> host' navigations
-    // less sensitive than arbitrary 'host -> host' navigations. Thus,
-    // it is likely that additional checks will be needed to support them.
-    // For now, start start without it.
-    logger.debug('[STUB]: general navigation are not yet covered', event);
+  //
+  // Detects bounce tracking: a navigation between two unrelated sites that
+  // passes through (at least one) known tracking host. Compared to public
+  // 'search -> host' navigations, arbitrary 'host -> host' navigations are
+  // more sensitive. Thus, only hostnames are shared (sanitized), hosts in
+  // the chain are only included if they are known trackers, and there is
+  // the same quorum check as for search ads.
+  _analyzeNavigation({
+    url,
+    previousUrl,
+    redirects = [],
+    isHistoryNavigation,
+  }) {
+    if (
+      isHistoryNavigation ||
+      !previousUrl ||
+      redirects.length === 0 ||
+      redirects.length > MAX_REDIRECTS
+    ) {
+      return;
+    }
+    const source = parseSite(previousUrl);
+    const target = parseSite(url);
+    if (!source || !target || source.domain === target.domain) {
+      return;
+    }
+
+    const adRedirectByCategory = this._getAdRedirectMatchers();
+    const trackingHosts = [];
+    for (const { from } of redirects) {
+      // private URLs have been nulled out; do not try to interpret the chain
+      if (!from) {
+        return;
+      }
+      const hop = parseSite(from);
+      if (!hop) {
+        return;
+      }
+      if (
+        hop.domain !== source.domain &&
+        hop.domain !== target.domain &&
+        isBounceTracking(from, adRedirectByCategory)
+      ) {
+        trackingHosts.push(hop.hostname);
+      }
+    }
+    if (trackingHosts.length === 0) {
+      return;
+    }
+
+    const from = sanitizeHostname(source.hostname);
+    const to = sanitizeHostname(target.hostname);
+    const action = 'wtm.nav-track-detect.bounce';
+    this._registerJob({
+      type: 'nav-track-detect:quorum-isAdCheck',
+      args: {
+        action,
+        payload: {
+          from: {
+            hostname: from,
+          },
+          to: {
+            hostname: to,
+          },
+          via: {
+            redirects: trackingHosts,
+          },
+        },
+        quorumCheck: JSON.stringify([action, from, to, trackingHosts]),
+      },
+    });
   }
 
   // special case: public search engine landings
@@ -197,7 +344,11 @@ export default class NavTrackingDetector {
     // * Should we use the statusCode? For instance, treat permanent redirects
     //   differently? - Currently, we do not.
     const { category, query: unsafeQuery } = from;
-    const { isAd, trackingUrls } = isSearchAdRedirect(category, redirects);
+    const { isAd, trackingUrls } = isSearchAdRedirect(
+      category,
+      redirects,
+      this._getAdRedirectMatchers(),
+    );
     if (!isAd) {
       return;
     }
@@ -212,7 +363,9 @@ export default class NavTrackingDetector {
     const trackingHosts = trackingUrls.map(tryParseHostname);
 
     // null out the query if there is the risk of leaking information
-    const { accept } = this.sanitizer.checkSuspiciousQuery(unsafeQuery);
+    const { accept } = this.sanitizer.checkSuspiciousQuery(unsafeQuery, {
+      category: 'nav-tracking-query',
+    });
     const query = accept ? unsafeQuery : null;
 
     const action = 'wtm.nav-track-detect.search-ad';
@@ -244,6 +397,19 @@ export default class NavTrackingDetector {
     });
   }
 
+  // The patterns use the full category names (e.g. "search-go"),
+  // while the search landings refer to them without prefix (e.g. "go").
+  _getAdRedirectMatchers() {
+    const matchers = { ...builtinAdRedirectByCategory };
+    const fromPatterns = this.patterns?.getAdRedirectMatchers() || {};
+    for (const [category, check] of Object.entries(fromPatterns)) {
+      if (category.startsWith('search-')) {
+        matchers[category.slice('search-'.length)] = check;
+      }
+    }
+    return matchers;
+  }
+
   async _passesQuorum(quorumCheck) {
     requireString(quorumCheck);
 
@@ -12,11 +12,18 @@
 import logger from './logger';
 import { randBetween, clamp, parseUntrustedJSON } from './utils';
 import SelfChecks from './self-check';
+import { sha256 } from './digest';
+import { applyJsonPatch } from './json-patch';
+import { InvalidPatternSignatureError, PatternsDiffError } from './errors';
 
 const SECOND = 1000;
 const MINUTE = 60 * SECOND;
 const HOUR = 60 * MINUTE;
 
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
 /**
  * If you need to introduce incompatible changes to the the state
  * persistence, you can bump this number to clear the persisted cache.
@@ -38,6 +45,32 @@ const DB_VERSION = 1;
  * The current implementation assumes that the "update" function
  * gets triggered frequently enough to check for new patterns
  * within the configured intervals.
+ *
+ * Signed patterns:
+ * If PATTERNS_SIGNING_KEY is configured, the patterns must come with
+ * a detached signature (by default, at PATTERNS_URL + ".sig"). The
+ * signature is an ECDSA signature (P-256 with SHA-256, base64 encoded
+ * r|s like in WebCrypto) over the patterns as they came from the server.
+ * Patterns that cannot be verified will neither be applied nor persisted.
+ * Since the patterns and the signature are fetched in separate requests,
+ * a release in between can lead to a mismatch. Thus, on a failed
+ * verification, the last verified patterns stay active and the update
+ * will be retried soon. Only if there are no verified patterns to fall
+ * back to, the rules will be disabled.
+ *
+ * Incremental updates:
+ * If PATTERNS_DIFF_URL is configured and there are cached patterns, the
+ * updater first tries to fetch a diff at PATTERNS_DIFF_URL/<hash>, where
+ * <hash> is the SHA-256 (hex) of the cached patterns. Expected format:
+ * {
+ *   "from": "<hash of the cached patterns>",
+ *   "to": "<hash of the resulting patterns>",
+ *   "patch": [ ...JSON patch operations (see json-patch.js)... ]
+ * }
+ * The resulting patterns are serialized with JSON.stringify; thus, the
+ * server has to serve the full patterns in the same (compact) format.
+ * If no diff is available or the hash of the result does not match, it
+ * falls back to fetching the full patterns.
  */
 export default class PatternsUpdater {
   constructor({ config, patterns, storage, storageKey }) {
@@ -51,6 +84,25 @@ export default class PatternsUpdater {
       );
     }
 
+    // Long-lived key to verify the signature of the patterns. Expected
+    // format: base64 encoded ECDSA P-256 public key in raw format (i.e.
+    // the uncompressed point with 65 bytes).
+    this.signingKey = config.PATTERNS_SIGNING_KEY;
+    this.signatureUrl =
+      config.PATTERNS_SIGNATURE_URL ||
+      (this.patternUpdateUrl && `${this.patternUpdateUrl}.sig`);
+    if (!this.signingKey) {
+      logger.warn(
+        'PATTERNS_SIGNING_KEY is not configured.',
+        'The signature of the patterns will not be verified.',
+      );
+    }
+    this._importedSigningKey = null;
+    this.lastVerificationFailed = false;
+    this.patternsRejected = false;
+
+    this.diffUrl = config.PATTERNS_DIFF_URL;
+
     // Update intervals:
     // 1) standard polling interval
     //   (it can be configured conservatively to save bandwidth)
@@ -74,6 +126,7 @@ export default class PatternsUpdater {
   _initEmptyCache() {
     this._persistedState = {
       patterns: null, // string (unmodified as it came from the server)
+      signature: null, // string (only if signatures are verified)
       skipAttemptsUntil: 0, // Unix epoch
       lastFetchAttempt: 0, // Unix epoch
       lastConfirmedModification: 0, // Unix epoch
@@ -102,6 +155,21 @@ export default class PatternsUpdater {
         persistedState = null;
       }
 
+      if (persistedState?.patterns && this.signingKey) {
+        try {
+          await this._verifySignature(
+            persistedState.patterns,
+            persistedState.signature,
+          );
+        } catch (e) {
+          logger.warn(
+            'Unable to verify the signature of cached patterns. Discarding the cache:',
+            e,
+          );
+          persistedState = null;
+        }
+      }
+
       if (persistedState) {
         if (persistedState.patterns) {
           this.patterns.updatePatterns(JSON.parse(persistedState.patterns));
@@ -191,17 +259,30 @@ export default class PatternsUpdater {
     });
     try {
       this._persistedState.lastFetchAttempt = now;
-      const response = await fetch(url, {
-        method: 'GET',
-        cache: 'no-cache',
-        credentials: 'omit',
-      });
-      if (!response.ok) {
-        throw new Error(
-          `Failed to fetch patterns (${response.statusText}) from url=${url}`,
-        );
+      const newPatterns =
+        (await this._tryFetchPatternsDiff()) ?? (await this._fetchText(url));
+      let signature = null;
+      const recoveredFromRejection = this.patternsRejected;
+      if (this.signingKey) {
+        signature = (await this._fetchText(this.signatureUrl)).trim();
+        try {
+          await this._verifySignature(newPatterns, signature);
+        } catch (e) {
+          this.lastVerificationFailed = true;
+          if (this._persistedState.patterns) {
+            // The cached patterns have been verified before. Most likely,
+            // there was a release between fetching the patterns and the
+            // signature; thus, keep the rules and retry (see cooldown below).
+            logger.warn(
+              'Unable to verify the signature of new patterns. Keeping the last verified patterns.',
+            );
+          } else {
+            this.patternsRejected = true;
+            this.patterns.rejectUntrustedPatterns();
+          }
+          throw e;
+        }
       }
-      const newPatterns = await response.text();
       const rules = parseUntrustedJSON(newPatterns, {
         maxSize: 1024 * 1024, // 1 MB
       });
@@ -211,6 +292,7 @@ export default class PatternsUpdater {
       // temporarily poll more frequently for updates.
       const oldPatterns = this._persistedState.patterns;
       this._persistedState.patterns = newPatterns;
+      this._persistedState.signature = signature;
       const detectedModification = oldPatterns && oldPatterns !== newPatterns;
       if (detectedModification) {
         logger.info('The server released new patterns:', rules);
@@ -224,10 +306,13 @@ export default class PatternsUpdater {
         : this.defaultUpdateInterval;
       this._persistedState.skipAttemptsUntil = now + randBetween(min, max);
 
-      // apply the pattern update
-      if (!oldPatterns || detectedModification) {
+      // apply the pattern update (note: after patterns were rejected,
+      // the rules have been disabled and need to be applied again)
+      if (!oldPatterns || detectedModification || recoveredFromRejection) {
         this.patterns.updatePatterns(rules);
       }
+      this.lastVerificationFailed = false;
+      this.patternsRejected = false;
     } catch (e) {
       // the update failed: we have to retry, but approximate an
       // exponential backoff to prevent a burst HTTP calls.
@@ -258,6 +343,100 @@ export default class PatternsUpdater {
     }
   }
 
+  async _fetchText(url) {
+    const response = await fetch(url, {
+      method: 'GET',
+      cache: 'no-cache',
+      credentials: 'omit',
+    });
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch (${response.statusText}) from url=${url}`,
+      );
+    }
+    return response.text();
+  }
+
+  /**
+   * Tries to reconstruct the latest patterns from the cached patterns
+   * and a diff. Returns null if it is not possible; in that case,
+   * the caller should fetch the full patterns.
+   */
+  async _tryFetchPatternsDiff() {
+    const oldPatterns = this._persistedState.patterns;
+    if (!this.diffUrl || !oldPatterns) {
+      return null;
+    }
+    try {
+      const fromHash = await sha256(oldPatterns);
+      const diff = parseUntrustedJSON(
+        await this._fetchText(`${this.diffUrl}/${fromHash}`),
+        { maxSize: 1024 * 1024 }, // 1 MB
+      );
+      if (diff?.from !== fromHash) {
+        throw new PatternsDiffError('Diff does not apply to cached patterns');
+      }
+      if (diff.to === fromHash) {
+        logger.debug('Patterns have not changed (confirmed by diff)');
+        return oldPatterns;
+      }
+      const newPatterns = JSON.stringify(
+        applyJsonPatch(JSON.parse(oldPatterns), diff.patch),
+      );
+      const toHash = await sha256(newPatterns);
+      if (diff.to !== toHash) {
+        throw new PatternsDiffError(
+          `Hash mismatch after applying diff (expected: ${diff.to}, got: ${toHash})`,
+        );
+      }
+      logger.debug('Patterns updated with diff:', diff.patch);
+      return newPatterns;
+    } catch (e) {
+      logger.info(
+        'Unable to update patterns with a diff. Falling back to a full fetch:',
+        e,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Verifies the detached signature of the patterns (as they came from
+   * the server) against the pinned public key.
+   *
+   * Throws InvalidPatternSignatureError if the verification failed.
+   */
+  async _verifySignature(patterns, signature) {
+    if (typeof signature !== 'string' || !signature) {
+      throw new InvalidPatternSignatureError('Missing signature');
+    }
+    let ok = false;
+    try {
+      if (!this._importedSigningKey) {
+        this._importedSigningKey = await crypto.subtle.importKey(
+          'raw',
+          fromBase64(this.signingKey),
+          { name: 'ECDSA', namedCurve: 'P-256' },
+          false,
+          ['verify'],
+        );
+      }
+      ok = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: { name: 'SHA-256' } },
+        this._importedSigningKey,
+        fromBase64(signature),
+        new TextEncoder().encode(patterns),
+      );
+    } catch (e) {
+      throw new InvalidPatternSignatureError(
+        `Unable to verify signature: ${e}`,
+      );
+    }
+    if (!ok) {
+      throw new InvalidPatternSignatureError('Invalid signature');
+    }
+  }
+
   /**
    * Run some sanity checks on the timestamps. If any of the timestamps
    * were produced from a clock that was in the future, updates will
@@ -290,6 +469,11 @@ export default class PatternsUpdater {
   }
 
   async selfChecks(check = new SelfChecks()) {
+    if (this.patternsRejected) {
+      check.fail('patterns rejected, because the signature was invalid');
+    } else if (this.lastVerificationFailed) {
+      check.warn('unable to verify new patterns (keeping the last ones)');
+    }
     if (this._persistedState.failedAttemptsInARow > 0) {
       check.warn('unable to update patterns', {
         errorsInARow: this._persistedState.failedAttemptsInARow,
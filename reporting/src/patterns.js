@@ -13,6 +13,8 @@ import logger from './logger';
 import { sanitizeUrl } from './sanitizer';
 import { removeQueryParams } from './url-cleaner';
 import { UnsupportedTransformationError } from './errors';
+import { compileUrlPatterns } from './url-patterns';
+import { compileAdRedirectRules } from './ad-redirect-patterns';
 import SelfChecks from './self-check';
 import {
   requireString,
@@ -339,8 +341,16 @@ export function lookupBuiltinTransform(name) {
  * nor will it split the population. Its sole purpose is to be used
  * to disable clients that do not meet the minimum requirements of the
  * current patterns.
+ *
+ * Version 8: supports URL patterns ("_urlPatterns", see url-patterns.js)
+ * Version 9: supports per-category versions (e.g. "search-go": { version: 3 })
+ * Version 10: richer selectors (multi-hop "select" with closest/parent/
+ *             sibling/nth navigation, attr "innerText" and "json" sources;
+ *             see search-extractor.js)
+ * Version 11: supports ad redirect rules per search category
+ *             (e.g. "search-go": { adRedirects: [...] }; see ad-redirect-patterns.js)
  */
-const PATTERN_DSL_VERSION = 7;
+const PATTERN_DSL_VERSION = 11;
 
 /**
  * "Magic" empty rule set, which exists only if patterns were loaded, but
@@ -373,6 +383,12 @@ const RULES_NOT_LOADED_YET = {};
  */
 const RULES_REJECTED__CORRUPTED = {};
 
+/**
+ * "Magic" empty rule set, which exists only if patterns were rejected,
+ * because their signature could not be verified (see PatternsUpdater).
+ */
+const RULES_REJECTED__BAD_SIGNATURE = {};
+
 /**
  * Represents the currently active rules.
  *
@@ -382,13 +398,94 @@ const RULES_REJECTED__CORRUPTED = {};
 export default class Patterns {
   constructor() {
     this._rules = RULES_NOT_LOADED_YET;
+    this._urlPatterns = null;
+    this._urlPatternsRejected = false;
+    this._adRedirectMatchers = {};
+    this._adRedirectsRejected = false;
   }
 
   updatePatterns(rules) {
     this._rules = this._sanitizeRules(rules);
+    this._urlPatterns = this._compileUrlPatterns(this._rules);
+    this._adRedirectMatchers = this._compileAdRedirects(this._rules);
     logger.info('Loaded patterns:', this._rules);
   }
 
+  /**
+   * Disables all rules. To be called if the patterns could not be
+   * verified (e.g. because of an invalid signature). Like with corrupted
+   * patterns, the client will stop sending messages until it receives
+   * an update that it can trust.
+   */
+  rejectUntrustedPatterns() {
+    this._rules = RULES_REJECTED__BAD_SIGNATURE;
+    this._urlPatterns = null;
+    this._urlPatternsRejected = false;
+    this._adRedirectMatchers = {};
+    this._adRedirectsRejected = false;
+    logger.warn('Patterns rejected, because they could not be verified');
+  }
+
+  /**
+   * Returns the URL patterns (already compiled) that were provided by
+   * the server, or "null" if the builtin patterns should be used.
+   */
+  getUrlPatterns() {
+    return this._urlPatterns;
+  }
+
+  _compileUrlPatterns(rules) {
+    this._urlPatternsRejected = false;
+    if (!rules._urlPatterns) {
+      return null;
+    }
+    try {
+      return compileUrlPatterns(rules._urlPatterns);
+    } catch (e) {
+      // Since there are builtin patterns, there is no need to reject
+      // the remaining rules.
+      logger.error(
+        'Unable to apply URL patterns (falling back to builtin patterns):',
+        rules._urlPatterns,
+        e,
+      );
+      this._urlPatternsRejected = true;
+      return null;
+    }
+  }
+
+  /**
+   * Returns the ad redirect matchers (already compiled) that were provided
+   * by the server, indexed by category (e.g. "search-go"). Each matcher
+   * takes a URL and returns true if it is an ad click redirect. Categories
+   * that are missing should use the builtin matchers.
+   */
+  getAdRedirectMatchers() {
+    return this._adRedirectMatchers;
+  }
+
+  _compileAdRedirects(rules) {
+    this._adRedirectsRejected = false;
+    const matchers = {};
+    for (const [category, rule] of Object.entries(rules)) {
+      if (category.startsWith('_') || rule?.adRedirects === undefined) {
+        continue;
+      }
+      try {
+        matchers[category] = compileAdRedirectRules(rule.adRedirects);
+      } catch (e) {
+        // As with URL patterns, there are builtin matchers to fall back to.
+        logger.error(
+          `Unable to apply ad redirects of ${category} (falling back to builtin rules):`,
+          rule.adRedirects,
+          e,
+        );
+        this._adRedirectsRejected = true;
+      }
+    }
+    return matchers;
+  }
+
   /**
    * Grants access to the active patterns. It is guaranteed that the
    * returned object will not be modified.
@@ -403,6 +500,15 @@ export default class Patterns {
     return this._rules;
   }
 
+  /**
+   * Returns the version of the rules for the given category (e.g.
+   * "search-go"), or null if the patterns do not define one. It allows
+   * to tell which version of the rules produced a message.
+   */
+  getCategoryVersion(category) {
+    return this._rules[category]?.version ?? null;
+  }
+
   /**
    * Constructs a "doublefetchRequest" object, which defines the doublefetch
    * requests for the given URL.
@@ -457,6 +563,13 @@ export default class Patterns {
         );
         return RULES_REJECTED__ENGINE_TOO_OLD;
       }
+      for (const [category, rule] of Object.entries(rules)) {
+        if (!category.startsWith('_') && rule?.version !== undefined) {
+          if (requireInt(rule.version, `${category}.version`) < 0) {
+            throw new Error(`Negative version in ${category}`);
+          }
+        }
+      }
       return rules;
     } catch (e) {
       logger.error(
@@ -472,7 +585,9 @@ export default class Patterns {
     if (this._rules === RULES_REJECTED__ENGINE_TOO_OLD) {
       check.warn('patterns rejected, because our engine is too old');
     } else if (this._rules === RULES_REJECTED__CORRUPTED) {
-      check.error('patterns rejected, because the rules were corrupted');
+      check.fail('patterns rejected, because the rules were corrupted');
+    } else if (this._rules === RULES_REJECTED__BAD_SIGNATURE) {
+      check.fail('patterns rejected, because the signature was invalid');
     } else if (this._rules === RULES_NOT_LOADED_YET) {
       check.warn(
         'patterns still not initialized (this should happen only at startup)',
@@ -480,6 +595,12 @@ export default class Patterns {
     } else {
       check.pass('patterns loaded');
     }
+    if (this._urlPatternsRejected) {
+      check.warn('URL patterns rejected (using builtin patterns instead)');
+    }
+    if (this._adRedirectsRejected) {
+      check.warn('ad redirect rules rejected (using builtin rules instead)');
+    }
     return check;
   }
 }
@@ -9,21 +9,160 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0
  */
 
+import * as tldts from 'tldts-experimental';
+
 import logger from './logger';
-import { requireParam } from './utils';
+import random from './random';
+import SeqExecutor from './seq-executor';
+import SelfCheck from './self-check';
+import { sanitizeHostname } from './popularity-vote-sanitizer';
+import {
+  requireParam,
+  requireString,
+  requireObject,
+  requireInt,
+  clamp,
+} from './utils';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const QUORUM_CHECK_JOB = 'paused-domains:quorum-check';
+const ACTION = 'wtm.paused-domains';
+
+// To keep the memory (and the number of messages) bounded
+const MAX_DOMAINS_PER_WINDOW = 100;
 
+// Exact counts are not needed to detect breakage; the cap keeps
+// heavy users from standing out.
+const MAX_REPORTED_COUNT = 3;
+
+/**
+ * Maps the hostname to its registrable domain (e.g. "www.example.com"
+ * to "example.com"). Returns null for IPs, hostnames without a known
+ * public suffix, or if the sanitizer masked parts of the domain.
+ *
+ * Note: like in popularity votes, the sanitizer only checks the labels
+ * in front of the registrable domain; thus, a hostname that is itself a
+ * registrable domain (e.g. "example.com") is considered safe.
+ */
+function toSafeDomain(hostname) {
+  const { domain, isIp, isIcann } = tldts.parse(hostname, {
+    extractHostname: false,
+    mixedInputs: false,
+    validateHostname: false,
+  });
+  if (isIp || !isIcann || !domain) {
+    return null;
+  }
+  try {
+    const numLabels = domain.split('.').length;
+    const safeDomain = sanitizeHostname(hostname)
+      .split('.')
+      .slice(-numLabels)
+      .join('.');
+    return safeDomain === domain ? domain : null;
+  } catch (e) {
+    logger.debug('Unable to sanitize hostname:', hostname, e);
+    return null;
+  }
+}
+
+function newDomainStats(filterMode) {
+  return { paused: 0, unpaused: 0, filterMode };
+}
+
+/**
+ * Collects which sites users pause (or unpause) the protection on. Since
+ * users typically pause when sites are broken, it is one of the most
+ * direct signals for breakage.
+ *
+ * Per registrable domain, the pause and unpause decisions are aggregated
+ * over a fixed time window (one day by default). Once the window is over,
+ * each domain will be reported in a separate message, but only if it
+ * passes quorum (i.e. enough other users paused on it as well).
+ *
+ * The window is rotated by a timer (but only if there is something to
+ * report). Since timers do not survive restarts, it is also checked on
+ * startup and on each pause event.
+ */
 export default class PausedDomainsReporter {
-  constructor({ filterModeProvider }) {
+  constructor({
+    filterModeProvider,
+    storage,
+    storageKey,
+    jobScheduler,
+    quorumChecker,
+    windowInMs = DAY,
+  }) {
     this.active = false;
     this.filterModeProvider = requireParam(filterModeProvider);
+    this.storage = requireParam(storage);
+    this.storageKey = requireString(storageKey);
+    this.jobScheduler = requireParam(jobScheduler);
+    this.quorumChecker = requireParam(quorumChecker);
+    this.windowInMs = windowInMs;
+
+    this._lock = new SeqExecutor();
+    this._state = null; // { since, domains }
+    this._rotationTimer = null;
+    this._stats = {
+      events: 0,
+      ignored: 0,
+      reported: 0,
+    };
+
+    this.jobScheduler.registerHandler(
+      QUORUM_CHECK_JOB,
+      async (job) => {
+        const { domain, paused, unpaused, filterMode } = requireObject(
+          job.args,
+        );
+        requireString(domain);
+        requireInt(paused);
+        requireInt(unpaused);
+
+        const text = JSON.stringify([ACTION, domain]);
+        await this.quorumChecker.sendQuorumIncrement({ text });
+        if (!(await this.quorumChecker.checkQuorumConsent({ text }))) {
+          logger.debug(
+            'Dropping paused domain (failed to reach quorum):',
+            domain,
+          );
+          return [];
+        }
+        const body = {
+          action: ACTION,
+          payload: { domain, paused, unpaused, filterMode },
+          ver: 1, // Note: no need to keep this number in sync among messages
+          'anti-duplicates': Math.floor(random() * 10000000),
+        };
+        return [
+          { type: 'send-message', args: { body, deduplicateBy: 'domain' } },
+        ];
+      },
+      {
+        priority: -1000,
+        cooldownInMs: 3 * SECOND,
+        maxJobsTotal: MAX_DOMAINS_PER_WINDOW,
+      },
+    );
   }
 
-  async init() {
+  async init({ now = Date.now() } = {}) {
     this.active = true;
+    await this._lock.run(async () => {
+      await this._ensureLoaded(now);
+      await this._rotateIfNeeded(now);
+      this._scheduleRotation();
+    });
   }
 
   unload() {
     this.active = false;
+    this._clearRotationTimer();
   }
 
   onPauseEvent({ hostname, paused }) {
@@ -40,11 +179,147 @@ export default class PausedDomainsReporter {
     });
   }
 
-  async _processEvent(event) {
-    // TODO:
-    logger.warn(
-      '[STUB] handing of pause/unpause is not yet implemented',
-      event,
+  async _processEvent({ filterMode, hostname, paused, ts }) {
+    this._stats.events += 1;
+    const domain = toSafeDomain(hostname);
+    if (!domain) {
+      logger.debug('Ignoring pause event for hostname:', hostname);
+      this._stats.ignored += 1;
+      return;
+    }
+
+    await this._lock.run(async () => {
+      await this._ensureLoaded(ts);
+      await this._rotateIfNeeded(ts);
+
+      const { domains } = this._state;
+      let stats = domains[domain];
+      if (!stats) {
+        if (Object.keys(domains).length >= MAX_DOMAINS_PER_WINDOW) {
+          logger.debug('Too many paused domains. Ignoring:', domain);
+          this._stats.ignored += 1;
+          return;
+        }
+        stats = newDomainStats(filterMode);
+        domains[domain] = stats;
+      }
+      if (paused) {
+        stats.paused += 1;
+      } else {
+        stats.unpaused += 1;
+      }
+      stats.filterMode = filterMode;
+      await this._persist();
+      this._scheduleRotation();
+    });
+  }
+
+  async _ensureLoaded(now) {
+    if (this._state) {
+      return;
+    }
+    try {
+      const persisted = await this.storage.get(this.storageKey);
+      if (persisted) {
+        this._state = this._ensureValidState(persisted, now);
+        return;
+      }
+    } catch (e) {
+      logger.warn('Failed to load paused domains (starting over)', e);
+    }
+    this._state = { since: now, domains: {} };
+  }
+
+  _ensureValidState(state, now) {
+    const { since, domains } = requireObject(state);
+    if (!Number.isInteger(since) || since > now) {
+      throw new Error(`Unexpected timestamp: ${since}`);
+    }
+    const validDomains = {};
+    for (const [domain, stats] of Object.entries(requireObject(domains))) {
+      const { paused, unpaused, filterMode } = requireObject(stats);
+      validDomains[domain] = {
+        paused: requireInt(paused),
+        unpaused: requireInt(unpaused),
+        filterMode,
+      };
+    }
+    return { since, domains: validDomains };
+  }
+
+  async _rotateIfNeeded(now) {
+    if (now < this._state.since + this.windowInMs) {
+      return;
+    }
+    const jobs = Object.entries(this._state.domains).map(
+      ([domain, { paused, unpaused, filterMode }]) => ({
+        type: QUORUM_CHECK_JOB,
+        args: {
+          domain,
+          paused: Math.min(paused, MAX_REPORTED_COUNT),
+          unpaused: Math.min(unpaused, MAX_REPORTED_COUNT),
+          filterMode: filterMode ?? null,
+        },
+      }),
     );
+    logger.debug('Starting a new window for paused domains');
+    this._state = { since: now, domains: {} };
+    await this._persist();
+
+    if (jobs.length > 0) {
+      this._stats.reported += jobs.length;
+      this.jobScheduler.registerJobs(jobs).catch((e) => {
+        logger.warn('Failed to register paused domains jobs', e);
+      });
+    }
+  }
+
+  _scheduleRotation() {
+    if (
+      !this.active ||
+      this._rotationTimer !== null ||
+      Object.keys(this._state?.domains || {}).length === 0
+    ) {
+      return;
+    }
+    const delay = clamp({
+      value: this._state.since + this.windowInMs - Date.now(),
+      min: SECOND,
+      max: DAY,
+    });
+    this._rotationTimer = setTimeout(() => {
+      this._rotationTimer = null;
+      this._lock
+        .run(async () => {
+          await this._rotateIfNeeded(Date.now());
+          this._scheduleRotation();
+        })
+        .catch((e) => {
+          logger.error('Failed to rotate paused domains', e);
+        });
+    }, delay);
+  }
+
+  _clearRotationTimer() {
+    if (this._rotationTimer !== null) {
+      clearTimeout(this._rotationTimer);
+      this._rotationTimer = null;
+    }
+  }
+
+  async _persist() {
+    try {
+      await this.storage.set(this.storageKey, this._state);
+    } catch (e) {
+      logger.warn('Failed to persist paused domains', e);
+    }
+  }
+
+  async selfChecks(check = new SelfCheck()) {
+    check.pass('paused domains', {
+      stats: this._stats,
+      numDomains: Object.keys(this._state?.domains || {}).length,
+    });
+    return check;
   }
 }
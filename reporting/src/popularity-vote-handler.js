@@ -36,6 +36,7 @@ function throwBadJobError(text, job) {
  *    - in fixed intervals, it picks samples to vote on (e.g. visited a domain)
  * 2) The PopularityVoteHandler prepares the votes (includes network calls):
  *    - masking fields if necessary (using static checks, followed by a quorum request)
+ *    - optionally replacing the vote by a decoy (see PopularityVoteRandomizer)
  *    - once a vote is ready, it triggers the actual message sending
  */
 export default class PopularityVoteHandler {
@@ -45,12 +46,14 @@ export default class PopularityVoteHandler {
     quorumChecker,
     countryProvider,
     pauseState,
+    voteRandomizer,
   }) {
     this.jobScheduler = requireParam(jobScheduler);
     this.communication = requireParam(communication);
     this.quorumChecker = requireParam(quorumChecker);
     this.countryProvider = requireParam(countryProvider);
     this.pauseState = pauseState; // optional
+    this.voteRandomizer = voteRandomizer; // optional
 
     jobScheduler.registerHandler(
       'popularity-estimator:prepare-voting:v1',
@@ -141,6 +144,17 @@ export default class PopularityVoteHandler {
   }
 
   async prepareVote(urlProjection, countType, intervalType, unmaskedVote) {
+    // Randomized response: decide upfront whether to send a decoy. In that
+    // case, the true vote is not needed anymore (not even for quorum).
+    let randomizedResponse = null;
+    if (this.voteRandomizer) {
+      randomizedResponse = await this.voteRandomizer.randomize(urlProjection);
+      if (randomizedResponse?.decoy) {
+        logger.debug('Replacing vote by a decoy:', randomizedResponse.decoy);
+        unmaskedVote = randomizedResponse.decoy;
+      }
+    }
+
     const { hostname: unsafeHostname, path: unsafePath } =
       this._ensureThatVoteIsValid(urlProjection, unmaskedVote);
 
@@ -160,14 +174,17 @@ export default class PopularityVoteHandler {
 
     // At this point, the information in the vote should be safe to share.
     // Run an additional quorum check to mask all votes that have not be
-    // shared by multiple clients.
-    await this.quorumChecker.sendQuorumIncrement({ text: vote });
-    const quorumReached = await this.quorumChecker.checkQuorumConsent({
-      text: vote,
-    });
-    if (!quorumReached) {
-      logger.info('Vote failed quorum. Discard value:', vote);
-      vote = '--';
+    // shared by multiple clients. (Decoys come from a public list and
+    // must not contribute to quorum.)
+    if (!randomizedResponse?.decoy) {
+      await this.quorumChecker.sendQuorumIncrement({ text: vote });
+      const quorumReached = await this.quorumChecker.checkQuorumConsent({
+        text: vote,
+      });
+      if (!quorumReached) {
+        logger.info('Vote failed quorum. Discard value:', vote);
+        vote = '--';
+      }
     }
 
     const payload = {
@@ -182,6 +199,10 @@ export default class PopularityVoteHandler {
     if (adblocker) {
       payload.adblocker = adblocker;
     }
+    if (randomizedResponse) {
+      // needed for unbiased estimations on the server
+      payload.randomizedResponse = randomizedResponse.metadata;
+    }
     return payload;
   }
 
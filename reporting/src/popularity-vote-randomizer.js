@@ -0,0 +1,250 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import logger from './logger';
+import SeqExecutor from './seq-executor';
+import SelfCheck from './self-check';
+import random, { randomSafeIntBetween } from './random';
+import { requireParam, requireString } from './utils';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const URL_PROJECTIONS = ['domain', 'hostname', 'hostnamePath'];
+
+// A candidate list that is too small would not provide much deniability.
+const MIN_CANDIDATES = 10;
+const MAX_CANDIDATES = 10000;
+const MAX_CANDIDATE_LENGTH = 256;
+
+// Decoys must have the same shape as the votes of the URL projection
+// (otherwise, they would be rejected when preparing the vote).
+function isValidCandidate(candidate, urlProjection) {
+  if (
+    typeof candidate !== 'string' ||
+    candidate.length > MAX_CANDIDATE_LENGTH
+  ) {
+    return false;
+  }
+  const [hostname, ...path] = candidate.split('/');
+  if (urlProjection !== 'hostnamePath' && path.length > 0) {
+    return false;
+  }
+  return /^([a-zA-Z0-9-]+\.)*[a-zA-Z0-9-]+$/.test(hostname);
+}
+
+/**
+ * Epsilon is restricted to a coarse grid (multiples of 0.5 in [0.5, 8]).
+ * Since it is included in the messages, that limits how much information
+ * a compromised config endpoint could smuggle into the votes.
+ */
+function isValidEpsilon(epsilon) {
+  return Number.isInteger(epsilon * 2) && epsilon >= 0.5 && epsilon <= 8;
+}
+
+/**
+ * Probability to keep the true value in k-ary randomized response, where
+ * the decoy is drawn uniformly from all k candidates (including the true
+ * value). It is chosen such that a report of a candidate is at most e^epsilon
+ * times more likely if it was the true value:
+ *
+ *   (p + (1 - p) / k) / ((1 - p) / k) = e^epsilon
+ */
+export function keepProbability(epsilon, numCandidates) {
+  const x = Math.exp(epsilon) - 1;
+  return x / (x + numCandidates);
+}
+
+/**
+ * Optional randomized response layer for popularity votes. It gives each
+ * individual vote plausible deniability: with a probability derived from
+ * epsilon, the vote is replaced by a decoy that is drawn from a public list
+ * of candidates (e.g. popular domains). The server can still estimate the
+ * popularity without bias, since the messages include the parameters:
+ *
+ *   estimate(x) = (observed(x) - (1 - p) / k * [x is candidate]) / p
+ *
+ * The config (epsilon and candidates per URL projection) is delivered by
+ * the server at POPULARITY_VOTE_CONFIG_URL:
+ * {
+ *   "version": 3,
+ *   "epsilon": 2,
+ *   "candidates": { "domain": [...], "hostname": [...], "hostnamePath": [...] }
+ * }
+ *
+ * Note: the deniability only holds for values on the candidate list. A vote
+ * outside the list can only be the true value (unless it is masked anyway).
+ */
+export default class PopularityVoteRandomizer {
+  constructor({ config, storage, storageKey }) {
+    this.storage = requireParam(storage);
+    this.storageKey = requireString(storageKey);
+    this.configUrl = config.POPULARITY_VOTE_CONFIG_URL;
+    if (!this.configUrl) {
+      logger.info(
+        'POPULARITY_VOTE_CONFIG_URL is not configured. Votes will not be randomized.',
+      );
+    }
+    this.configTTL = 1 * DAY;
+
+    this._updateLock = new SeqExecutor();
+    this._finishedInitialSyncWithDisk = false;
+    this._state = null; // { lastUpdated, version, epsilon, candidates }
+    this._stats = {
+      truthful: 0,
+      decoys: 0,
+      configErrors: 0,
+    };
+  }
+
+  /**
+   * Decides whether to send the true vote or a decoy. Returns null if
+   * randomized response is not enabled for the given URL projection.
+   * Otherwise, it returns { decoy, metadata } where "decoy" is null if
+   * the true vote should be kept; "metadata" should be included in the
+   * message.
+   *
+   * If the config cannot be updated, it continues with the last known
+   * config. Only if no config has ever been loaded, votes are not
+   * randomized (as before the feature was introduced).
+   */
+  async randomize(urlProjection, { now = Date.now() } = {}) {
+    if (!this.configUrl) {
+      return null;
+    }
+    try {
+      await this._updateConfig(now);
+    } catch (e) {
+      logger.warn(
+        'Failed to update the popularity vote config (continuing with the last known config)',
+        e,
+      );
+      this._stats.configErrors += 1;
+    }
+
+    const candidates = this._state?.candidates[urlProjection];
+    if (!candidates) {
+      return null;
+    }
+    const { epsilon, version } = this._state;
+    const numCandidates = candidates.length;
+    const p = keepProbability(epsilon, numCandidates);
+    const metadata = { epsilon, keepProbability: p, numCandidates, version };
+    if (random() < p) {
+      this._stats.truthful += 1;
+      return { decoy: null, metadata };
+    }
+    this._stats.decoys += 1;
+    const decoy = candidates[randomSafeIntBetween(0, numCandidates - 1)];
+    return { decoy, metadata };
+  }
+
+  async _updateConfig(now) {
+    await this._updateLock.run(async () => {
+      if (!this._finishedInitialSyncWithDisk) {
+        try {
+          const persisted = await this.storage.get(this.storageKey);
+          if (persisted) {
+            this._state = this._ensureValidConfig(persisted);
+          }
+        } catch (e) {
+          logger.warn('Failed to restore the popularity vote config', e);
+        }
+        this._finishedInitialSyncWithDisk = true;
+      }
+
+      if (this._state && now < this._state.lastUpdated + this.configTTL) {
+        return;
+      }
+      await this._loadFromServer(now);
+    });
+  }
+
+  async _loadFromServer(now) {
+    const url = this.configUrl;
+    logger.debug('Fetching popularity vote config from', url);
+    const response = await fetch(url, {
+      method: 'GET',
+      cache: 'no-cache',
+      credentials: 'omit',
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to reach ${url}: ${response.statusText}`);
+    }
+    const { version, epsilon, candidates } = await response.json();
+    this._state = this._ensureValidConfig({
+      lastUpdated: now,
+      version,
+      epsilon,
+      candidates,
+    });
+    logger.debug('Updated popularity vote config:', {
+      version,
+      epsilon,
+    });
+
+    try {
+      await this.storage.set(this.storageKey, this._state);
+    } catch (e) {
+      logger.warn('Failed to cache the popularity vote config', e);
+    }
+  }
+
+  _ensureValidConfig(config) {
+    const { lastUpdated, version, epsilon, candidates } = config || {};
+    if (!Number.isInteger(lastUpdated) || lastUpdated < 0) {
+      throw new Error(`Bad timestamp (lastUpdated=${lastUpdated})`);
+    }
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Bad version (version=${version})`);
+    }
+    if (!isValidEpsilon(epsilon)) {
+      throw new Error(`Bad epsilon (epsilon=${epsilon})`);
+    }
+    if (!candidates || typeof candidates !== 'object') {
+      throw new Error('Missing candidates');
+    }
+
+    // URL projections without candidates will not be randomized
+    const validCandidates = {};
+    for (const urlProjection of URL_PROJECTIONS) {
+      const list = candidates[urlProjection];
+      if (list === undefined) {
+        continue;
+      }
+      if (
+        !Array.isArray(list) ||
+        list.length < MIN_CANDIDATES ||
+        list.length > MAX_CANDIDATES ||
+        !list.every((x) => isValidCandidate(x, urlProjection))
+      ) {
+        throw new Error(`Bad candidates for urlProjection=${urlProjection}`);
+      }
+      validCandidates[urlProjection] = list;
+    }
+    return { lastUpdated, version, epsilon, candidates: validCandidates };
+  }
+
+  async selfChecks(check = new SelfCheck()) {
+    if (this.configUrl) {
+      if (!this._state && this._stats.configErrors > 0) {
+        check.warn('popularity votes are not randomized (no config)', {
+          stats: this._stats,
+        });
+      } else {
+        check.pass('randomized response', { stats: this._stats });
+      }
+    }
+    return check;
+  }
+}
@@ -13,17 +13,57 @@ import logger from './logger';
 import SeqExecutor from './seq-executor';
 import { sha1 } from './digest';
 import SelfChecks from './self-check';
+import { BadJobError } from './errors';
 
 const SECOND = 1000;
 const MINUTE = 60 * SECOND;
 const HOUR = 60 * MINUTE;
 
+// Bounds for the length of the hash prefix (in hex characters) in
+// k-anonymous quorum checks. Shorter prefixes increase the size of the
+// anonymity set, but also the size of the responses.
+const MIN_HASH_PREFIX_LENGTH = 4;
+const MAX_HASH_PREFIX_LENGTH = 16;
+
+const DEFERRED_INCREMENT_JOB = 'quorum-checker:increment';
+
+// Random delay of increments in k-anonymous mode. It has to be long enough
+// so that an increment cannot be matched with the lookup before it.
+const DEFERRED_INCREMENT_DELAY = { min: 30 * MINUTE, max: 6 * HOUR };
+
+/**
+ * Quorum checks can run in two modes:
+ * - full hash: the client sends the complete hash of the text and the
+ *   server responds whether it reached quorum
+ * - k-anonymous (in the style of Safe Browsing): the client only sends a
+ *   short prefix of the hash, receives the counts for all hashes in that
+ *   bucket, and resolves its own entry locally
+ *
+ * The mode is controlled by the quorum config endpoint ("hp" is the
+ * length of the prefix; if it is missing, the full hash will be sent).
+ *
+ * Note: increments always include the full hash, since the server needs
+ * it to count the votes. As callers typically increment right before the
+ * lookup, sending both together would let the server match the prefix to
+ * the full hash. Thus, in k-anonymous mode, increments are not sent
+ * immediately but as jobs with a random delay (which means the lookup
+ * will not yet include the client's own vote). Without a job scheduler,
+ * increments cannot be deferred and the full hash will be sent instead.
+ */
 export default class QuorumChecker {
-  constructor({ config, storage, storageKey, bloomFilter, communication }) {
+  constructor({
+    config,
+    storage,
+    storageKey,
+    bloomFilter,
+    communication,
+    jobScheduler,
+  }) {
     this.storage = storage;
     this.storageKey = storageKey;
     this.bloomFilter = bloomFilter;
     this.communication = communication;
+    this.jobScheduler = jobScheduler; // optional (see _supportsHashPrefixes)
     if (config.SAFE_QUORUM_CONFIG_ENDPOINT) {
       this.quorumConfigEndpoint = config.SAFE_QUORUM_CONFIG_ENDPOINT;
     } else {
@@ -43,6 +83,7 @@ export default class QuorumChecker {
     this._persistedState = {
       lastUpdated: 0, // Unix epoch
       bucket: 0, // 0-255
+      prefixLength: 0, // 0 (full hash) or the length of the hash prefix
     };
 
     // This is an imperfect migitation for an edge case:
@@ -68,6 +109,7 @@ export default class QuorumChecker {
         attempts: 0,
         alreadyVoted: 0,
         success: 0,
+        deferred: 0,
         skipped: 0,
         errors: 0,
       },
@@ -75,6 +117,7 @@ export default class QuorumChecker {
         attempts: 0,
         success: 0,
         errors: 0,
+        byPrefix: 0,
         results: {
           yes: 0,
           no: 0,
@@ -86,6 +129,22 @@ export default class QuorumChecker {
         errors: 0,
       },
     };
+
+    this.jobScheduler?.registerHandler(
+      DEFERRED_INCREMENT_JOB,
+      async (job) => {
+        const { hash } = job.args || {};
+        if (typeof hash !== 'string' || !/^[0-9a-f]{40}$/.test(hash)) {
+          throw new BadJobError('Invalid hash in quorum increment');
+        }
+        await this._sendDeferredIncrement(hash);
+      },
+      {
+        priority: -1000,
+        cooldownInMs: 3 * SECOND,
+        maxJobsTotal: 1000,
+      },
+    );
   }
 
   async sendQuorumIncrement({ text, now = Date.now() } = {}) {
@@ -115,19 +174,23 @@ export default class QuorumChecker {
       await this.updateQuorumConfig();
       if (this._isReadyToSend(now)) {
         const digest = await sha1(text);
-        const payload = `?hu=${digest}&oc=${this._persistedState.bucket}`;
-        const response = await this.communication.sendInstant({
-          action: 'safe-browsing-quorum',
-          path: 'incrquorum',
-          payload,
-          method: 'GET',
-        });
-        if (!response.ok) {
-          throw new Error(
-            `Failed to increment quorum (${response.statusText})`,
-          );
+        if (
+          this._persistedState.prefixLength > 0 &&
+          this._supportsHashPrefixes()
+        ) {
+          await this.jobScheduler.registerJob({
+            type: DEFERRED_INCREMENT_JOB,
+            args: { hash: digest },
+            config: { readyIn: DEFERRED_INCREMENT_DELAY },
+          });
+          this._stats.incQuorum.deferred += 1;
+        } else {
+          await this._call('incrementQuorum', {
+            hash: digest,
+            bucket: this._persistedState.bucket,
+          });
+          this._stats.incQuorum.success += 1;
         }
-        this._stats.incQuorum.success += 1;
 
         // Note that the order is subtle here. Moving the update of the bloom
         // filter below the network request that increments quorum looks like
@@ -171,24 +234,23 @@ export default class QuorumChecker {
       }
 
       const digest = await sha1(text);
-      const payload = `?hu=${digest}`;
-
-      const response = await this.communication.sendInstant({
-        action: 'safe-browsing-quorum',
-        path: 'checkquorum',
-        payload,
-        method: 'GET',
-      });
-      if (!response.ok) {
-        throw new Error(`Failed to get quorum (${response.statusText})`);
+      const prefixLength = await this._getHashPrefixLength();
+      let result;
+      if (prefixLength > 0 && this._supportsHashPrefixes()) {
+        const { threshold, counts } = await this._call('checkQuorumByPrefix', {
+          prefix: digest.slice(0, prefixLength),
+        });
+        result = (counts[digest] || 0) >= threshold;
+        this._stats.checkQuorum.byPrefix += 1;
+      } else {
+        result = await this._call('checkQuorum', {
+          hash: digest,
+        });
       }
-      const { result } = await response.json();
-      if (result === true) {
+      if (result) {
         this._stats.checkQuorum.results.yes += 1;
-      } else if (result === false) {
-        this._stats.checkQuorum.results.no += 1;
       } else {
-        throw new Error('Unexpected result');
+        this._stats.checkQuorum.results.no += 1;
       }
       this._stats.checkQuorum.success += 1;
       return result;
@@ -199,6 +261,48 @@ export default class QuorumChecker {
     }
   }
 
+  async _sendDeferredIncrement(hash, now = Date.now()) {
+    try {
+      await this.updateQuorumConfig();
+      if (!this._isReadyToSend(now)) {
+        logger.warn('Not contributing to quorum since our config is outdated');
+        this._stats.incQuorum.skipped += 1;
+        return;
+      }
+      await this._call('incrementQuorum', {
+        hash,
+        bucket: this._persistedState.bucket,
+      });
+      this._stats.incQuorum.success += 1;
+    } catch (e) {
+      logger.error('Failed to send deferred quorum increment', e);
+      this._stats.incQuorum.errors += 1;
+      throw e;
+    }
+  }
+
+  /**
+   * k-anonymous lookups need a job scheduler to defer the increments
+   * (see class comment).
+   */
+  _supportsHashPrefixes() {
+    return !!this.jobScheduler;
+  }
+
+  /**
+   * Calls the quorum endpoint through the typed client of the communication
+   * (see "instantClient"), which owns the definitions of the endpoints.
+   */
+  async _call(name, params) {
+    const { instantClient } = this.communication;
+    if (!instantClient) {
+      throw new Error(
+        'Quorum checks require a communication with a typed client ("instantClient")',
+      );
+    }
+    return instantClient.call(name, params);
+  }
+
   async updateQuorumConfig({ force = false, now = Date.now() } = {}) {
     if (!this.quorumConfigEndpoint) {
       logger.info('Quorum server not configured. Update skipped.');
@@ -224,6 +328,26 @@ export default class QuorumChecker {
     });
   }
 
+  /**
+   * Returns the length of the hash prefix for k-anonymous lookups
+   * (or 0 if the full hash should be sent). If the config cannot be
+   * refreshed, it continues with the last known value.
+   */
+  async _getHashPrefixLength() {
+    if (!this.quorumConfigEndpoint) {
+      return 0;
+    }
+    try {
+      await this.updateQuorumConfig();
+    } catch (e) {
+      logger.warn(
+        'Failed to refresh the quorum config (continuing with the last known hash prefix length)',
+        e,
+      );
+    }
+    return this._persistedState.prefixLength || 0;
+  }
+
   _isReadyToSend(now) {
     return (
       this.quorumConfigEndpoint &&
@@ -256,17 +380,33 @@ export default class QuorumChecker {
     const url = this.quorumConfigEndpoint;
     try {
       logger.debug('Fetching quorum config from', url);
+      const requestStartedAt = Date.now();
       const req = await fetch(url);
       if (!req.ok) {
         throw new Error(req.statusText);
       }
-      const { oc: bucket } = await req.json();
+
+      // The config is fetched over a direct connection; thus, its timestamp
+      // can be used to detect if the system clock is out of sync.
+      this.communication.trustedClock?.updateFromDateHeader?.(req, {
+        requestStartedAt,
+      });
+      const { oc: bucket, hp: prefixLength = 0 } = await req.json();
       const config = {
         lastUpdated: Date.now(),
         bucket,
+        prefixLength,
       };
       this._ensureValidConfig(config);
       this._stats.config.success += 1;
+      if (prefixLength !== this._persistedState.prefixLength) {
+        logger.info(
+          'Length of the hash prefix in quorum checks changed from',
+          this._persistedState.prefixLength,
+          'to',
+          prefixLength,
+        );
+      }
       if (bucket !== this._persistedState.bucket) {
         logger.debug(
           'Quorum bucket changed from',
@@ -296,7 +436,7 @@ export default class QuorumChecker {
     if (!state) {
       throw new Error('Missing state');
     }
-    const { lastUpdated, bucket } = state;
+    const { lastUpdated, bucket, prefixLength = 0 } = state;
     if (!Number.isInteger(lastUpdated) || lastUpdated < 0) {
       throw new Error(
         `Bad timestamp in quorum config (lastUpdated=${lastUpdated})`,
@@ -305,6 +445,18 @@ export default class QuorumChecker {
     if (!Number.isInteger(bucket) || bucket < 0 || bucket >= 256) {
       throw new Error(`Bad bucket in quorum config (bucket=${bucket})`);
     }
+    if (
+      prefixLength !== 0 &&
+      !(
+        Number.isInteger(prefixLength) &&
+        prefixLength >= MIN_HASH_PREFIX_LENGTH &&
+        prefixLength <= MAX_HASH_PREFIX_LENGTH
+      )
+    ) {
+      throw new Error(
+        `Bad hash prefix length in quorum config (prefixLength=${prefixLength})`,
+      );
+    }
   }
 
   async selfChecks(check = new SelfChecks()) {
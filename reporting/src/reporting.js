@@ -13,6 +13,7 @@ import Patterns from './patterns';
 import PatternsUpdater from './patterns-updater';
 import CountryProvider from './country-provider';
 import Sanitizer from './sanitizer';
+import SanitizerStats from './sanitizer-stats';
 import UrlAnalyzer from './url-analyzer';
 import Pages from './pages';
 import PageAggregator from './page-aggregator';
@@ -26,12 +27,14 @@ import PageQuorumCheckHandler from './page-quorum-check-handler';
 import QuorumChecker from './quorum-checker';
 import SearchExtractor from './search-extractor';
 import JobScheduler from './job-scheduler';
+import JobSchedulerAlarms from './job-scheduler-alarms';
 import PersistedHashes from './persisted-hashes';
 import AliveCheck from './alive-check';
 import AliveMessageGenerator from './alive-message-generator';
 import SessionStorageWrapper from './session-storage';
 import PopularityEstimator from './popularity-estimator';
 import PopularityVoteHandler from './popularity-vote-handler';
+import PopularityVoteRandomizer from './popularity-vote-randomizer';
 import PausedDomainsReporter from './paused-domains-reporter';
 import AttrackMessageHandler from './communication-proxy/attrack-message-handler';
 import Observable from './observable';
@@ -69,6 +72,11 @@ export default class Reporting {
     //   connectHostnamePausingEvents: (_notify) => {},
     // }
     pauseState,
+
+    // Optional access to the alarms API (e.g. "chrome.alarms"). If it is
+    // provided, the service worker will be woken up to run pending jobs.
+    // Requires the "alarms" permission.
+    alarms,
   }) {
     // Defines whether Reporting is fully initialized and has permission
     // to collect data.
@@ -81,6 +89,15 @@ export default class Reporting {
       storage,
       storageKey: 'scheduled_jobs',
     });
+    if (alarms) {
+      this.jobSchedulerAlarms = new JobSchedulerAlarms({
+        jobScheduler: this.jobScheduler,
+        alarms,
+        onWakeUp: () => this.processPendingJobs(),
+      });
+    } else {
+      this.jobSchedulerAlarms = disabledService();
+    }
     this.persistedHashes = new PersistedHashes({
       storage,
       storageKey: 'deduplication_hashes',
@@ -112,7 +129,24 @@ export default class Reporting {
       storage,
       storageKey: 'ctry',
     });
-    this.sanitizer = new Sanitizer(this.countryProvider);
+    this.quorumChecker = new QuorumChecker({
+      config,
+      storage,
+      storageKey: 'quorum_check',
+      bloomFilter: this.bloomFilter,
+      communication,
+      jobScheduler: this.jobScheduler,
+    });
+    this.sanitizerStats = new SanitizerStats({
+      storage,
+      storageKey: 'sanitizer_stats',
+      jobScheduler: this.jobScheduler,
+      quorumChecker: this.quorumChecker,
+      sendAggregates: config.SANITIZER_STATS_REPORTING === true,
+    });
+    this.sanitizer = new Sanitizer(this.countryProvider, {
+      stats: this.sanitizerStats,
+    });
     this.urlAnalyzer = new UrlAnalyzer(this.patterns);
 
     this.pageSessionStore = new SessionStorageWrapper({
@@ -139,13 +173,6 @@ export default class Reporting {
       sanitizer: this.sanitizer,
       newPageApprover: this.newPageApprover,
     });
-    this.quorumChecker = new QuorumChecker({
-      config,
-      storage,
-      storageKey: 'quorum_check',
-      bloomFilter: this.bloomFilter,
-      communication,
-    });
     this.pageQuorumCheckHandler = new PageQuorumCheckHandler({
       jobScheduler: this.jobScheduler,
       quorumChecker: this.quorumChecker,
@@ -157,6 +184,7 @@ export default class Reporting {
       persistedHashes: this.persistedHashes,
       quorumChecker: this.quorumChecker,
       jobScheduler: this.jobScheduler,
+      patterns: this.patterns,
     });
     this.pages.addObserver(
       this.navTrackingDetector.onPageEvent.bind(this.navTrackingDetector),
@@ -185,12 +213,18 @@ export default class Reporting {
     this.pages.addObserver(
       this.popularityEstimator.onPageEvent.bind(this.popularityEstimator),
     );
+    this.popularityVoteRandomizer = new PopularityVoteRandomizer({
+      config,
+      storage,
+      storageKey: 'popularity_vote_config',
+    });
     this.popularityVoteHandler = new PopularityVoteHandler({
       jobScheduler: this.jobScheduler,
       communication,
       quorumChecker: this.quorumChecker,
       countryProvider: this.countryProvider,
       pauseState,
+      voteRandomizer: this.popularityVoteRandomizer,
     });
 
     const aliveMessageGenerator = new AliveMessageGenerator({
@@ -227,6 +261,10 @@ export default class Reporting {
       const filterModeProvider = pauseState.getFilteringMode.bind(pauseState);
       this.pausedDomainsReporter = new PausedDomainsReporter({
         filterModeProvider,
+        storage,
+        storageKey: 'paused_domains',
+        jobScheduler: this.jobScheduler,
+        quorumChecker: this.quorumChecker,
       });
       hostnamePauseEvents.addObserver(
         this.pausedDomainsReporter.onPauseEvent.bind(
@@ -281,8 +319,10 @@ export default class Reporting {
       this.patternsUpdater.init(),
       this.countryProvider.init(),
       this.jobScheduler.init(),
+      this.jobSchedulerAlarms.init(),
       this.popularityEstimator.init(),
       this.pausedDomainsReporter.init(),
+      this.sanitizerStats.init(),
     ]);
 
     logger.debug('Fully initialized and ready');
@@ -298,8 +338,10 @@ export default class Reporting {
       this.navTrackingDetector.unload();
       this.pageAggregator.unload();
       this.jobScheduler.unload();
+      this.jobSchedulerAlarms.unload();
       this.popularityEstimator.unload();
       this.pausedDomainsReporter.unload();
+      this.sanitizerStats.unload();
 
       // Attempt to finish all pending changes, though it would not
       // be critical if we lose them. Important operations should
@@ -384,13 +426,26 @@ export default class Reporting {
         'patternsUpdater',
         'bloomFilter',
         'jobScheduler',
+        'jobSchedulerAlarms',
         'quorumChecker',
         'newPageApprover',
         'pageSessionStore',
         'popularityEstimator',
+        'popularityVoteRandomizer',
+        'sanitizerStats',
+        'pausedDomainsReporter',
       ].map((x) => this[x].selfChecks(check.for(x))),
     );
 
+    // The communication is provided from the outside. Older versions
+    // (or replacements in tests) may not support self-checks.
+    if (this.communication?.selfChecks) {
+      try {
+        await this.communication.selfChecks(check.for('communication'));
+      } catch (e) {
+        check.for('communication').fail('self-checks failed', e);
+      }
+    }
     return check;
   }
 }
@@ -0,0 +1,314 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import logger from './logger';
+import random from './random';
+import SelfCheck from './self-check';
+import { requireParam, requireString, requireObject } from './utils';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const OUTCOMES = ['accepted', 'truncated', 'dropped'];
+
+// To keep the memory bounded (categories are controlled by the callers
+// and the patterns, reason codes by the sanitizer)
+const MAX_CATEGORIES = 100;
+const MAX_CODES_PER_CATEGORY = 50;
+
+const SEND_AGGREGATE_JOB = 'sanitizer-stats:send-aggregate';
+
+function newCategoryStats() {
+  return { accepted: 0, truncated: {}, dropped: {} };
+}
+
+function sumCodes(counters) {
+  return Object.values(counters).reduce((x, y) => x + y, 0);
+}
+
+function summarize({ accepted, truncated, dropped }) {
+  const numTruncated = sumCodes(truncated);
+  const numDropped = sumCodes(dropped);
+  return {
+    total: accepted + numTruncated + numDropped,
+    accepted,
+    truncated: numTruncated,
+    dropped: numDropped,
+  };
+}
+
+// Rounds down to the next power of two (e.g. 100 -> 64)
+function coarseCount(n) {
+  return 2 ** Math.floor(Math.log2(n));
+}
+
+/**
+ * Collects statistics about the decisions of the Sanitizer: per category
+ * (e.g. "search-go" or "page-url"), it counts accepted queries or URLs
+ * and the reason codes of the rejected ones. It should make it visible
+ * if a heuristic starts to silently discard a large share of the data.
+ *
+ * The histogram lives in memory and is persisted periodically. It covers
+ * a fixed time window (one day by default); after that, it starts over.
+ *
+ * Optionally (if "sendAggregates" is enabled), a coarse aggregate of the
+ * completed window will be sent. To avoid fingerprinting, the counts are
+ * rounded, the rates are bucketed and each entry must pass quorum.
+ */
+export default class SanitizerStats {
+  constructor({
+    storage,
+    storageKey,
+    jobScheduler,
+    quorumChecker,
+    sendAggregates = false,
+    windowInMs = DAY,
+    persistDelayInMs = 1 * MINUTE,
+    minSamples = 50,
+    highDropRate = 0.4,
+  }) {
+    this.storage = requireParam(storage);
+    this.storageKey = requireString(storageKey);
+    this.jobScheduler = requireParam(jobScheduler);
+    this.quorumChecker = requireParam(quorumChecker);
+    this.sendAggregates = sendAggregates;
+    this.windowInMs = windowInMs;
+    this.persistDelayInMs = persistDelayInMs;
+    this.minSamples = minSamples;
+    this.highDropRate = highDropRate;
+
+    this._state = { since: Date.now(), categories: {} };
+    this._pendingWrite = null;
+    this._loaded = false;
+
+    this.jobScheduler.registerHandler(
+      SEND_AGGREGATE_JOB,
+      async (job) => {
+        const { entries } = job.args;
+        const safeEntries = [];
+        for (const entry of entries) {
+          if (await this._passesQuorum(entry)) {
+            safeEntries.push(entry);
+          }
+        }
+        if (safeEntries.length === 0) {
+          logger.debug('No sanitizer stats reached quorum');
+          return [];
+        }
+        const body = {
+          action: 'wtm.sanitizer-stats',
+          payload: { stats: safeEntries },
+          ver: 1, // Note: no need to keep this number in sync among messages
+          'anti-duplicates': Math.floor(random() * 10000000),
+        };
+        return [{ type: 'send-message', args: { body } }];
+      },
+      {
+        priority: -1000,
+        maxJobsTotal: 5,
+      },
+    );
+  }
+
+  async init({ now = Date.now() } = {}) {
+    if (this._loaded) {
+      return;
+    }
+    try {
+      const persisted = await this.storage.get(this.storageKey);
+      if (persisted) {
+        this._restore(persisted, now);
+      }
+    } catch (e) {
+      logger.warn('Failed to load sanitizer stats (starting over)', e);
+    }
+    this._loaded = true;
+    this._rotateIfNeeded(now);
+  }
+
+  unload() {
+    if (this._pendingWrite !== null) {
+      clearTimeout(this._pendingWrite);
+      this._pendingWrite = null;
+      this._persist();
+    }
+  }
+
+  /**
+   * Records a decision of the sanitizer. The outcome is one of
+   * "accepted", "truncated" or "dropped" (the latter two with the
+   * reason code).
+   */
+  record(category, outcome, code = 'unknown', { now = Date.now() } = {}) {
+    if (!OUTCOMES.includes(outcome)) {
+      logger.warn('Ignoring unexpected sanitizer outcome:', outcome);
+      return;
+    }
+    this._rotateIfNeeded(now);
+
+    const { categories } = this._state;
+    let stats = categories[category];
+    if (!stats) {
+      if (Object.keys(categories).length >= MAX_CATEGORIES) {
+        logger.debug('Too many categories. Ignoring:', category);
+        return;
+      }
+      stats = newCategoryStats();
+      categories[category] = stats;
+    }
+    if (outcome === 'accepted') {
+      stats.accepted += 1;
+    } else {
+      const counters = stats[outcome];
+      if (
+        counters[code] === undefined &&
+        Object.keys(counters).length >= MAX_CODES_PER_CATEGORY
+      ) {
+        code = 'other';
+      }
+      counters[code] = (counters[code] || 0) + 1;
+    }
+    this._markDirty();
+  }
+
+  /**
+   * Returns the histogram of the current window (together with the
+   * summarized counts per category).
+   */
+  getStats() {
+    const categories = {};
+    for (const [category, stats] of Object.entries(this._state.categories)) {
+      categories[category] = {
+        ...summarize(stats),
+        truncatedBy: { ...stats.truncated },
+        droppedBy: { ...stats.dropped },
+      };
+    }
+    return { since: this._state.since, categories };
+  }
+
+  _restore(persisted, now) {
+    requireObject(persisted);
+    const since = persisted.since;
+    if (!Number.isInteger(since) || since > now) {
+      throw new Error(`Unexpected timestamp: ${since}`);
+    }
+
+    // merge with the decisions that were recorded before "init" finished
+    const pending = this._state.categories;
+    this._state = { since, categories: {} };
+    for (const [category, stats] of Object.entries(
+      requireObject(persisted.categories),
+    )) {
+      const { accepted = 0, truncated = {}, dropped = {} } = stats || {};
+      this._state.categories[category] = {
+        accepted,
+        truncated: { ...truncated },
+        dropped: { ...dropped },
+      };
+    }
+    for (const [category, stats] of Object.entries(pending)) {
+      const target = (this._state.categories[category] ||= newCategoryStats());
+      target.accepted += stats.accepted;
+      for (const outcome of ['truncated', 'dropped']) {
+        for (const [code, count] of Object.entries(stats[outcome])) {
+          target[outcome][code] = (target[outcome][code] || 0) + count;
+        }
+      }
+    }
+  }
+
+  _rotateIfNeeded(now) {
+    if (!this._loaded || now < this._state.since + this.windowInMs) {
+      return;
+    }
+    if (this.sendAggregates) {
+      const entries = this._buildAggregate();
+      if (entries.length > 0) {
+        this.jobScheduler
+          .registerJob({ type: SEND_AGGREGATE_JOB, args: { entries } })
+          .catch((e) => {
+            logger.warn('Failed to register sanitizer stats job', e);
+          });
+      }
+    }
+    logger.debug('Starting a new window for sanitizer stats');
+    this._state = { since: now, categories: {} };
+    this._markDirty();
+  }
+
+  /**
+   * Only categories with enough samples are included. Instead of exact
+   * counts, it includes a rounded number of samples, the drop rate in 10%
+   * steps and the most frequent reason code.
+   */
+  _buildAggregate() {
+    const entries = [];
+    for (const [category, stats] of Object.entries(this._state.categories)) {
+      const { total, dropped, truncated } = summarize(stats);
+      if (total >= this.minSamples) {
+        const codes = Object.entries({ ...stats.truncated, ...stats.dropped });
+        codes.sort(([, x], [, y]) => y - x);
+        entries.push({
+          category,
+          samples: coarseCount(total),
+          dropRate: Math.round((10 * dropped) / total) / 10,
+          truncateRate: Math.round((10 * truncated) / total) / 10,
+          topCode: codes.length > 0 ? codes[0][0] : null,
+        });
+      }
+    }
+    return entries;
+  }
+
+  async _passesQuorum(entry) {
+    const text = JSON.stringify(
+      Object.fromEntries(Object.entries(entry).sort()),
+    );
+    await this.quorumChecker.sendQuorumIncrement({ text });
+    return this.quorumChecker.checkQuorumConsent({ text });
+  }
+
+  _markDirty() {
+    if (this._pendingWrite === null) {
+      this._pendingWrite = setTimeout(() => {
+        this._pendingWrite = null;
+        this._persist();
+      }, this.persistDelayInMs);
+    }
+  }
+
+  _persist() {
+    this.storage.set(this.storageKey, this._state).catch((e) => {
+      logger.warn('Failed to persist sanitizer stats', e);
+    });
+  }
+
+  async selfChecks(check = new SelfCheck()) {
+    for (const [category, stats] of Object.entries(
+      this.getStats().categories,
+    )) {
+      if (stats.total >= this.minSamples) {
+        const dropRate = stats.dropped / stats.total;
+        if (dropRate >= this.highDropRate) {
+          check.warn(`high drop rate in category=${category}`, {
+            dropRate,
+            ...stats,
+          });
+        }
+      }
+    }
+    check.pass('sanitizer stats', this.getStats());
+    return check;
+  }
+}
@@ -142,6 +142,11 @@ function hasLogograms(str) {
   return [...str].some(isLogogramChar);
 }
 
+/**
+ * Checks whether a query looks safe to share. If not, the result
+ * contains a stable reason "code" (intended for statistics) and a
+ * human-readable "reason" (intended for logging).
+ */
 export function checkSuspiciousQuery(query) {
   function accept() {
     return {
@@ -149,9 +154,10 @@ export function checkSuspiciousQuery(query) {
     };
   }
 
-  function discard(reason) {
+  function discard(code, reason) {
     return {
       accept: false,
+      code,
       reason,
     };
   }
@@ -165,39 +171,45 @@ export function checkSuspiciousQuery(query) {
 
   // Remove the msg if the query is too long
   if (query.length > 120) {
-    return discard('too long (120 character limit)');
+    return discard('too-long', 'too long (120 character limit)');
   }
   if (query.length > 50 && hasLogograms(query)) {
-    return discard('too long (50 characters and logograms are present)');
+    return discard(
+      'too-long-logograms',
+      'too long (50 characters and logograms are present)',
+    );
   }
 
   const words = query.split(' ');
   if (words.length > 9) {
     if (words.filter((x) => x.length >= 4).length > 16) {
-      return discard('too many words');
+      return discard('too-many-words', 'too many words');
     }
     if (hasLogograms(query)) {
-      return discard('too many words (smaller limit but logograms are present');
+      return discard(
+        'too-many-words-logograms',
+        'too many words (smaller limit but logograms are present',
+      );
     }
   }
 
   if (hasLongNumber(query)) {
-    return discard('long number detected');
+    return discard('long-number', 'long number detected');
   }
 
   // Remove if it contains text that could be an email,
   // even if the email is not well formed
   if (checkForEmail(query)) {
-    return discard('looks like an email');
+    return discard('email', 'looks like an email');
   }
 
   if (/[^:]+:[^@]+@/.test(query)) {
-    return discard('looks like an http password');
+    return discard('http-password', 'looks like an http password');
   }
 
   for (let i = 0; i < words.length; i += 1) {
     if (words[i].length > 45) {
-      return discard('found long word');
+      return discard('long-word', 'found long word');
     }
 
     // Long words are common in some languages (e.g. German)
@@ -205,7 +217,10 @@ export function checkSuspiciousQuery(query) {
       words[i].length > 20 &&
       !/^[a-zA-ZäöüéÄÖÜ][a-zäöüéß]+$/.test(words[i])
     ) {
-      return discard('found long word (smaller limit but uncommon shape)');
+      return discard(
+        'long-word-uncommon-shape',
+        'found long word (smaller limit but uncommon shape)',
+      );
     }
   }
 
@@ -301,6 +316,9 @@ const RISKY_URL_PATH_PARTS = new Set([
  *    (use includ the hostname but remove the rest)
  * 3) "dropped": URL is corrupted or unsafe
  *
+ * Unless the URL is safe, the result contains a stable reason "code"
+ * (e.g. "uncommon-port") and a human-readable "reason".
+ *
  * Expections: this function should be seen as an additional layer of defence,
  * but do not expect it to detect all situation. Instead, make sure to extract
  * only URLs where the context is safe. Otherwise, you are expecting too
@@ -332,33 +350,38 @@ const RISKY_URL_PATH_PARTS = new Set([
 export function sanitizeUrl(url, options = {}) {
   const { strict = false, tryPreservePath = false } = options;
   let accept = () => ({ result: 'safe', safeUrl: url });
-  const drop = (reason) => ({ result: 'dropped', safeUrl: null, reason });
+  const drop = (code, reason) => ({
+    result: 'dropped',
+    safeUrl: null,
+    code,
+    reason,
+  });
 
   // first run some sanity check on the structure of the URL
   const parsedUrl = tryParseUrl(url);
   if (!parsedUrl) {
-    return drop('invalid URL');
+    return drop('invalid-url', 'invalid URL');
   }
   if (parsedUrl.username) {
-    return drop('URL sets username');
+    return drop('username', 'URL sets username');
   }
   if (parsedUrl.password) {
-    return drop('URL sets password');
+    return drop('password', 'URL sets password');
   }
   if (parsedUrl.port && parsedUrl.port !== '80' && parsedUrl.port !== '443') {
-    return drop('URL has uncommon port');
+    return drop('uncommon-port', 'URL has uncommon port');
   }
   if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
-    return drop('URL has uncommon protocol');
+    return drop('uncommon-protocol', 'URL has uncommon protocol');
   }
   if (isPrivateHostname(parsedUrl.hostname)) {
-    return drop('URL is not public');
+    return drop('private-host', 'URL is not public');
   }
   if (looksLikeIPv4Address(parsedUrl.hostname)) {
-    return drop('hostname is an ipv4 address');
+    return drop('ipv4-host', 'hostname is an ipv4 address');
   }
   if (urlLeaksExtensionId(url)) {
-    return drop('URL leaks extension ID');
+    return drop('extension-id', 'URL leaks extension ID');
   }
 
   try {
@@ -370,7 +393,7 @@ export function sanitizeUrl(url, options = {}) {
     // Note that even on https, the hostname will be shared in plaintext,
     // so it is less likely that sites include secrets or personal
     // identifiers in the hostname.
-    const truncate = (reason) => {
+    const truncate = (code, reason) => {
       if (tryPreservePath && (parsedUrl.search || parsedUrl.hash)) {
         // if the URL with only the URL path left is safe, than we can mask the
         // URL less aggressively. Instead of leaving only the domain, we can
@@ -386,6 +409,7 @@ export function sanitizeUrl(url, options = {}) {
           return {
             result: 'truncated',
             safeUrl: `${safeUrl} (PROTECTED)`,
+            code,
             reason,
           };
         }
@@ -396,6 +420,7 @@ export function sanitizeUrl(url, options = {}) {
       return {
         result: 'truncated',
         safeUrl,
+        code,
         reason,
       };
     };
@@ -406,36 +431,40 @@ export function sanitizeUrl(url, options = {}) {
     // 99 percent fell in to 50 character range. If you need to tweaking
     // this value, it might be possible to increase it at bit.
     if (parsedUrl.hostname.length > 50) {
-      return drop('hostname too long');
+      return drop('hostname-too-long', 'hostname too long');
     }
 
     if (url.length > 800) {
-      return truncate('url too long');
+      return truncate('url-too-long', 'url too long');
     }
     if (parsedUrl.search.length > 150) {
-      return truncate('url search part too long');
+      return truncate('search-too-long', 'url search part too long');
     }
     if (parsedUrl.searchParams.size > 8) {
-      return truncate('too many url search parameters');
+      return truncate('too-many-params', 'too many url search parameters');
     }
 
     const decodedUrl = decodeURIComponent(url);
     if (checkForEmail(url) || checkForEmail(decodedUrl)) {
-      return truncate('potential email found');
+      return truncate('email', 'potential email found');
     }
 
     const pathParts = parsedUrl.pathname.split('/');
     if (pathParts.length > 8) {
-      return truncate('too many parts in the url path');
+      return truncate('too-many-path-parts', 'too many parts in the url path');
     }
     for (const part of pathParts) {
       const normalizedPart = normalizeUrlPart(part);
       if (RISKY_URL_PATH_PARTS.has(normalizedPart)) {
-        return truncate(`Found a problematic part in the URL path: ${part}`);
+        return truncate(
+          'risky-path-part',
+          `Found a problematic part in the URL path: ${part}`,
+        );
       }
 
       if (strict && isHash(part, { threshold: 0.015 })) {
         return truncate(
+          'path-identifier',
           `Found URL path that could be an identifier: <<${part}>>`,
         );
       }
@@ -451,7 +480,7 @@ export function sanitizeUrl(url, options = {}) {
     ];
     for (const regexp of regexps) {
       if (regexp.test(url)) {
-        return truncate(`matches ${regexp}`);
+        return truncate('risky-pattern', `matches ${regexp}`);
       }
     }
 
@@ -460,12 +489,14 @@ export function sanitizeUrl(url, options = {}) {
         const { accept: ok, reason } = checkSuspiciousQuery(value);
         if (!ok) {
           return truncate(
+            'suspicious-param',
             `Found problematic URL parameter ${key}=${value}: ${reason}`,
           );
         }
       }
       if (strict && isHash(value, { threshold: 0.015 })) {
         return truncate(
+          'param-identifier',
           `Found URL parameter that could be an identifier ${key}=${value}`,
         );
       }
@@ -478,6 +509,7 @@ export function sanitizeUrl(url, options = {}) {
       return {
         result: 'truncated',
         safeUrl,
+        code: 'fragment',
         reason: 'URL fragment found',
       };
     }
@@ -485,7 +517,7 @@ export function sanitizeUrl(url, options = {}) {
     return accept();
   } catch (e) {
     logger.warn(`Unexpected error in sanitizeUrl. Skipping url=${url}`, e);
-    return drop('Unexpected error');
+    return drop('unexpected-error', 'Unexpected error');
   }
 }
 
@@ -504,11 +536,16 @@ export function sanitizeUrl(url, options = {}) {
  * you will find many harmless examples that will be rejected by the rules.
  */
 export default class Sanitizer {
-  constructor(countryProvider) {
+  /**
+   * If "stats" (see SanitizerStats) is provided, the decisions will be
+   * recorded under the category that the callers passed in.
+   */
+  constructor(countryProvider, { stats = null } = {}) {
     this.countryProvider = countryProvider;
+    this.stats = stats;
   }
 
-  checkSuspiciousQuery(query) {
+  checkSuspiciousQuery(query, { category = 'query' } = {}) {
     const result = checkSuspiciousQuery(query);
     if (!result.accept) {
       logger.debug(
@@ -518,6 +555,24 @@ export default class Sanitizer {
         result.reason,
       );
     }
+    this.stats?.record(
+      category,
+      result.accept ? 'accepted' : 'dropped',
+      result.code,
+    );
+    return result;
+  }
+
+  /**
+   * Same as the "sanitizeUrl" function, but records the decision.
+   */
+  sanitizeUrl(url, { category = 'url', ...options } = {}) {
+    const result = sanitizeUrl(url, options);
+    this.stats?.record(
+      category,
+      result.result === 'safe' ? 'accepted' : result.result,
+      result.code,
+    );
     return result;
   }
 
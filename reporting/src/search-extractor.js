@@ -13,7 +13,7 @@
 
 import logger from './logger';
 import parseHtml from './html-parser';
-import { fastHash } from './utils';
+import { fastHash, parseUntrustedJSON } from './utils';
 import random from './random';
 import { timezoneAgnosticDailyExpireAt } from './cooldowns';
 import { anonymousHttpGet } from './http';
@@ -26,12 +26,137 @@ function doublefetchQueryHash(query, category) {
   return fastHash(`dfq:${category}:${query.trim()}`, { truncate: true });
 }
 
-function runSelector(item, selector, attr, baseURI) {
-  const elem = selector ? item.querySelector(selector) : item;
+// Upper bound for JSON embedded in the page (e.g. JSON-LD blocks)
+const MAX_EMBEDDED_JSON_SIZE = 512 * 1024; // 512 KB
+
+// Caches parsed JSON per element (multiple fields may read the same block)
+const embeddedJsonCache = new WeakMap();
+
+/**
+ * Approximates "innerText" (which is not available in all DOM parsers):
+ * the text content with whitespace collapsed and trimmed.
+ */
+function normalizedText(elem) {
+  return elem.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function findSibling(elem, direction, selector) {
+  const nextOf = (x) =>
+    direction === 'next' ? x.nextElementSibling : x.previousElementSibling;
+  for (let sibling = nextOf(elem); sibling; sibling = nextOf(sibling)) {
+    if (selector === true || sibling.matches(selector)) {
+      return sibling;
+    }
+  }
+  return null;
+}
+
+/**
+ * Navigates from the given element. A hop is either a CSS selector
+ * (relative to the current element; ":scope" is supported) or one of:
+ * - { closest: "<selector>" }: closest ancestor (or the element itself)
+ * - { parent: <n> }: n-th parent (e.g. 1 for the direct parent)
+ * - { next: "<selector>" | true }: following sibling (true: any element)
+ * - { prev: "<selector>" | true }: preceding sibling (true: any element)
+ * - { select: "<selector>", nth: <n> }: n-th match (negative: from the end)
+ */
+function runHop(elem, hop) {
+  if (typeof hop === 'string') {
+    return elem.querySelector(hop);
+  }
+  if (hop?.closest !== undefined) {
+    return elem.closest(hop.closest);
+  }
+  if (hop?.parent !== undefined) {
+    if (!Number.isInteger(hop.parent) || hop.parent < 0) {
+      throw new BadPatternError(`Bad parent hop: ${hop.parent}`);
+    }
+    let current = elem;
+    for (let i = 0; i < hop.parent && current; i += 1) {
+      current = current.parentElement;
+    }
+    return current;
+  }
+  if (hop?.next !== undefined) {
+    return findSibling(elem, 'next', hop.next);
+  }
+  if (hop?.prev !== undefined) {
+    return findSibling(elem, 'prev', hop.prev);
+  }
+  if (hop?.select !== undefined && Number.isInteger(hop.nth)) {
+    return [...elem.querySelectorAll(hop.select)].at(hop.nth) ?? null;
+  }
+  throw new BadPatternError(`Unsupported selector hop: ${JSON.stringify(hop)}`);
+}
+
+function selectElement(item, select) {
+  if (!select) {
+    return item;
+  }
+  if (!Array.isArray(select)) {
+    return runHop(item, select);
+  }
+  let elem = item;
+  for (const hop of select) {
+    elem = runHop(elem, hop);
+    if (!elem) {
+      return null;
+    }
+  }
+  return elem;
+}
+
+/**
+ * Reads a value from JSON embedded in the element (e.g. JSON-LD in
+ * <script type="application/ld+json">). The path is a list of keys
+ * separated by dots (array indices are numbers, e.g. "itemListElement.0.url").
+ * Only primitive values (strings, numbers and booleans) will be returned.
+ */
+function readEmbeddedJson(elem, path) {
+  let json = embeddedJsonCache.get(elem);
+  if (json === undefined) {
+    try {
+      json = parseUntrustedJSON(elem.textContent, {
+        maxSize: MAX_EMBEDDED_JSON_SIZE,
+      });
+    } catch (e) {
+      json = null;
+    }
+    embeddedJsonCache.set(elem, json);
+  }
+
+  let value = json;
+  for (const key of path === '' ? [] : path.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return null;
+    }
+    if (Array.isArray(value)) {
+      value = /^[0-9]+$/.test(key) ? value[Number(key)] : undefined;
+    } else {
+      value = Object.hasOwn(value, key) ? value[key] : undefined;
+    }
+  }
+  const type = typeof value;
+  return type === 'string' || type === 'number' || type === 'boolean'
+    ? value
+    : null;
+}
+
+function runSelector(item, { select, attr, json }, baseURI) {
+  const elem = selectElement(item, select);
   if (elem) {
+    if (json !== undefined) {
+      if (typeof json !== 'string') {
+        throw new BadPatternError('JSON path must be a string');
+      }
+      return readEmbeddedJson(elem, json);
+    }
     if (attr === 'textContent') {
       return elem.textContent;
     }
+    if (attr === 'innerText') {
+      return normalizedText(elem);
+    }
     if (attr === 'href') {
       // Going throw the attribute "href" avoids some of the problems of using
       // directly "elem.href". For relative links the DOMParser cannot
@@ -79,8 +204,8 @@ function runTransforms(value, transformSteps = []) {
 function findFirstMatch(rootItem, selectorDef, baseURI) {
   // special case: allows to define multiple rules (first matching rule wins)
   if (selectorDef.firstMatch) {
-    for (const { select, attr, transform = [] } of selectorDef.firstMatch) {
-      const match = runSelector(rootItem, select, attr, baseURI) ?? null;
+    for (const { transform = [], ...def } of selectorDef.firstMatch) {
+      const match = runSelector(rootItem, def, baseURI) ?? null;
       if (match !== null) {
         return runTransforms(match, transform);
       }
@@ -89,9 +214,7 @@ function findFirstMatch(rootItem, selectorDef, baseURI) {
   }
 
   // default case: only one rule
-  return (
-    runSelector(rootItem, selectorDef.select, selectorDef.attr, baseURI) ?? null
-  );
+  return runSelector(rootItem, selectorDef, baseURI) ?? null;
 }
 
 export default class SearchExtractor {
@@ -118,7 +241,9 @@ export default class SearchExtractor {
       };
     }
 
-    const queryCheck = this.sanitizer.checkSuspiciousQuery(query);
+    const queryCheck = this.sanitizer.checkSuspiciousQuery(query, {
+      category,
+    });
     if (!queryCheck.accept) {
       return discard(
         `Dropping suspicious query before double-fetch (${queryCheck.reason})`,
@@ -174,13 +299,27 @@ export default class SearchExtractor {
   }
 
   // Note: "doc" may be changed as a side-effect of preprocessing
-  extractMessages({ doc, query, category, doublefetchRequest }) {
+  //
+  // If "trace" (an object) is passed, it will be filled with details
+  // about the extraction (intended for debugging and offline tools):
+  // - found: the extracted values (per input selector and key)
+  // - incomplete: messages that were dropped because of missing fields
+  // - omitted: messages that were dropped because of "omitIfExistsAny"
+  extractMessages({ doc, query, category, doublefetchRequest, trace = null }) {
     const rules = this.patterns.getRulesSnapshot();
     if (!rules[category]) {
       return [];
     }
 
     const found = {};
+    if (trace) {
+      trace.found = found;
+      trace.incomplete = [];
+      trace.omitted = [];
+    }
+    const markIncomplete = (action, key) => {
+      trace?.incomplete.push({ action, missingKey: key });
+    };
     const baseURI = doublefetchRequest.url;
 
     const { preprocess = {}, input = {}, output = {} } = rules[category];
@@ -229,6 +368,10 @@ export default class SearchExtractor {
       qurl: doublefetchRequest.url,
       ctry: this.sanitizer.getSafeCountryCode(),
     };
+    // version of the rules (lets the server tell which rules produced it)
+    if (rules[category].version !== undefined) {
+      context.pver = rules[category].version;
+    }
     const isPresent = (x) => x !== null && x !== undefined && x !== '';
 
     // Now combine the results to build the messages as specified
@@ -270,6 +413,7 @@ export default class SearchExtractor {
           if (input[source].first) {
             // case 1: single extracted value
             if (!optional && !isPresent(found[source][key])) {
+              markIncomplete(action, key);
               continue nextaction; // eslint-disable-line no-labels
             }
             payload[key] = found[source][key] ?? null;
@@ -291,6 +435,7 @@ export default class SearchExtractor {
               required.every((x) => isPresent(entry[x]));
             const cleanedResults = results.filter(allFieldsPresent);
             if (cleanedResults.length === 0 && !optional) {
+              markIncomplete(action, key);
               continue nextaction; // eslint-disable-line no-labels
             }
             payload[key] = { ...cleanedResults };
@@ -301,7 +446,8 @@ export default class SearchExtractor {
           }
         } else {
           // case 3: access special keys from the context
-          if (!optional && !isPresent(context[key])) {
+          // (keys that are not provided, like "pver", are always omitted)
+          if (!(key in context) || (!optional && !isPresent(context[key]))) {
             continue;
           }
           payload[key] = context[key] ?? null;
@@ -321,10 +467,17 @@ export default class SearchExtractor {
 
     const filteredMessages = messages.filter((msg) => {
       const { omitIfExistsAny = [] } = output[msg.body.action];
-      const isRedundant = omitIfExistsAny.some((action) =>
+      const omittedBecauseOf = omitIfExistsAny.find((action) =>
         messages.some((x) => x.body.action === action),
       );
-      return !isRedundant;
+      if (omittedBecauseOf) {
+        trace?.omitted.push({
+          action: msg.body.action,
+          because: omittedBecauseOf,
+        });
+        return false;
+      }
+      return true;
     });
     if (messages.length !== filteredMessages.length) {
       logger.debug('Remaining messages after filtering:', filteredMessages);
@@ -15,6 +15,9 @@ import logger from './logger';
 /**
  * Can be used to add search engines. Detecting search engines enables
  * some optimizations (e.g. quorum checks can be skipped).
+ *
+ * These patterns are only a fallback: if the server provides URL
+ * patterns (see url-patterns.js), they will be used instead.
  */
 const URL_PATTERNS = [
   {
@@ -124,7 +127,11 @@ const URL_PATTERNS = [
 export default class UrlAnalyzer {
   constructor(patterns) {
     this.patterns = patterns;
-    this._urlPatterns = URL_PATTERNS;
+    this._builtinUrlPatterns = URL_PATTERNS;
+  }
+
+  get _urlPatterns() {
+    return this.patterns.getUrlPatterns?.() || this._builtinUrlPatterns;
   }
 
   parseSearchLinks(url) {
@@ -132,6 +139,7 @@ export default class UrlAnalyzer {
       category,
       regexp,
       prefix,
+      paramsMatch = () => true,
       queryFinder = (parsedUrl) => parsedUrl.searchParams.get('q'),
       doublefetchHost = (parsedUrl) => parsedUrl.host,
     } of this._urlPatterns) {
@@ -142,6 +150,9 @@ export default class UrlAnalyzer {
         // avoid the ambigious '+' character and use explicit white space encoding.
         const url_ = url.replaceAll('+', '%20');
         const parsedUrl = new ImmutableURL(url_);
+        if (!paramsMatch(parsedUrl)) {
+          continue;
+        }
 
         const query = queryFinder(parsedUrl);
         if (!query) {
@@ -0,0 +1,219 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { BadPatternError } from './errors';
+import { requireString, requireObject, requireArrayOfStrings } from './utils';
+
+const MAX_REGEX_LENGTH = 256;
+const MAX_URL_PATTERNS = 100;
+
+/**
+ * Checks that a regular expression (given as a string) is within the
+ * subset that is safe to receive from the server. The threat model is
+ * the same as for the transformations in patterns.js: if the server gets
+ * compromised, the worst case should be a rule that does not match.
+ *
+ * Rejected are:
+ * - overly long expressions
+ * - backreferences, lookaheads, lookbehinds and named groups
+ * - nested quantifiers (e.g. "(a+)*", "(a?a?){18}" or "(a|aa){2,}"),
+ *   which are the classic source of exponential backtracking. Optional
+ *   ("?") and bounded ("{n,m}") repetitions count as quantifiers, too.
+ *
+ * Note: this is a conservative, syntactic check. Some harmless
+ * expressions will be rejected as well.
+ */
+export function isSafeRegex(source) {
+  if (typeof source !== 'string' || source.length > MAX_REGEX_LENGTH) {
+    return false;
+  }
+
+  const isQuantifier = (pos) =>
+    source[pos] === '*' ||
+    source[pos] === '+' ||
+    source[pos] === '?' ||
+    source[pos] === '{';
+
+  // For each open group, tracks whether it contains a quantifier
+  const groups = [];
+  let pos = 0;
+  while (pos < source.length) {
+    const char = source[pos];
+    if (char === '\\') {
+      const next = source[pos + 1];
+      if (next === undefined || /[1-9k]/.test(next)) {
+        return false; // backreferences
+      }
+      pos += 2;
+    } else if (char === '[') {
+      // skip character classes (they cannot contain quantifiers)
+      pos += 1;
+      while (pos < source.length && source[pos] !== ']') {
+        pos += source[pos] === '\\' ? 2 : 1;
+      }
+      if (pos >= source.length) {
+        return false;
+      }
+      pos += 1;
+    } else if (char === '(') {
+      if (source[pos + 1] === '?') {
+        if (source[pos + 2] !== ':') {
+          return false; // lookarounds or named groups
+        }
+        pos += 3;
+      } else {
+        pos += 1;
+      }
+      groups.push({ hasQuantifier: false, hasAlternative: false });
+    } else if (char === '|') {
+      if (groups.length > 0) {
+        groups[groups.length - 1].hasAlternative = true;
+      }
+      pos += 1;
+    } else if (char === ')') {
+      const group = groups.pop();
+      if (!group) {
+        return false;
+      }
+      pos += 1;
+      if (isQuantifier(pos)) {
+        if (group.hasQuantifier || group.hasAlternative) {
+          return false;
+        }
+      }
+      if (groups.length > 0) {
+        const parent = groups[groups.length - 1];
+        parent.hasQuantifier ||= group.hasQuantifier || isQuantifier(pos);
+      }
+    } else {
+      if (isQuantifier(pos) && groups.length > 0) {
+        groups[groups.length - 1].hasQuantifier = true;
+      }
+      pos += 1;
+    }
+  }
+  if (groups.length > 0) {
+    return false;
+  }
+
+  try {
+    new RegExp(source);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function isValidHost(host) {
+  return /^[a-z0-9]([a-z0-9-]*[a-z0-9])?([.][a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i.test(
+    host,
+  );
+}
+
+/**
+ * Compiles a single URL pattern from the patterns DSL.
+ *
+ * Example:
+ * {
+ *   "category": "search-ya",
+ *   "regexp": "^https://[^/]*[.]search[.]yahoo[.]",
+ *   "params": { "p": true },
+ *   "queryParams": ["q", "p"],
+ *   "prefix": "search?q=",
+ *   "doublefetchHost": "search.yahoo.com"
+ * }
+ *
+ * - regexp: matched against the full URL (must be in the safe subset)
+ * - params (optional): query parameters that must be present; either with
+ *   a given value (string) or with any non-empty value (true)
+ * - queryParams (optional): the query is taken from the first non-empty
+ *   query parameter (default: ["q"])
+ * - prefix: path and query that will be used to build the doublefetch URL
+ * - doublefetchHost (optional): rewrites the host of the doublefetch URL
+ *   (default: keep the host)
+ *
+ * The output has the same structure as the builtin patterns
+ * in url-analyzer.js (with regexp, queryFinder and doublefetchHost).
+ */
+export function compileUrlPattern(definition) {
+  requireObject(definition, 'url pattern');
+  const {
+    category,
+    regexp,
+    params = {},
+    queryParams = ['q'],
+    prefix,
+  } = definition;
+  requireString(category, 'category');
+  requireString(prefix, 'prefix');
+  if (!isSafeRegex(regexp)) {
+    throw new BadPatternError(`Unsafe or invalid regexp: ${regexp}`);
+  }
+  requireObject(params, 'params');
+  for (const value of Object.values(params)) {
+    if (value !== true && typeof value !== 'string') {
+      throw new BadPatternError(`Bad param constraint: ${value}`);
+    }
+  }
+  requireArrayOfStrings(queryParams, 'queryParams');
+  if (queryParams.length === 0) {
+    throw new BadPatternError('queryParams must not be empty');
+  }
+
+  const compiled = {
+    category,
+    regexp: new RegExp(regexp),
+    prefix,
+    queryFinder(parsedUrl) {
+      for (const param of queryParams) {
+        const query = parsedUrl.searchParams.get(param);
+        if (query) {
+          return query;
+        }
+      }
+      return null;
+    },
+  };
+
+  const paramConstraints = Object.entries(params);
+  if (paramConstraints.length > 0) {
+    compiled.paramsMatch = (parsedUrl) =>
+      paramConstraints.every(([key, expected]) => {
+        const value = parsedUrl.searchParams.get(key);
+        return expected === true ? !!value : value === expected;
+      });
+  }
+
+  if (definition.doublefetchHost !== undefined) {
+    const host = requireString(definition.doublefetchHost, 'doublefetchHost');
+    if (!isValidHost(host)) {
+      throw new BadPatternError(`Bad doublefetchHost: ${host}`);
+    }
+    compiled.doublefetchHost = () => host;
+  }
+  return compiled;
+}
+
+/**
+ * Compiles the list of URL patterns (the order defines the priority).
+ * Throws if any of the patterns is invalid.
+ */
+export function compileUrlPatterns(definitions) {
+  if (!Array.isArray(definitions)) {
+    throw new BadPatternError('URL patterns must be an array');
+  }
+  if (definitions.length > MAX_URL_PATTERNS) {
+    throw new BadPatternError(
+      `Too many URL patterns: ${definitions.length} > ${MAX_URL_PATTERNS}`,
+    );
+  }
+  return definitions.map(compileUrlPattern);
+}
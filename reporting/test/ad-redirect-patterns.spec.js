@@ -0,0 +1,130 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+import fc from 'fast-check';
+
+import {
+  compileAdRedirectRule,
+  compileAdRedirectRules,
+} from '../src/ad-redirect-patterns.js';
+
+describe('#compileAdRedirectRule', function () {
+  it('should match by prefix', function () {
+    const matches = compileAdRedirectRule({
+      prefix: 'https://www.google.com/aclk?',
+    });
+    expect(matches('https://www.google.com/aclk?sa=l&ai=foo')).to.be.true;
+    expect(matches('https://www.google.com/search?q=foo')).to.be.false;
+  });
+
+  it('should match by hosts', function () {
+    const matches = compileAdRedirectRule({
+      hosts: ['tatrck.com', 'ads.example.test'],
+    });
+    expect(matches('https://tatrck.com/h/0Hu30v4x15uh')).to.be.true;
+    expect(matches('http://ads.example.test/')).to.be.true;
+    expect(matches('https://www.tatrck.com/h/0Hu30v4x15uh')).to.be.false;
+    expect(matches('not a URL')).to.be.false;
+  });
+
+  it('should require all query parameters', function () {
+    const matches = compileAdRedirectRule({
+      prefix: 'https://search.brave.com/a/redirect?',
+      params: ['click_url', 'placement_id'],
+    });
+    expect(
+      matches(
+        'https://search.brave.com/a/redirect?click_url=https%3A%2F%2Fexample.test&placement_id=1',
+      ),
+    ).to.be.true;
+    expect(
+      matches(
+        'https://search.brave.com/a/redirect?click_url=https%3A%2F%2Fexample.test',
+      ),
+    ).to.be.false;
+  });
+
+  it('should combine all conditions', function () {
+    const matches = compileAdRedirectRule({
+      prefix: 'https://ads.example.test/click',
+      hosts: ['ads.example.test'],
+      params: ['id'],
+    });
+    expect(matches('https://ads.example.test/click?id=1')).to.be.true;
+    expect(matches('https://ads.example.test/click')).to.be.false;
+    expect(matches('https://ads.example.test/other?id=1')).to.be.false;
+  });
+
+  for (const [name, definition] of [
+    ['no conditions', {}],
+    ['only params', { params: ['id'] }],
+    ['insecure prefix', { prefix: 'http://ads.example.test/' }],
+    ['overlong prefix', { prefix: `https://${'a'.repeat(300)}` }],
+    ['empty hosts', { hosts: [] }],
+    ['bad hosts', { hosts: ['ads.example.test/path'] }],
+    ['bad params', { hosts: ['ads.example.test'], params: 'id' }],
+    ['not an object', 'https://ads.example.test/'],
+  ]) {
+    it(`should reject invalid rules (${name})`, function () {
+      expect(() => compileAdRedirectRule(definition)).to.throw();
+    });
+  }
+
+  it('should not throw on arbitrary URLs', function () {
+    const matches = compileAdRedirectRule({
+      hosts: ['ads.example.test'],
+      params: ['id'],
+    });
+    fc.assert(
+      fc.property(fc.oneof(fc.webUrl(), fc.string()), (url) => {
+        expect(matches(url)).to.be.a('boolean');
+      }),
+    );
+  });
+});
+
+describe('#compileAdRedirectRules', function () {
+  it('should match if any rule matches', function () {
+    const matches = compileAdRedirectRules([
+      { prefix: 'https://www.bing.com/aclick?' },
+      {
+        prefix: 'https://duckduckgo.com/y.js?',
+        params: ['ad_domain', 'ad_provider', 'ad_type'],
+      },
+    ]);
+    expect(matches('https://www.bing.com/aclick?ld=foo')).to.be.true;
+    expect(
+      matches(
+        'https://duckduckgo.com/y.js?ad_domain=example.test&ad_provider=x&ad_type=txad',
+      ),
+    ).to.be.true;
+    expect(matches('https://duckduckgo.com/y.js?ad_domain=example.test')).to.be
+      .false;
+  });
+
+  it('should allow to disable the detection', function () {
+    expect(compileAdRedirectRules([])('https://www.bing.com/aclick?')).to.be
+      .false;
+  });
+
+  it('should reject invalid lists', function () {
+    expect(() => compileAdRedirectRules({})).to.throw();
+    expect(() =>
+      compileAdRedirectRules([{ prefix: 'https://ok.test/' }, {}]),
+    ).to.throw();
+    expect(() =>
+      compileAdRedirectRules(
+        [...Array(21)].map((_, i) => ({ prefix: `https://ads${i}.test/` })),
+      ),
+    ).to.throw();
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import AttrackMessageHandler from '../src/communication-proxy/attrack-message-handler.js';
+
+describe('#AttrackMessageHandler', function () {
+  let communication;
+  let jobScheduler;
+  let uut;
+
+  function tpEvents(numTps, { c = 1 } = {}) {
+    const tps = {};
+    for (let i = 0; i < numTps; i += 1) {
+      tps[`tracker${i}.test`] = { c: 1 };
+    }
+    return {
+      action: 'wtm.attrack.tp_events',
+      payload: { data: [{ hostname: 'abc', c, tps }], ver: 1 },
+    };
+  }
+
+  function scheduledMessages() {
+    return jobScheduler.jobs.map((job) => job.args.message);
+  }
+
+  beforeEach(function () {
+    communication = {
+      maxSize: 1000,
+      getSizeClass(msg) {
+        return { fits: JSON.stringify(msg).length <= this.maxSize };
+      },
+      async send() {},
+    };
+    jobScheduler = {
+      active: true,
+      jobs: [],
+      registerHandler() {},
+      async registerJob(job) {
+        this.jobs.push(job);
+      },
+    };
+    uut = new AttrackMessageHandler({ communication, jobScheduler });
+  });
+
+  it('should send small messages as they are', function () {
+    const message = tpEvents(3);
+    uut.sendInBackground(message);
+    expect(scheduledMessages()).to.deep.equal([message]);
+  });
+
+  it('should split tp_events with too many third parties', function () {
+    const message = tpEvents(100);
+    uut.sendInBackground(message);
+
+    const messages = scheduledMessages();
+    expect(messages.length).to.be.above(1);
+    const tps = {};
+    let pageLoads = 0;
+    for (const msg of messages) {
+      expect(communication.getSizeClass(msg).fits).to.be.true;
+      const [page] = msg.payload.data;
+      Object.assign(tps, page.tps);
+      pageLoads += page.c;
+      expect(page.hostname).to.equal('abc');
+      expect(msg.payload.ver).to.equal(1);
+    }
+    expect(tps).to.deep.equal(message.payload.data[0].tps);
+    expect(pageLoads).to.equal(1);
+  });
+
+  it('should keep messages that cannot be split', function () {
+    communication.maxSize = 10;
+    const message = tpEvents(1);
+    uut.sendInBackground(message);
+    expect(scheduledMessages()).to.deep.equal([message]);
+  });
+
+  it('should not split other messages', function () {
+    communication.maxSize = 10;
+    const message = { action: 'wtm.attrack.tokensv2', payload: {} };
+    uut.sendInBackground(message);
+    expect(scheduledMessages()).to.deep.equal([message]);
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import InMemoryDatabase from './helpers/in-memory-database.js';
+import ReferenceCollector from './helpers/reference-collector.js';
+import MemoryPersistentMap from './helpers/memory-map.js';
+
+import AnonymousCommunication from '../../communication/src/index.js';
+import communicationLogger from '../../communication/src/logger.js';
+import { TransportError } from '../../communication/src/errors.js';
+import MessageSender from '../src/message-sender.js';
+import DuplicateDetector from '../src/duplicate-detector.js';
+import PersistedHashes from '../src/persisted-hashes.js';
+import QuorumChecker from '../src/quorum-checker.js';
+import { sha1 } from '../src/digest.js';
+
+communicationLogger.disable();
+
+describe('#communication (end-to-end)', function () {
+  let collector;
+  let communication;
+
+  beforeEach(async function () {
+    collector = new ReferenceCollector();
+    await collector.init();
+    collector.install();
+    communication = new AnonymousCommunication({
+      config: { ...collector.config, CHANNEL: 'test-channel' },
+      connectDatabase: () => new InMemoryDatabase(),
+    });
+  });
+
+  afterEach(function () {
+    collector.uninstall();
+  });
+
+  describe('#MessageSender', function () {
+    let duplicateDetector;
+    let uut;
+
+    beforeEach(async function () {
+      duplicateDetector = new DuplicateDetector(
+        new PersistedHashes({
+          storage: new MemoryPersistentMap(),
+          storageKey: 'dummy-storage-key',
+        }),
+      );
+      await duplicateDetector.init();
+      uut = new MessageSender({
+        duplicateDetector,
+        communication,
+        jobScheduler: { registerHandler() {} },
+      });
+    });
+
+    afterEach(function () {
+      duplicateDetector.unload();
+    });
+
+    it('should deliver messages to the collector', async function () {
+      const body = {
+        action: 'wtm.test',
+        payload: { foo: 'bar' },
+        ver: 1,
+        'anti-duplicates': 1,
+      };
+      await uut.send({ body });
+
+      expect(collector.receivedMessages).to.have.lengthOf(1);
+      expect(collector.receivedMessages[0]).to.include({
+        action: 'wtm.test',
+        channel: 'test-channel',
+      });
+      expect(collector.receivedMessages[0].payload).to.deep.equal({
+        foo: 'bar',
+      });
+    });
+  });
+
+  describe('#QuorumChecker', function () {
+    let uut;
+
+    beforeEach(function () {
+      uut = new QuorumChecker({
+        config: {},
+        storage: new MemoryPersistentMap(),
+        storageKey: 'quorum_check',
+        bloomFilter: {},
+        communication,
+      });
+    });
+
+    for (const result of [true, false]) {
+      it(`should parse quorum responses (result=${result})`, async function () {
+        collector.onMessage = async () => ({
+          status: 200,
+          body: JSON.stringify({ result }),
+        });
+        expect(await uut.checkQuorumConsent({ text: 'foo' })).to.equal(result);
+
+        const [{ action, path, method }] = collector.receivedMessages;
+        expect({ action, path, method }).to.deep.equal({
+          action: 'safe-browsing-quorum',
+          path: 'checkquorum',
+          method: 'GET',
+        });
+      });
+    }
+
+    it('should fail with a recoverable error if the server is down', async function () {
+      collector.onMessage = async () => ({ status: 503, body: '' });
+      try {
+        await uut.checkQuorumConsent({ text: 'foo' });
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(TransportError);
+        return;
+      }
+      expect.fail('Expected the quorum check to fail');
+    });
+
+    it('should fail if the communication has no typed client', async function () {
+      uut = new QuorumChecker({
+        config: {},
+        storage: new MemoryPersistentMap(),
+        storageKey: 'quorum_check',
+        bloomFilter: {},
+        communication: {
+          sendInstant: (request) => communication.sendInstant(request),
+        },
+      });
+      try {
+        await uut.checkQuorumConsent({ text: 'foo' });
+      } catch (e) {
+        expect(e.message).to.include('instantClient');
+        expect(collector.receivedMessages).to.be.empty;
+        return;
+      }
+      expect.fail('Expected the quorum check to fail');
+    });
+
+    describe('with k-anonymous quorum checks', function () {
+      let digest;
+      let storage;
+      let jobScheduler;
+
+      function newQuorumChecker(args = {}) {
+        return new QuorumChecker({
+          config: { SAFE_QUORUM_CONFIG_ENDPOINT: 'https://quorum.test/config' },
+          storage,
+          storageKey: 'quorum_check',
+          bloomFilter: {
+            mightContain: async () => false,
+            add: async () => {},
+          },
+          communication,
+          jobScheduler,
+          ...args,
+        });
+      }
+
+      beforeEach(async function () {
+        digest = await sha1('foo');
+        storage = new MemoryPersistentMap();
+        await storage.set('quorum_check', {
+          lastUpdated: Date.now(),
+          bucket: 3,
+          prefixLength: 8,
+        });
+        jobScheduler = {
+          handlers: {},
+          jobs: [],
+          registerHandler(type, handler) {
+            this.handlers[type] = handler;
+          },
+          async registerJob(job) {
+            this.jobs.push(job);
+          },
+        };
+        uut = newQuorumChecker();
+      });
+
+      it('should only send the hash prefix', async function () {
+        collector.onMessage = async () => ({
+          status: 200,
+          body: JSON.stringify({ threshold: 5, counts: {} }),
+        });
+        await uut.checkQuorumConsent({ text: 'foo' });
+
+        const [{ payload }] = collector.receivedMessages;
+        expect(payload).to.equal(`?hp=${digest.slice(0, 8)}`);
+      });
+
+      it('should defer increments to not link them with the lookup', async function () {
+        collector.onMessage = async () => ({ status: 200, body: '' });
+        await uut.sendQuorumIncrement({ text: 'foo' });
+        expect(collector.receivedMessages).to.be.empty;
+
+        const [job] = jobScheduler.jobs;
+        expect(job.args).to.deep.equal({ hash: digest });
+        expect(job.config.readyIn.min).to.be.above(0);
+        await jobScheduler.handlers[job.type](job);
+
+        const [{ path, payload }] = collector.receivedMessages;
+        expect(path).to.equal('incrquorum');
+        expect(payload).to.equal(`?hu=${digest}&oc=3`);
+      });
+
+      it('should send the full hash if increments cannot be deferred', async function () {
+        uut = newQuorumChecker({ jobScheduler: undefined });
+        collector.onMessage = async () => ({
+          status: 200,
+          body: JSON.stringify({ result: true }),
+        });
+        await uut.sendQuorumIncrement({ text: 'foo' });
+        expect(await uut.checkQuorumConsent({ text: 'foo' })).to.be.true;
+
+        expect(collector.receivedMessages.map((x) => x.payload)).to.deep.equal([
+          `?hu=${digest}&oc=3`,
+          `?hu=${digest}`,
+        ]);
+      });
+
+      for (const [count, expected] of [
+        [undefined, false],
+        [4, false],
+        [5, true],
+        [6, true],
+      ]) {
+        it(`should resolve the result locally (count=${count})`, async function () {
+          const counts = {
+            // other hashes in the same bucket
+            [digest.slice(0, 8) + '0'.repeat(32)]: 100,
+            [digest.slice(0, 8) + 'f'.repeat(32)]: 100,
+          };
+          if (count !== undefined) {
+            counts[digest] = count;
+          }
+          collector.onMessage = async () => ({
+            status: 200,
+            body: JSON.stringify({ threshold: 5, counts }),
+          });
+          expect(await uut.checkQuorumConsent({ text: 'foo' })).to.equal(
+            expected,
+          );
+        });
+      }
+    });
+  });
+});
@@ -8,11 +8,17 @@ import './http.spec.js';
 import './patterns.spec.js';
 import './patterns-updater.spec.js';
 import './job-scheduler.spec.js';
+import './job-scheduler-alarms.spec.js';
 import './country-provider.spec.js';
 import './persisted-hashes.spec.js';
 import './url-analyzer.spec.js';
+import './url-patterns.spec.js';
+import './ad-redirect-patterns.spec.js';
+import './json-patch.spec.js';
 import './alive-check.spec.js';
 import './alive-message-generator.spec.js';
+import './attrack-message-handler.spec.js';
+import './communication-end-to-end.spec.js';
 import './nav-tracking-detector.spec.js';
 import './network.spec.js';
 import './observable.spec.js';
@@ -22,10 +28,14 @@ import './page-aggregator.spec.js';
 import './persisted-counters.spec.js';
 import './popularity-estimator.spec.js';
 import './popularity-vote-handler.spec.js';
+import './popularity-vote-randomizer.spec.js';
+import './paused-domains-reporter.spec.js';
 import './popularity-vote-sanitizer.spec.js';
 import './random.spec.js';
 import './sanitizer.spec.js';
+import './sanitizer-stats.spec.js';
 import './search-extractor.spec.js';
+import './pattern-harness.spec.js';
 import './session-storage.spec.js';
 import './seq-executor.spec.js';
 import './url-cleaner.spec.js';
@@ -0,0 +1,189 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import JobScheduler from '../src/job-scheduler.js';
+import JobSchedulerAlarms from '../src/job-scheduler-alarms.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+function mockAlarms() {
+  const listeners = new Set();
+  return {
+    armed: new Map(), // name -> alarm
+    numCreated: 0,
+    async get(name) {
+      return this.armed.get(name);
+    },
+    async create(name, { when }) {
+      this.numCreated += 1;
+      this.armed.set(name, { name, scheduledTime: when });
+    },
+    async clear(name) {
+      return this.armed.delete(name);
+    },
+    onAlarm: {
+      addListener: (cb) => listeners.add(cb),
+      removeListener: (cb) => listeners.delete(cb),
+    },
+    fire(name) {
+      const alarm = this.armed.get(name);
+      this.armed.delete(name);
+      listeners.forEach((cb) => cb(alarm));
+    },
+    get numListeners() {
+      return listeners.size;
+    },
+  };
+}
+
+describe('#JobSchedulerAlarms', function () {
+  const type = 'test-job';
+  let clock;
+  let jobScheduler;
+  let alarms;
+  let numWakeUps;
+  let uut;
+
+  function newAlarmDriver(alarmsApi = alarms) {
+    return new JobSchedulerAlarms({
+      jobScheduler,
+      alarms: alarmsApi,
+      onWakeUp: async () => {
+        numWakeUps += 1;
+        await jobScheduler.processPendingJobs();
+      },
+      alarmName: 'test-alarm',
+    });
+  }
+
+  function armedAt() {
+    return alarms.armed.get('test-alarm')?.scheduledTime;
+  }
+
+  async function registerJob({ readyIn = 0 } = {}) {
+    await jobScheduler.registerJob(
+      { type, config: { readyIn: { min: readyIn } } },
+      { autoTrigger: false },
+    );
+    await clock.tickAsync(0);
+  }
+
+  beforeEach(async function () {
+    clock = sinon.useFakeTimers(new Date('2020-01-01'));
+    numWakeUps = 0;
+    let content;
+    jobScheduler = new JobScheduler({
+      storage: {
+        async get() {
+          return content;
+        },
+        async set(key, value) {
+          content = value;
+        },
+      },
+      storageKey: 'jobs',
+    });
+    jobScheduler.registerHandler(type, () => {});
+    await jobScheduler.init();
+    alarms = mockAlarms();
+    uut = newAlarmDriver();
+  });
+
+  afterEach(function () {
+    uut.unload();
+    jobScheduler.unload();
+    clock.restore();
+  });
+
+  it('should not arm an alarm if there are no jobs', async function () {
+    await uut.init();
+    await clock.tickAsync(0);
+    expect(armedAt()).to.be.undefined;
+  });
+
+  it('should arm an alarm for the next job', async function () {
+    await uut.init();
+    await registerJob({ readyIn: 1 * HOUR });
+    expect(armedAt()).to.be.within(
+      Date.now() + HOUR,
+      Date.now() + HOUR + MINUTE,
+    );
+
+    await clock.tickAsync(armedAt() - Date.now());
+    alarms.fire('test-alarm');
+    await clock.tickAsync(0);
+    expect(numWakeUps).to.eql(1);
+    expect(jobScheduler.getTotalJobs()).to.eql(0);
+    expect(armedAt()).to.be.undefined;
+  });
+
+  it('should coalesce alarms', async function () {
+    await uut.init();
+    await registerJob({ readyIn: 1 * HOUR });
+    const firstAlarm = armedAt();
+    for (let i = 0; i < 10; i += 1) {
+      await registerJob({ readyIn: 2 * HOUR + i * MINUTE });
+    }
+    await registerJob({ readyIn: 1 * HOUR + 10 * SECOND });
+    expect(armedAt()).to.eql(firstAlarm);
+    expect(alarms.numCreated).to.eql(1);
+
+    // an earlier job should move the alarm
+    await registerJob({ readyIn: 10 * MINUTE });
+    expect(armedAt()).to.be.below(firstAlarm);
+    expect(alarms.numCreated).to.eql(2);
+  });
+
+  it('should re-arm after waking up', async function () {
+    await uut.init();
+    await registerJob({ readyIn: 1 * HOUR });
+    await registerJob({ readyIn: 3 * HOUR });
+
+    await clock.tickAsync(armedAt() - Date.now());
+    alarms.fire('test-alarm');
+    await clock.tickAsync(0);
+    expect(jobScheduler.getTotalJobs()).to.eql(1);
+    expect(armedAt()).to.be.above(Date.now() + HOUR);
+  });
+
+  it('should ignore other alarms', async function () {
+    await uut.init();
+    await registerJob();
+    alarms.fire('some-other-alarm');
+    await clock.tickAsync(0);
+    expect(numWakeUps).to.eql(0);
+  });
+
+  it('should clean up when unloaded', async function () {
+    await uut.init();
+    await registerJob();
+    expect(armedAt()).to.exist;
+    expect(alarms.numListeners).to.eql(1);
+
+    uut.unload();
+    await clock.tickAsync(0);
+    expect(armedAt()).to.be.undefined;
+    expect(alarms.numListeners).to.eql(0);
+  });
+
+  it('should degrade gracefully if the alarms API is not available', async function () {
+    uut = newAlarmDriver(null);
+    await uut.init();
+    await registerJob();
+    expect(uut.active).to.be.false;
+    expect((await uut.selfChecks()).allPassed()).to.be.false;
+  });
+});
@@ -15,6 +15,7 @@ import * as fc from 'fast-check';
 
 import {
   BadJobError,
+  RateLimitedByServerError,
   TemporarilyUnableToFetchUrlError,
 } from '../src/errors.js';
 import JobScheduler from '../src/job-scheduler.js';
@@ -799,6 +800,133 @@ describe('#JobScheduler', function () {
       expect(uut.getTotalJobs()).to.eql(0);
     });
 
+    describe('with backoff', function () {
+      const config = {
+        maxAutoRetriesAfterError: 3,
+        retryBackoffInMs: 1 * MINUTE,
+        maxRetryBackoffInMs: 3 * MINUTE,
+        rateLimitBackoffInMs: 1 * HOUR,
+      };
+
+      function installFailingHandler(mkError = someRecoverableError) {
+        const calls = [];
+        const failures = [];
+        uut.registerHandler(
+          someJob().type,
+          () => {
+            calls.push(Date.now());
+            throw mkError('[testing] expected to always fail');
+          },
+          config,
+        );
+        uut.addObserver('jobFailed', (jobEntry, { retryAt }) => {
+          failures.push({ retryAt, failedAt: Date.now() });
+        });
+        return { calls, failures };
+      }
+
+      it('should not retry before "retryAt"', async function () {
+        const { calls, failures } = installFailingHandler();
+        await uut.init();
+        await uut.registerJob(someJob());
+        await uut.processPendingJobs();
+
+        expect(calls.length).to.eql(1);
+        const { retryAt, failedAt } = failures[0];
+        expect(retryAt).to.be.within(failedAt + 30 * SECOND, failedAt + MINUTE);
+        expect(uut.getTotalJobsWaitingForRetry()).to.eql(1);
+        await passesSelfChecks();
+
+        await clock.tickAsync(retryAt - Date.now() - 1);
+        await uut.processPendingJobs();
+        expect(calls.length).to.eql(1);
+
+        await clock.tickAsync(1);
+        await uut.processPendingJobs();
+        expect(calls.length).to.eql(2);
+        await passesSelfChecks();
+      });
+
+      it('should double the backoff up to the limit', async function () {
+        const { failures } = installFailingHandler();
+        await uut.init();
+        await uut.registerJob(someJob());
+        for (let i = 0; i < 10; i += 1) {
+          await uut.processPendingJobs();
+          await clock.tickAsync(3 * MINUTE);
+        }
+
+        const backoffs = failures.map((x) => x.retryAt - x.failedAt);
+        expect(backoffs.length).to.eql(4);
+        expect(backoffs[0]).to.be.within(30 * SECOND, 1 * MINUTE);
+        expect(backoffs[1]).to.be.within(1 * MINUTE, 2 * MINUTE);
+        expect(backoffs[2]).to.be.within(1.5 * MINUTE, 3 * MINUTE);
+        expect(failures[3].retryAt).to.eql(null);
+        expect(uut.getTotalJobs()).to.eql(0);
+      });
+
+      it('should persist "retryAt"', async function () {
+        const { calls, failures } = installFailingHandler();
+        await uut.init();
+        await uut.registerJob(someJob());
+        await uut.processPendingJobs();
+        await uut.sync();
+        expect(calls.length).to.eql(1);
+
+        await simulateRestart();
+        const restarted = installFailingHandler();
+        await uut.init();
+        await uut.processPendingJobs();
+        expect(restarted.calls.length).to.eql(0);
+        expect(uut.getTotalJobsWaitingForRetry()).to.eql(1);
+
+        await clock.tickAsync(failures[0].retryAt - Date.now());
+        await uut.processPendingJobs();
+        expect(restarted.calls.length).to.eql(1);
+      });
+
+      it('should wait longer if the server rate limited the request', async function () {
+        const { calls, failures } = installFailingHandler(
+          (msg) => new RateLimitedByServerError(msg),
+        );
+        await uut.init();
+        await uut.registerJob(someJob());
+        await uut.processPendingJobs();
+
+        const { retryAt, failedAt } = failures[0];
+        expect(retryAt).to.be.within(
+          failedAt + 30 * MINUTE,
+          failedAt + 1 * HOUR,
+        );
+
+        // a successful job must not shortcut the backoff
+        uut.handlers[someJob().type] = () => {
+          calls.push(Date.now());
+        };
+        await uut.registerJob(someJob());
+        await uut.processPendingJobs();
+        expect(calls.length).to.eql(2);
+        expect(uut.getTotalJobsWaitingForRetry()).to.eql(1);
+
+        await clock.tickAsync(retryAt - Date.now());
+        await uut.processPendingJobs();
+        expect(calls.length).to.eql(3);
+        expect(uut.getTotalJobsWaitingForRetry()).to.eql(0);
+      });
+
+      it('should reject invalid backoff configurations', function () {
+        for (const invalid of [
+          { retryBackoffInMs: -1 },
+          { maxRetryBackoffInMs: 1.5 },
+          { rateLimitBackoffInMs: '1' },
+        ]) {
+          expect(() =>
+            uut.registerHandler('testjob', () => {}, invalid),
+          ).to.throw();
+        }
+      });
+    });
+
     describe('should not let failed jobs prevent new jobs from being started', function () {
       [0, 1, 2 * SECOND, 2 * MINUTE, 1 * HOUR].forEach((cooldownInMs) => {
         it(`with cooldown=${cooldownInMs} ms`, async function () {
@@ -851,6 +979,368 @@ describe('#JobScheduler', function () {
     });
   });
 
+  describe('with job groups', function () {
+    let events;
+
+    function observeGroupEvents() {
+      events = [];
+      uut.addObserver('groupCompleted', (x) =>
+        events.push({ event: 'groupCompleted', ...x }),
+      );
+      uut.addObserver('groupFailed', (x) =>
+        events.push({ event: 'groupFailed', ...x }),
+      );
+    }
+
+    it('should run the completion job once all jobs finished', async function () {
+      const completed = [];
+      uut.registerHandler('stage', (job, { setResult }) => {
+        setResult(job.args.value * 2);
+      });
+      uut.registerHandler('done', (job) => {
+        completed.push(job.args);
+      });
+      observeGroupEvents();
+      await uut.init();
+
+      const id = await uut.registerJobGroup(
+        [1, 2, 3].map((value) => ({ type: 'stage', args: { value } })),
+        { completionJob: { type: 'done', args: { foo: 'bar' } } },
+      );
+      expect(id).to.be.a('string');
+      await uut.processPendingJobs();
+      await clock.runAllAsync();
+
+      expect(completed).to.deep.equal([
+        { foo: 'bar', group: { id, results: [2, 4, 6] } },
+      ]);
+      expect(events).to.deep.equal([
+        { event: 'groupCompleted', id, results: [2, 4, 6] },
+      ]);
+      expect(uut.jobGroups).to.deep.equal({});
+      await passesSelfChecks();
+    });
+
+    it('should wait for spawned jobs and pass the correlation id', async function () {
+      const groupIds = [];
+      uut.registerHandler('first', (job, { groupId }) => {
+        groupIds.push(groupId);
+        return [{ type: 'second', config: { readyIn: { min: 1 * HOUR } } }];
+      });
+      uut.registerHandler('second', (job, { groupId, setResult }) => {
+        groupIds.push(groupId);
+        setResult('from second');
+      });
+      observeGroupEvents();
+      await uut.init();
+
+      const id = await uut.registerJobGroup([{ type: 'first' }]);
+      await uut.processPendingJobs();
+      expect(events).to.be.empty;
+      await passesSelfChecks();
+
+      await clock.tickAsync(1 * HOUR);
+      await uut.processPendingJobs();
+      expect(groupIds).to.deep.equal([id, id]);
+      expect(events).to.deep.equal([
+        { event: 'groupCompleted', id, results: ['from second'] },
+      ]);
+    });
+
+    it('should fail the group if one job fails', async function () {
+      uut.registerHandler('ok', () => {});
+      uut.registerHandler('fail', () => {
+        throw somePermanentError();
+      });
+      uut.registerHandler('done', () =>
+        expect.fail('completion job must not run'),
+      );
+      observeGroupEvents();
+      await uut.init();
+
+      const id = await uut.registerJobGroup(
+        [{ type: 'ok' }, { type: 'fail' }],
+        { completionJob: { type: 'done' } },
+      );
+      await uut.processPendingJobs();
+      await clock.runAllAsync();
+
+      expect(events).to.deep.equal([
+        { event: 'groupFailed', id, reason: 'failed', job: { type: 'fail' } },
+      ]);
+      expect(uut.stats.groupFailed).to.eql(1);
+      expect(uut.stats.groupCompleted).to.eql(0);
+    });
+
+    it('should not fail the group while retries are pending', async function () {
+      let numCalls = 0;
+      uut.registerHandler('flaky', () => {
+        numCalls += 1;
+        if (numCalls === 1) {
+          throw someRecoverableError();
+        }
+      });
+      observeGroupEvents();
+      await uut.init();
+
+      const id = await uut.registerJobGroup([{ type: 'flaky' }]);
+      await uut.processPendingJobs();
+      expect(events).to.be.empty;
+
+      await clock.tickAsync(1 * HOUR);
+      await uut.processPendingJobs();
+      expect(events).to.deep.equal([
+        { event: 'groupCompleted', id, results: [null] },
+      ]);
+    });
+
+    it('should fail the group if a job expires', async function () {
+      uut.registerHandler('slow', () => {});
+      observeGroupEvents();
+      await uut.init();
+
+      const id = await uut.registerJobGroup([
+        { type: 'slow', config: { readyIn: { min: 2 * HOUR }, ttlInMs: HOUR } },
+      ]);
+      await clock.tickAsync(3 * HOUR);
+      await uut.processPendingJobs();
+      expect(events).to.deep.equal([
+        { event: 'groupFailed', id, reason: 'expired' },
+      ]);
+    });
+
+    it('should persist groups across restarts', async function () {
+      const completed = [];
+      const installHandlers = () => {
+        uut.registerHandler('stage', (job, { setResult }) => {
+          setResult(job.args.value);
+        });
+        uut.registerHandler('done', (job) => {
+          completed.push(job.args.group);
+        });
+      };
+      installHandlers();
+      await uut.init();
+      const id = await uut.registerJobGroup(
+        [
+          { type: 'stage', args: { value: 'a' } },
+          {
+            type: 'stage',
+            args: { value: 'b' },
+            config: { readyIn: { min: 1 * HOUR } },
+          },
+        ],
+        { completionJob: { type: 'done' } },
+      );
+      await uut.processPendingJobs();
+      await uut.sync();
+
+      await simulateRestart();
+      installHandlers();
+      await uut.init();
+      await clock.tickAsync(1 * HOUR);
+      await uut.processPendingJobs();
+      await clock.runAllAsync();
+      expect(completed).to.deep.equal([{ id, results: ['a', 'b'] }]);
+    });
+
+    it('should reject empty groups', async function () {
+      await uut.init();
+      try {
+        await uut.registerJobGroup([]);
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(BadJobError);
+        return;
+      }
+      expect.fail('Expected BadJobError');
+    });
+  });
+
+  describe('with dead letters', function () {
+    it('should keep jobs that failed permanently', async function () {
+      uut.registerHandler('fail', () => {
+        throw somePermanentError('[testing] bad job');
+      });
+      await uut.init();
+      await uut.registerJob({ type: 'fail', args: { foo: 1 } });
+      await uut.processPendingJobs();
+
+      const deadLetters = await uut.listDeadLetters();
+      expect(deadLetters).to.have.lengthOf(1);
+      expect(deadLetters[0]).to.deep.include({
+        job: { type: 'fail', args: { foo: 1 } },
+        reason: 'failed',
+        error: { name: 'BadJobError' },
+        attempts: 1,
+        createdAt: Date.now(),
+        droppedAt: Date.now(),
+      });
+      expect(uut._describeJobs().deadLetters).to.have.lengthOf(1);
+    });
+
+    it('should count the attempts of jobs that ran out of retries', async function () {
+      uut.registerHandler(
+        'flaky',
+        () => {
+          throw someRecoverableError();
+        },
+        { maxAutoRetriesAfterError: 2 },
+      );
+      await uut.init();
+      await uut.registerJob({ type: 'flaky' });
+      for (let i = 0; i < 5; i += 1) {
+        await uut.processPendingJobs();
+        await clock.tickAsync(1 * DAY);
+      }
+
+      const [deadLetter] = await uut.listDeadLetters();
+      expect(deadLetter).to.deep.include({
+        reason: 'failed',
+        attempts: 3, // first attempt plus two retries
+        error: { name: 'TemporarilyUnableToFetchUrlError' },
+      });
+    });
+
+    it('should keep expired and rejected jobs', async function () {
+      uut.registerHandler('limited', () => {}, { maxJobsTotal: 1 });
+      await uut.init();
+      await uut.registerJob({
+        type: 'limited',
+        config: { readyIn: { min: 2 * HOUR }, ttlInMs: 1 * HOUR },
+      });
+      await uut.registerJob({ type: 'limited' });
+      await clock.tickAsync(3 * HOUR);
+      await uut.processPendingJobs();
+
+      const reasons = (await uut.listDeadLetters()).map((x) => x.reason);
+      expect(reasons).to.deep.equal(['rejected', 'expired']);
+    });
+
+    it('should not keep the arguments of expired and rejected jobs', async function () {
+      uut.registerHandler('limited', () => {}, { maxJobsTotal: 1 });
+      await uut.init();
+      await uut.registerJob({
+        type: 'limited',
+        args: { secret: 1 },
+        config: { readyIn: { min: 2 * HOUR }, ttlInMs: 1 * HOUR },
+      });
+      await uut.registerJob({ type: 'limited', args: { secret: 2 } });
+      await clock.tickAsync(3 * HOUR);
+      await uut.processPendingJobs();
+
+      const deadLetters = await uut.listDeadLetters();
+      expect(deadLetters.map((x) => x.job)).to.deep.equal([
+        { type: 'limited' },
+        { type: 'limited' },
+      ]);
+      expect(await uut.replayDeadLetters()).to.eql(0);
+      expect(await uut.listDeadLetters()).to.have.lengthOf(2);
+    });
+
+    it('should be bounded', async function () {
+      uut.maxDeadLetters = 3;
+      uut.registerHandler('fail', () => {
+        throw somePermanentError();
+      });
+      await uut.init();
+      for (let i = 0; i < 5; i += 1) {
+        await uut.registerJob({ type: 'fail', args: { i } });
+        await uut.processPendingJobs();
+      }
+      const deadLetters = await uut.listDeadLetters();
+      expect(deadLetters.map((x) => x.job.args.i)).to.deep.equal([2, 3, 4]);
+    });
+
+    it('should support replaying and purging', async function () {
+      let shouldFail = true;
+      const succeeded = [];
+      uut.registerHandler('a', (job) => {
+        if (shouldFail) {
+          throw somePermanentError();
+        }
+        succeeded.push(job.args.i);
+      });
+      uut.registerHandler('b', () => {
+        throw somePermanentError();
+      });
+      await uut.init();
+      await uut.registerJobs([
+        { type: 'a', args: { i: 1 } },
+        { type: 'a', args: { i: 2 } },
+        { type: 'b' },
+      ]);
+      await uut.processPendingJobs();
+      const [first] = await uut.listDeadLetters({ type: 'a' });
+      expect(await uut.listDeadLetters({ type: 'a' })).to.have.lengthOf(2);
+
+      shouldFail = false;
+      expect(await uut.replayDeadLetters({ ids: [first.id] })).to.eql(1);
+      await uut.processPendingJobs();
+      expect(succeeded).to.deep.equal([first.job.args.i]);
+
+      expect(await uut.purgeDeadLetters({ type: 'b' })).to.eql(1);
+      expect(await uut.listDeadLetters()).to.have.lengthOf(1);
+      expect(await uut.purgeDeadLetters()).to.eql(1);
+      expect(await uut.listDeadLetters()).to.be.empty;
+    });
+
+    it('should persist dead letters', async function () {
+      uut.registerHandler('fail', () => {
+        throw somePermanentError();
+      });
+      await uut.init();
+      await uut.registerJob({ type: 'fail' });
+      await uut.processPendingJobs();
+      await uut.sync();
+
+      await simulateRestart();
+      await uut.init();
+      expect(await uut.listDeadLetters()).to.have.lengthOf(1);
+    });
+
+    it('should remove dead letters after the maximum age on sync', async function () {
+      uut.registerHandler('fail', () => {
+        throw somePermanentError();
+      });
+      await uut.init();
+      await uut.registerJob({ type: 'fail' });
+      await uut.processPendingJobs();
+      expect(await uut.listDeadLetters()).to.have.lengthOf(1);
+
+      await clock.tickAsync(uut.maxDeadLetterAgeInMs);
+      await uut.sync();
+      expect(await uut.listDeadLetters()).to.be.empty;
+      expect((await storage.get(storageKey)).deadLetters).to.be.empty;
+    });
+
+    it('should remove dead letters after the maximum age on load', async function () {
+      uut.registerHandler('fail', () => {
+        throw somePermanentError();
+      });
+      await uut.init();
+      await uut.registerJob({ type: 'fail' });
+      await uut.processPendingJobs();
+      await uut.sync();
+
+      await simulateRestart();
+      await clock.tickAsync(1 * DAY);
+      await uut.init();
+      expect(await uut.listDeadLetters()).to.be.empty;
+    });
+
+    it('should not keep dead letters beyond the expiration of the job', async function () {
+      uut.registerHandler('fail', () => {
+        throw somePermanentError();
+      });
+      await uut.init();
+      await uut.registerJob({ type: 'fail', config: { ttlInMs: 1 * HOUR } });
+      await uut.processPendingJobs();
+      await clock.tickAsync(1 * HOUR);
+      await uut.sync();
+      expect(await uut.listDeadLetters()).to.be.empty;
+    });
+  });
+
   describe('should keep the persisted state minimal', function () {
     it('should eventually remove queues from removed jobs', async function () {
       const garbage = someJob(`garbage-${Math.random()}`);
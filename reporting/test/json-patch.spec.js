@@ -0,0 +1,84 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import { applyJsonPatch } from '../src/json-patch.js';
+import { PatternsDiffError } from '../src/errors.js';
+
+describe('#applyJsonPatch', function () {
+  const doc = {
+    'search-go': { version: 1, input: { a: 1 }, output: {} },
+    'search-dd': { version: 2, list: ['x', 'y'] },
+    'a/b': { 'c~d': true },
+  };
+
+  it('should support "add", "remove" and "replace"', function () {
+    const result = applyJsonPatch(doc, [
+      { op: 'replace', path: '/search-go/version', value: 2 },
+      { op: 'add', path: '/search-go/input/b', value: { c: 3 } },
+      { op: 'remove', path: '/search-go/input/a' },
+      { op: 'add', path: '/search-dd/list/1', value: 'z' },
+      { op: 'add', path: '/search-dd/list/-', value: 'end' },
+      { op: 'remove', path: '/search-dd/list/0' },
+      { op: 'add', path: '/search-bi', value: { version: 1 } },
+    ]);
+    expect(result).to.eql({
+      'search-go': { version: 2, input: { b: { c: 3 } }, output: {} },
+      'search-dd': { version: 2, list: ['z', 'y', 'end'] },
+      'search-bi': { version: 1 },
+      'a/b': { 'c~d': true },
+    });
+  });
+
+  it('should not modify the input', function () {
+    const copy = structuredClone(doc);
+    applyJsonPatch(doc, [
+      { op: 'replace', path: '/search-go/input/a', value: 2 },
+      { op: 'remove', path: '/search-dd/list/0' },
+    ]);
+    expect(doc).to.eql(copy);
+  });
+
+  it('should unescape JSON pointers', function () {
+    const result = applyJsonPatch(doc, [
+      { op: 'replace', path: '/a~1b/c~0d', value: false },
+    ]);
+    expect(result['a/b']).to.eql({ 'c~d': false });
+  });
+
+  it('should support replacing the whole document', function () {
+    expect(
+      applyJsonPatch(doc, [{ op: 'replace', path: '', value: {} }]),
+    ).to.eql({});
+  });
+
+  it('should reject patches that cannot be applied', function () {
+    for (const patch of [
+      null,
+      {},
+      [{ op: 'move', from: '/search-go', path: '/search-bi' }],
+      [{ op: 'replace', path: '/unknown', value: 1 }],
+      [{ op: 'remove', path: '/unknown' }],
+      [{ op: 'add', path: '/unknown/foo', value: 1 }],
+      [{ op: 'add', path: '/search-go/version/foo', value: 1 }],
+      [{ op: 'add', path: '/search-go/version' }],
+      [{ op: 'remove', path: '/search-dd/list/2' }],
+      [{ op: 'add', path: '/search-dd/list/01', value: 1 }],
+      [{ op: 'add', path: 'search-go', value: 1 }],
+      [{ op: 'remove', path: '' }],
+    ]) {
+      expect(() => applyJsonPatch(doc, patch), JSON.stringify(patch)).to.throw(
+        PatternsDiffError,
+      );
+    }
+  });
+});
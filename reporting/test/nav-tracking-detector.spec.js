@@ -18,6 +18,7 @@ import {
   runClockUntilJobQueueIsEmpty,
 } from './helpers/in-memory-job-scheduler.js';
 import Sanitizer from '../src/sanitizer.js';
+import Patterns from '../src/patterns.js';
 
 import NavTrackingDetector, {
   isAdUrlByCategory,
@@ -154,6 +155,143 @@ const FIXTURE = Object.freeze({
     },
     expectedMessage: null,
   },
+
+  'bounce[affiliate]': {
+    pageEvent: {
+      type: 'safe-page-navigation',
+      tabId: 1057538430,
+      url: 'https://www.currys.co.uk/computing/laptops?awc=1599_1730753751_4b8c1f2e7a9d',
+      isHistoryNavigation: false,
+      previousUrl: 'https://www.techradar.com/news/best-laptops',
+      redirects: [
+        {
+          from: 'https://www.awin1.com/cread.php?awinmid=1599&awinaffid=103504&clickref=trd-gb-1234&ued=https%3A%2F%2Fwww.currys.co.uk%2Fcomputing%2Flaptops',
+          to: 'https://www.currys.co.uk/computing/laptops?awc=1599_1730753751_4b8c1f2e7a9d',
+          statusCode: 302,
+        },
+      ],
+    },
+    expectedMessage: {
+      action: 'wtm.nav-track-detect.bounce',
+      payload: {
+        from: {
+          hostname: 'www.techradar.com',
+        },
+        to: {
+          hostname: 'www.currys.co.uk',
+        },
+        via: {
+          redirects: ['www.awin1.com'],
+        },
+      },
+    },
+  },
+
+  'bounce[display-ad]': {
+    pageEvent: {
+      type: 'safe-page-navigation',
+      tabId: 1057538431,
+      url: 'https://www.vodafone.de/privat/handys/neue-iphones.html',
+      isHistoryNavigation: false,
+      previousUrl: 'https://www.spiegel.de/netzwelt/',
+      redirects: [
+        {
+          from: 'https://www.spiegel.de/redirect?target=ad',
+          to: 'https://ad.doubleclick.net/ddm/trackclk/N1234.5678/B9012;dc_trk_aid=1;dc_trk_cid=2',
+          statusCode: 302,
+        },
+        {
+          from: 'https://ad.doubleclick.net/ddm/trackclk/N1234.5678/B9012;dc_trk_aid=1;dc_trk_cid=2',
+          to: 'https://www.vodafone.de/privat/handys/neue-iphones.html',
+          statusCode: 302,
+        },
+      ],
+    },
+    expectedMessage: {
+      action: 'wtm.nav-track-detect.bounce',
+      payload: {
+        from: {
+          hostname: 'www.spiegel.de',
+        },
+        to: {
+          hostname: 'www.vodafone.de',
+        },
+        via: {
+          redirects: ['ad.doubleclick.net'],
+        },
+      },
+    },
+  },
+
+  'no-bounce[same-site]': {
+    pageEvent: {
+      type: 'safe-page-navigation',
+      tabId: 1057538432,
+      url: 'https://shop.example.com/cart',
+      isHistoryNavigation: false,
+      previousUrl: 'https://www.example.com/',
+      redirects: [
+        {
+          from: 'https://ad.doubleclick.net/ddm/trackclk/N1234.5678/B9012',
+          to: 'https://shop.example.com/cart',
+          statusCode: 302,
+        },
+      ],
+    },
+    expectedMessage: null,
+  },
+
+  'no-bounce[unknown-redirector]': {
+    pageEvent: {
+      type: 'safe-page-navigation',
+      tabId: 1057538433,
+      url: 'https://www.currys.co.uk/computing/laptops',
+      isHistoryNavigation: false,
+      previousUrl: 'https://www.techradar.com/news/best-laptops',
+      redirects: [
+        {
+          from: 'https://links.some-newsletter.com/c/1234567',
+          to: 'https://www.currys.co.uk/computing/laptops',
+          statusCode: 302,
+        },
+      ],
+    },
+    expectedMessage: null,
+  },
+
+  'no-bounce[private-hop]': {
+    pageEvent: {
+      type: 'safe-page-navigation',
+      tabId: 1057538434,
+      url: 'https://www.currys.co.uk/computing/laptops',
+      isHistoryNavigation: false,
+      previousUrl: 'https://www.techradar.com/news/best-laptops',
+      redirects: [
+        {
+          from: null,
+          to: 'https://www.awin1.com/cread.php?awinmid=1599',
+          statusCode: 302,
+        },
+        {
+          from: 'https://www.awin1.com/cread.php?awinmid=1599',
+          to: 'https://www.currys.co.uk/computing/laptops',
+          statusCode: 302,
+        },
+      ],
+    },
+    expectedMessage: null,
+  },
+
+  'no-bounce[no-redirects]': {
+    pageEvent: {
+      type: 'safe-page-navigation',
+      tabId: 1057538435,
+      url: 'https://www.currys.co.uk/computing/laptops',
+      isHistoryNavigation: false,
+      previousUrl: 'https://www.techradar.com/news/best-laptops',
+    },
+    expectedMessage: null,
+  },
 });
 
 describe('#NavTrackingDetector', function () {
@@ -162,6 +300,7 @@ describe('#NavTrackingDetector', function () {
   let persistedHashes;
   let quorumChecker;
   let jobScheduler;
+  let patterns;
   let clock;
 
   async function waitForSentMessages(event, { ignoreErrors = false } = {}) {
@@ -252,12 +391,14 @@ describe('#NavTrackingDetector', function () {
       },
     };
     jobScheduler = createInMemoryJobScheduler();
+    patterns = new Patterns();
 
     uut = new NavTrackingDetector({
       sanitizer,
       persistedHashes,
       quorumChecker,
       jobScheduler,
+      patterns,
     });
     await jobScheduler.init();
     await uut.init();
@@ -304,6 +445,17 @@ describe('#NavTrackingDetector', function () {
       expect(quorumChecker._incrementCalls).to.eql(1);
     });
 
+    it('should include bounce tracking in the quorum check', async function () {
+      const { pageEvent, expectedMessage } = FIXTURE['bounce[affiliate]'];
+      await expectedMessageSentFor(pageEvent, expectedMessage);
+      expect(quorumChecker._checkCalls).to.eql(1);
+      expect(quorumChecker._incrementCalls).to.eql(1);
+
+      // the quorum check will be done at most once per day
+      await expectNoMessageFor(pageEvent);
+      expect(quorumChecker._checkCalls).to.eql(1);
+    });
+
     it('should not send a messages if quorum check does not reach quorum', async function () {
       quorumChecker._assumeQuorumNotReached();
 
@@ -318,6 +470,56 @@ describe('#NavTrackingDetector', function () {
       expect(quorumChecker._incrementCalls).to.eql(1);
     });
   });
+
+  describe('with ad redirect rules from the patterns', function () {
+    function searchLanding(adUrl) {
+      const { pageEvent } = FIXTURE['search-ad[category=go]'];
+      const { details } = pageEvent;
+      return {
+        ...pageEvent,
+        details: {
+          ...details,
+          redirects: [{ ...details.redirects[0], from: adUrl }],
+        },
+      };
+    }
+
+    it('should use the builtin rules if the patterns define none', async function () {
+      patterns.updatePatterns({ 'search-go': {} });
+      const { pageEvent, expectedMessage } = FIXTURE['search-ad[category=go]'];
+      await expectedMessageSentFor(pageEvent, expectedMessage);
+    });
+
+    it('should replace the builtin rules of the category', async function () {
+      patterns.updatePatterns({
+        'search-go': {
+          adRedirects: [{ hosts: ['ads.example.test'], params: ['id'] }],
+        },
+      });
+      const { pageEvent, expectedMessage } = FIXTURE['search-ad[category=go]'];
+      await expectNoMessageFor(pageEvent);
+
+      await expectedMessageSentFor(
+        searchLanding('https://ads.example.test/click?id=42'),
+        {
+          ...expectedMessage,
+          payload: {
+            ...expectedMessage.payload,
+            via: { redirects: ['ads.example.test'] },
+          },
+        },
+      );
+      await expectNoMessageFor(searchLanding('https://ads.example.test/click'));
+    });
+
+    it('should fall back to the builtin rules if the rules are invalid', async function () {
+      patterns.updatePatterns({
+        'search-go': { adRedirects: [{ params: ['id'] }] },
+      });
+      const { pageEvent, expectedMessage } = FIXTURE['search-ad[category=go]'];
+      await expectedMessageSentFor(pageEvent, expectedMessage);
+    });
+  });
 });
 
 describe('#isSearchAdRedirect', function () {
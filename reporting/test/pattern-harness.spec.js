@@ -0,0 +1,119 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+
+import { runPatternHarness } from '../tools/pattern-harness.js';
+
+describe('#runPatternHarness', function () {
+  const rules = {
+    'search-test': {
+      preprocess: {
+        prune: [{ all: '.ad' }],
+      },
+      input: {
+        'div.result': {
+          all: {
+            url: { select: 'a', attr: 'href' },
+            title: { select: 'h3', attr: 'textContent' },
+          },
+        },
+        'div.ad': {
+          first: {
+            text: { attr: 'textContent' },
+          },
+        },
+      },
+      output: {
+        query: {
+          fields: [
+            { key: 'r', source: 'div.result', requiredKeys: ['url'] },
+            { key: 'q' },
+          ],
+        },
+        'query-fallback': {
+          fields: [{ key: 'q' }],
+          omitIfExistsAny: ['query'],
+        },
+      },
+    },
+  };
+
+  const fixtures = [
+    {
+      name: 'with-results',
+      query: 'foo',
+      url: 'https://search.test/?q=foo',
+      html: `
+<html><body>
+  <div class="ad">Ad</div>
+  <div class="result"><a href="/1"></a><h3>First</h3></div>
+  <div class="result"><a href="https://example.test/"></a></div>
+</body></html>`,
+    },
+    {
+      name: 'empty',
+      query: 'bar',
+      url: 'https://search.test/?q=bar',
+      html: '<html><body></body></html>',
+    },
+  ];
+
+  it('should extract the messages of each page', function () {
+    const { results } = runPatternHarness({
+      rules,
+      category: 'search-test',
+      fixtures,
+    });
+    expect(results.map((x) => x.name)).to.eql(['with-results', 'empty']);
+
+    const [withResults, empty] = results;
+    expect(withResults.error).to.be.null;
+    expect(withResults.messages).to.have.lengthOf(1);
+    expect(withResults.messages[0].action).to.eql('query');
+    expect(withResults.messages[0].payload).to.eql({
+      r: {
+        0: { url: 'https://search.test/1', title: 'First' },
+        1: { url: 'https://example.test/', title: null },
+      },
+      q: 'foo',
+    });
+    expect(withResults.omitted).to.eql([
+      { action: 'query-fallback', because: 'query' },
+    ]);
+
+    expect(empty.messages.map((x) => x.action)).to.eql(['query-fallback']);
+    expect(empty.incomplete).to.eql([{ action: 'query', missingKey: 'r' }]);
+  });
+
+  it('should report hit rates per field', function () {
+    const { hitRates } = runPatternHarness({
+      rules,
+      category: 'search-test',
+      fixtures,
+    });
+    expect(hitRates['div.result']).to.eql({
+      url: { hits: 2, total: 2, rate: 1 },
+      title: { hits: 1, total: 2, rate: 0.5 },
+    });
+
+    // the ad is pruned before the extraction
+    expect(hitRates['div.ad']).to.eql({
+      text: { hits: 0, total: 2, rate: 0 },
+    });
+  });
+
+  it('should fail if the category has no rules', function () {
+    expect(() =>
+      runPatternHarness({ rules, category: 'search-unknown', fixtures }),
+    ).to.throw();
+  });
+});
@@ -14,6 +14,7 @@ import sinon from 'sinon';
 
 import Patterns from '../src/patterns.js';
 import PatternsUpdater from '../src/patterns-updater.js';
+import { sha256 } from '../src/digest.js';
 
 const SECOND = 1000;
 const MINUTE = 60 * SECOND;
@@ -443,4 +444,269 @@ describe('#PatternsUpdater', function () {
       expect(fetchMock.stats.attemptedRequests).to.equal(2);
     });
   });
+
+  describe('with signed patterns', function () {
+    const signatureUrl = 'https://patterns-location.test/sig';
+    let keyPair;
+    let signatures;
+    let fetchedUrls;
+
+    function toBase64(buffer) {
+      return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    }
+
+    async function sign(text, privateKey = keyPair.privateKey) {
+      const signature = await crypto.subtle.sign(
+        { name: 'ECDSA', hash: { name: 'SHA-256' } },
+        privateKey,
+        new TextEncoder().encode(text),
+      );
+      return toBase64(signature);
+    }
+
+    async function generateKeyPair() {
+      return crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        true,
+        ['sign', 'verify'],
+      );
+    }
+
+    async function releaseSignedPatterns(pattern, { signedBy } = {}) {
+      releasePatterns(pattern);
+      signatures.value = await sign(serverPatterns.value, signedBy);
+    }
+
+    beforeEach(async function () {
+      keyPair = await generateKeyPair();
+      config.PATTERNS_SIGNING_KEY = toBase64(
+        await crypto.subtle.exportKey('raw', keyPair.publicKey),
+      );
+      config.PATTERNS_SIGNATURE_URL = signatureUrl;
+      signatures = { value: null };
+      fetchedUrls = [];
+
+      window.fetch.restore();
+      sinon.stub(window, 'fetch').callsFake(async (url, options) => {
+        fetchedUrls.push(url);
+        if (url === signatureUrl) {
+          if (signatures.value === null) {
+            return { ok: false, statusText: 'Not found' };
+          }
+          return { ok: true, text: async () => signatures.value };
+        }
+        return fetchMock.fetchImpl(url, options);
+      });
+      uut = newPatternsUpdater();
+    });
+
+    it('should apply patterns with a valid signature', async () => {
+      await releaseSignedPatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init();
+
+      expectLoadedPatternsToBe(SOME_NON_EMPTY_PATTERN);
+      expect(fetchedUrls).to.deep.equal([config.PATTERNS_URL, signatureUrl]);
+      expect((await uut.selfChecks()).allPassed()).to.be.true;
+    });
+
+    it('should default to the patterns URL with a ".sig" suffix', async () => {
+      delete config.PATTERNS_SIGNATURE_URL;
+      uut = newPatternsUpdater();
+      expect(uut.signatureUrl).to.equal(`${config.PATTERNS_URL}.sig`);
+    });
+
+    it('should reject patterns without a signature', async () => {
+      releasePatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init();
+
+      expectLoadedPatternsToBe(EMPTY_PATTERN);
+      expect(storage._content.patterns).to.be.null;
+    });
+
+    it('should reject patterns with an invalid signature', async () => {
+      await releaseSignedPatterns(SOME_NON_EMPTY_PATTERN, {
+        signedBy: (await generateKeyPair()).privateKey,
+      });
+      await uut.init();
+
+      expect(clientPatterns.getRulesSnapshot()).to.be.empty;
+      expect(storage._content.patterns).to.be.null;
+      const patternChecks = await clientPatterns.selfChecks();
+      expect(patternChecks.allPassed()).to.be.false;
+      const updaterChecks = await uut.selfChecks();
+      expect(updaterChecks.allPassed()).to.be.false;
+    });
+
+    it('should keep the last verified patterns if new patterns cannot be verified', async () => {
+      const now = Date.now();
+      await releaseSignedPatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init({ now });
+      expectLoadedPatternsToBe(SOME_NON_EMPTY_PATTERN);
+
+      // e.g. patterns and signature fetched from different releases
+      const validSignature = signatures.value;
+      releasePatterns(ANOTHER_NON_EMPTY_PATTERN);
+      signatures.value = validSignature;
+      const ts = now + SKIP_ALL_COOLDOWNS;
+      await uut.update({ now: ts });
+      expectLoadedPatternsToBe(SOME_NON_EMPTY_PATTERN);
+      expect(storage._content.patterns).to.equal(SOME_NON_EMPTY_PATTERN);
+      expect((await clientPatterns.selfChecks()).allPassed()).to.be.true;
+      expect((await uut.selfChecks()).report().status).to.equal('WARN');
+
+      // should retry soon
+      expect(storage._content.skipAttemptsUntil).to.be.below(ts + MINUTE);
+      await releaseSignedPatterns(ANOTHER_NON_EMPTY_PATTERN);
+      await uut.update({ now: ts + MINUTE });
+      expectLoadedPatternsToBe(ANOTHER_NON_EMPTY_PATTERN);
+      expect(storage._content.patterns).to.equal(ANOTHER_NON_EMPTY_PATTERN);
+    });
+
+    it('should reject untrusted patterns if there are no verified ones', async () => {
+      const now = Date.now();
+      await releaseSignedPatterns(SOME_NON_EMPTY_PATTERN, {
+        signedBy: (await generateKeyPair()).privateKey,
+      });
+      await uut.init({ now });
+      expect(clientPatterns.getRulesSnapshot()).to.be.empty;
+      expect((await clientPatterns.selfChecks()).allPassed()).to.be.false;
+
+      // recovers once the server provides trusted patterns again
+      await releaseSignedPatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.update({ now: now + SKIP_ALL_COOLDOWNS });
+      expectLoadedPatternsToBe(SOME_NON_EMPTY_PATTERN);
+      expect((await uut.selfChecks()).allPassed()).to.be.true;
+    });
+
+    it('should discard cached patterns if their signature is invalid', async () => {
+      const now = Date.now();
+      await releaseSignedPatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init({ now });
+      expect(fetchedUrls).to.have.lengthOf(2);
+
+      // tamper with the cache
+      storage._content.patterns = ANOTHER_NON_EMPTY_PATTERN;
+      clientPatterns = new Patterns();
+      await simulateRestart();
+      await uut.init({ now: now + 10 * SECOND });
+
+      // should have ignored the cache and fetched again
+      expect(fetchedUrls).to.have.lengthOf(4);
+      expectLoadedPatternsToBe(SOME_NON_EMPTY_PATTERN);
+    });
+  });
+
+  describe('with incremental updates', function () {
+    const diffUrl = 'https://patterns-location.test/diffs';
+    let diffs; // hash -> diff
+    let fetchedUrls;
+
+    async function releaseDiff(patch, { from, to }) {
+      const fromHash = await sha256(from);
+      diffs.set(fromHash, {
+        from: fromHash,
+        to: await sha256(to),
+        patch,
+      });
+    }
+
+    beforeEach(async function () {
+      config.PATTERNS_DIFF_URL = diffUrl;
+      diffs = new Map();
+      fetchedUrls = [];
+
+      window.fetch.restore();
+      sinon.stub(window, 'fetch').callsFake(async (url, options) => {
+        fetchedUrls.push(url);
+        if (url.startsWith(`${diffUrl}/`)) {
+          const diff = diffs.get(url.slice(diffUrl.length + 1));
+          if (!diff) {
+            return { ok: false, statusText: 'Not found' };
+          }
+          return { ok: true, text: async () => JSON.stringify(diff) };
+        }
+        return fetchMock.fetchImpl(url, options);
+      });
+      uut = newPatternsUpdater();
+    });
+
+    it('should apply diffs to the cached patterns', async () => {
+      const now = Date.now();
+      releasePatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init({ now });
+      expect(fetchedUrls).to.deep.equal([config.PATTERNS_URL]);
+
+      const newRules = generateTestRules('another-test-message');
+      releasePatterns(newRules);
+      await releaseDiff(
+        [
+          { op: 'remove', path: '/some-test-message' },
+          {
+            op: 'add',
+            path: '/another-test-message',
+            value: newRules['another-test-message'],
+          },
+        ],
+        { from: SOME_NON_EMPTY_PATTERN, to: ANOTHER_NON_EMPTY_PATTERN },
+      );
+      await uut.update({ now: now + SKIP_ALL_COOLDOWNS });
+
+      expectLoadedPatternsToBe(ANOTHER_NON_EMPTY_PATTERN);
+      expect(fetchedUrls).to.have.lengthOf(2);
+      expect(fetchedUrls[1]).to.equal(
+        `${diffUrl}/${await sha256(SOME_NON_EMPTY_PATTERN)}`,
+      );
+      expect(storage._content.patterns).to.equal(ANOTHER_NON_EMPTY_PATTERN);
+    });
+
+    it('should keep the patterns if the diff confirms that nothing changed', async () => {
+      const now = Date.now();
+      releasePatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init({ now });
+      await releaseDiff([], {
+        from: SOME_NON_EMPTY_PATTERN,
+        to: SOME_NON_EMPTY_PATTERN,
+      });
+
+      await uut.update({ now: now + SKIP_ALL_COOLDOWNS });
+      expectLoadedPatternsToBe(SOME_NON_EMPTY_PATTERN);
+      expect(fetchedUrls).to.have.lengthOf(2);
+      expect(fetchedUrls[1]).to.match(/diffs/);
+    });
+
+    it('should fall back to a full fetch if no diff is available', async () => {
+      const now = Date.now();
+      releasePatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init({ now });
+
+      releasePatterns(ANOTHER_NON_EMPTY_PATTERN);
+      await uut.update({ now: now + SKIP_ALL_COOLDOWNS });
+      expectLoadedPatternsToBe(ANOTHER_NON_EMPTY_PATTERN);
+      expect(fetchedUrls).to.have.lengthOf(3);
+      expect(fetchedUrls[2]).to.equal(config.PATTERNS_URL);
+    });
+
+    it('should fall back to a full fetch on a hash mismatch', async () => {
+      const now = Date.now();
+      releasePatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init({ now });
+
+      releasePatterns(ANOTHER_NON_EMPTY_PATTERN);
+      await releaseDiff([{ op: 'add', path: '/foo', value: 'bar' }], {
+        from: SOME_NON_EMPTY_PATTERN,
+        to: ANOTHER_NON_EMPTY_PATTERN,
+      });
+      await uut.update({ now: now + SKIP_ALL_COOLDOWNS });
+      expectLoadedPatternsToBe(ANOTHER_NON_EMPTY_PATTERN);
+      expect(fetchedUrls).to.have.lengthOf(3);
+      expect(fetchedUrls[2]).to.equal(config.PATTERNS_URL);
+    });
+
+    it('should fetch the full patterns if there is no cache', async () => {
+      releasePatterns(SOME_NON_EMPTY_PATTERN);
+      await uut.init();
+      expectLoadedPatternsToBe(SOME_NON_EMPTY_PATTERN);
+      expect(fetchedUrls).to.deep.equal([config.PATTERNS_URL]);
+    });
+  });
 });
@@ -918,6 +918,68 @@ describe('Test builtin primitives', function () {
 });
 
 describe('Patterns', function () {
+  describe('#getCategoryVersion', function () {
+    it('should expose the version of each category', function () {
+      const uut = new Patterns();
+      uut.updatePatterns({
+        'search-go': { version: 3, input: {}, output: {} },
+        'search-dd': { input: {}, output: {} },
+      });
+      expect(uut.getCategoryVersion('search-go')).to.eql(3);
+      expect(uut.getRulesSnapshot()['search-go'].version).to.eql(3);
+      expect(uut.getCategoryVersion('search-dd')).to.eql(null);
+      expect(uut.getCategoryVersion('unknown')).to.eql(null);
+    });
+
+    it('should reject patterns with invalid versions', async function () {
+      for (const version of ['3', -1, 1.5, null]) {
+        const uut = new Patterns();
+        uut.updatePatterns({ 'search-go': { version, input: {}, output: {} } });
+        expect(uut.getRulesSnapshot()).to.eql({});
+        expect((await uut.selfChecks()).allPassed()).to.be.false;
+      }
+    });
+  });
+
+  describe('#getAdRedirectMatchers', function () {
+    it('should compile the ad redirect rules per category', async function () {
+      const uut = new Patterns();
+      uut.updatePatterns({
+        'search-go': {
+          version: 4,
+          adRedirects: [{ prefix: 'https://ads.example.test/click?' }],
+        },
+        'search-dd': {},
+      });
+      const matchers = uut.getAdRedirectMatchers();
+      expect(Object.keys(matchers)).to.eql(['search-go']);
+      expect(matchers['search-go']('https://ads.example.test/click?id=1')).to.be
+        .true;
+      expect(matchers['search-go']('https://example.test/')).to.be.false;
+      expect((await uut.selfChecks()).allPassed()).to.be.true;
+    });
+
+    it('should skip invalid rules and warn about it', async function () {
+      const uut = new Patterns();
+      uut.updatePatterns({
+        'search-go': { adRedirects: [{ prefix: 'http://ads.example.test/' }] },
+        'search-bi': { adRedirects: [{ hosts: ['ads.example.test'] }] },
+      });
+      expect(Object.keys(uut.getAdRedirectMatchers())).to.eql(['search-bi']);
+      expect(uut.getRulesSnapshot()['search-go']).to.exist;
+      expect((await uut.selfChecks()).allPassed()).to.be.false;
+    });
+
+    it('should drop the rules if the patterns are rejected', function () {
+      const uut = new Patterns();
+      uut.updatePatterns({
+        'search-go': { adRedirects: [{ hosts: ['ads.example.test'] }] },
+      });
+      uut.rejectUntrustedPatterns();
+      expect(uut.getAdRedirectMatchers()).to.eql({});
+    });
+  });
+
   describe('#createDoublefetchRequest', function () {
     it('should default to an empty request', function () {
       const uut = new Patterns();
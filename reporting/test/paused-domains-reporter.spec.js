@@ -0,0 +1,205 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import PausedDomainsReporter from '../src/paused-domains-reporter.js';
+import MemoryPersistentMap from './helpers/memory-map.js';
+import {
+  createInMemoryJobScheduler,
+  runClockUntilJobQueueIsEmpty,
+} from './helpers/in-memory-job-scheduler.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('#PausedDomainsReporter', function () {
+  let uut;
+  let storage;
+  let jobScheduler;
+  let quorumChecker;
+  let filterMode;
+  let sentMessages;
+  let clock;
+
+  function newReporter() {
+    return new PausedDomainsReporter({
+      filterModeProvider: () => filterMode,
+      storage,
+      storageKey: 'paused_domains',
+      jobScheduler,
+      quorumChecker,
+    });
+  }
+
+  // "onPauseEvent" is fire-and-forget; wait until the event is stored
+  async function pause(hostname, paused = true) {
+    uut.onPauseEvent({ hostname, paused });
+    await uut._lock.waitForAll();
+  }
+
+  async function startNextDay() {
+    await clock.tickAsync(DAY + HOUR);
+    uut.unload();
+    uut = newReporter();
+    await uut.init();
+    await runClockUntilJobQueueIsEmpty(jobScheduler, clock);
+    return sentMessages.map((x) => x.body.payload);
+  }
+
+  beforeEach(async function () {
+    clock = sinon.useFakeTimers(new Date('2026-01-01'));
+    storage = new MemoryPersistentMap();
+    filterMode = 'default';
+    sentMessages = [];
+    quorumChecker = {
+      reached: () => true,
+      async sendQuorumIncrement({ text }) {
+        expect(text).to.be.a('string');
+      },
+      async checkQuorumConsent({ text }) {
+        return this.reached(text);
+      },
+    };
+    jobScheduler = createInMemoryJobScheduler();
+    jobScheduler.registerHandler('send-message', async (job) => {
+      sentMessages.push(job.args);
+    });
+    await jobScheduler.init();
+
+    uut = newReporter();
+    await uut.init();
+  });
+
+  afterEach(function () {
+    uut?.unload();
+    jobScheduler?.unload();
+    clock.restore();
+  });
+
+  it('should not send anything before the day is over', async function () {
+    await pause('www.example.com');
+    await clock.tickAsync(DAY - HOUR);
+    expect(jobScheduler.getTotalJobs()).to.eql(0);
+    expect(sentMessages).to.eql([]);
+  });
+
+  it('should report the day without a restart or new events', async function () {
+    await pause('www.example.com');
+    await clock.tickAsync(DAY + SECOND);
+    await runClockUntilJobQueueIsEmpty(jobScheduler, clock);
+    expect(sentMessages.map((x) => x.body.payload)).to.eql([
+      { domain: 'example.com', paused: 1, unpaused: 0, filterMode: 'default' },
+    ]);
+  });
+
+  it('should aggregate per registrable domain', async function () {
+    await pause('www.example.com');
+    await pause('shop.example.com');
+    await pause('shop.example.com', false);
+    await pause('example.org');
+
+    expect(await startNextDay()).to.have.deep.members([
+      {
+        domain: 'example.com',
+        paused: 2,
+        unpaused: 1,
+        filterMode: 'default',
+      },
+      { domain: 'example.org', paused: 1, unpaused: 0, filterMode: 'default' },
+    ]);
+  });
+
+  it('should deduplicate messages by domain', async function () {
+    await pause('www.example.com');
+    await startNextDay();
+    expect(sentMessages).to.have.lengthOf(1);
+    expect(sentMessages[0].deduplicateBy).to.eql('domain');
+    expect(sentMessages[0].body.action).to.eql('wtm.paused-domains');
+  });
+
+  it('should cap the counts', async function () {
+    for (let i = 0; i < 10; i += 1) {
+      await pause('www.example.com', i % 2 === 0);
+    }
+    const [{ paused, unpaused }] = await startNextDay();
+    expect(paused).to.eql(3);
+    expect(unpaused).to.eql(3);
+  });
+
+  it('should include the filter mode of the last event', async function () {
+    await pause('www.example.com');
+    filterMode = 'zap';
+    await pause('www.example.com', false);
+    const [{ filterMode: reported }] = await startNextDay();
+    expect(reported).to.eql('zap');
+  });
+
+  it('should only send domains that reach quorum', async function () {
+    quorumChecker.reached = (text) => text.includes('example.org');
+    await pause('www.example.com');
+    await pause('www.example.org');
+    expect(await startNextDay()).to.eql([
+      { domain: 'example.org', paused: 1, unpaused: 0, filterMode: 'default' },
+    ]);
+  });
+
+  it('should ignore IPs and hostnames without public suffix', async function () {
+    await pause('192.168.0.1');
+    await pause('localhost');
+    await pause('router.internal');
+    expect(await startNextDay()).to.eql([]);
+  });
+
+  it('should ignore domains that the sanitizer does not trust', async function () {
+    await pause('www.c3fbed0c-9713-4c89-8074-73dc15b0b34e.com');
+    await pause('c3fbed0c-9713-4c89-8074-73dc15b0b34e.example.com');
+    expect(await startNextDay()).to.eql([
+      { domain: 'example.com', paused: 1, unpaused: 0, filterMode: 'default' },
+    ]);
+  });
+
+  it('should keep the stats across restarts', async function () {
+    await pause('www.example.com');
+    uut.unload();
+    uut = newReporter();
+    await uut.init();
+    await pause('www.example.com', false);
+
+    expect(await startNextDay()).to.eql([
+      { domain: 'example.com', paused: 1, unpaused: 1, filterMode: 'default' },
+    ]);
+  });
+
+  it('should start over after the day is reported', async function () {
+    await pause('www.example.com');
+    await startNextDay();
+    sentMessages = [];
+    expect(await startNextDay()).to.eql([]);
+  });
+
+  it('should recover from corrupted storage', async function () {
+    await storage.set('paused_domains', { since: 'yesterday' });
+    uut = newReporter();
+    await uut.init();
+    await pause('www.example.com');
+    expect(await startNextDay()).to.have.lengthOf(1);
+  });
+
+  it('should ignore events when inactive', async function () {
+    uut.unload();
+    await pause('www.example.com');
+    expect(await startNextDay()).to.eql([]);
+  });
+});
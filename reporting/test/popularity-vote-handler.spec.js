@@ -101,6 +101,7 @@ describe('#PopularityVoteHandler', function () {
   let quorumChecker;
   let countryProvider;
   let pauseState;
+  let voteRandomizer;
 
   function initMocks() {
     clock?.restore();
@@ -124,6 +125,7 @@ describe('#PopularityVoteHandler', function () {
         return 'default';
       },
     };
+    voteRandomizer = undefined;
     uut = newPopularityVoteHandler();
   }
 
@@ -134,6 +136,7 @@ describe('#PopularityVoteHandler', function () {
       quorumChecker,
       countryProvider,
       pauseState,
+      voteRandomizer,
     });
   }
 
@@ -146,6 +149,7 @@ describe('#PopularityVoteHandler', function () {
     quorumChecker = null;
     countryProvider = null;
     pauseState = null;
+    voteRandomizer = null;
   }
 
   beforeEach(initMocks);
@@ -298,6 +302,83 @@ describe('#PopularityVoteHandler', function () {
       }
     });
 
+    describe('with randomized response', function () {
+      const metadata = {
+        epsilon: 2,
+        keepProbability: 0.25,
+        numCandidates: 20,
+        version: 3,
+      };
+      let decoy;
+
+      function prepareVotingJob(value) {
+        return {
+          type: 'popularity-estimator:prepare-voting:v1',
+          args: {
+            urlProjection: 'domain',
+            countType: 'visits',
+            intervalType: '1d',
+            sample: { value, count: 1 },
+          },
+        };
+      }
+
+      function expectedPayload(vote) {
+        return {
+          type: {
+            urlProjection: 'domain',
+            countType: 'visits',
+            intervalType: '1d',
+          },
+          vote,
+          ctry: 'de',
+          adblocker: {
+            paused: false,
+            mode: 'default',
+          },
+          randomizedResponse: metadata,
+        };
+      }
+
+      beforeEach(function () {
+        voteRandomizer = {
+          async randomize(urlProjection) {
+            expect(urlProjection).to.eql('domain');
+            return { decoy, metadata };
+          },
+        };
+        uut = newPopularityVoteHandler();
+        countryProvider._ctry = 'de';
+      });
+
+      it('should keep the true vote (and run the quorum check)', async function () {
+        decoy = null;
+        quorumChecker._everythingReachesQuorum();
+        await expectExactlyTheseSignals(prepareVotingJob('example.com'), [
+          expectedPayload('example.com'),
+        ]);
+        expect(quorumChecker._quorumIncCalls).to.eql(1);
+      });
+
+      it('should mask true votes that fail quorum', async function () {
+        decoy = null;
+        quorumChecker._everythingFailsQuorum();
+        await expectExactlyTheseSignals(prepareVotingJob('example.com'), [
+          expectedPayload('--'),
+        ]);
+      });
+
+      it('should send decoys without quorum checks', async function () {
+        decoy = 'public.example';
+        quorumChecker._everythingFailsQuorum();
+        await expectExactlyTheseSignals(prepareVotingJob('example.com'), [
+          expectedPayload('public.example'),
+        ]);
+        expect(quorumChecker._quorumIncCalls).to.eql(0);
+        expect(quorumChecker._quorumCheckCalls).to.eql(0);
+      });
+    });
+
     describe('[property based testing]', function () {
       it('should not crash for arbitrary URLs', async function () {
         this.timeout(60 * SECOND);
@@ -0,0 +1,173 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import PopularityVoteRandomizer, {
+  keepProbability,
+} from '../src/popularity-vote-randomizer.js';
+import MemoryPersistentMap from './helpers/memory-map.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const CANDIDATES = [...Array(20)].map((_, i) => `site${i}.test`);
+
+describe('#PopularityVoteRandomizer', function () {
+  const config = {
+    POPULARITY_VOTE_CONFIG_URL: 'https://config.test/popularity',
+  };
+  let clock;
+  let storage;
+  let serverConfig;
+  let numRequests;
+  let uut;
+
+  function newRandomizer(config_ = config) {
+    return new PopularityVoteRandomizer({
+      config: config_,
+      storage,
+      storageKey: 'popularity_vote_config',
+    });
+  }
+
+  async function sampleDecoys(urlProjection, numSamples) {
+    const decoys = [];
+    for (let i = 0; i < numSamples; i += 1) {
+      const { decoy } = await uut.randomize(urlProjection);
+      decoys.push(decoy);
+    }
+    return decoys;
+  }
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers(new Date('2026-01-01'));
+    storage = new MemoryPersistentMap();
+    serverConfig = {
+      version: 3,
+      epsilon: 2,
+      candidates: { domain: CANDIDATES },
+    };
+    numRequests = 0;
+    sinon.stub(window, 'fetch').callsFake(async (url) => {
+      numRequests += 1;
+      if (url !== config.POPULARITY_VOTE_CONFIG_URL || !serverConfig) {
+        return { ok: false, statusText: 'Service Unavailable' };
+      }
+      return {
+        ok: true,
+        async json() {
+          return structuredClone(serverConfig);
+        },
+      };
+    });
+    uut = newRandomizer();
+  });
+
+  afterEach(function () {
+    window.fetch.restore();
+    clock.restore();
+  });
+
+  describe('#keepProbability', function () {
+    it('should satisfy the epsilon bound', function () {
+      for (const epsilon of [0.5, 1, 2, 4, 8]) {
+        for (const k of [10, 100, 1000]) {
+          const p = keepProbability(epsilon, k);
+          const ratio = (p + (1 - p) / k) / ((1 - p) / k);
+          expect(ratio).to.be.closeTo(Math.exp(epsilon), 1e-6);
+        }
+      }
+    });
+
+    it('should keep more votes for larger epsilons', function () {
+      expect(keepProbability(1, 100)).to.be.below(keepProbability(4, 100));
+    });
+  });
+
+  it('should not randomize if it is not configured', async function () {
+    uut = newRandomizer({});
+    expect(await uut.randomize('domain')).to.be.null;
+    expect(numRequests).to.eql(0);
+  });
+
+  it('should not randomize URL projections without candidates', async function () {
+    expect(await uut.randomize('hostname')).to.be.null;
+  });
+
+  it('should include the parameters for the estimation', async function () {
+    const { metadata } = await uut.randomize('domain');
+    expect(metadata).to.eql({
+      epsilon: 2,
+      keepProbability: keepProbability(2, CANDIDATES.length),
+      numCandidates: CANDIDATES.length,
+      version: 3,
+    });
+  });
+
+  it('should replace votes by decoys from the candidates', async function () {
+    const decoys = await sampleDecoys('domain', 1000);
+    const numKept = decoys.filter((x) => x === null).length;
+    const expected = 1000 * keepProbability(2, CANDIDATES.length);
+    expect(numKept).to.be.within(expected - 100, expected + 100);
+    for (const decoy of decoys) {
+      if (decoy !== null) {
+        expect(CANDIDATES).to.include(decoy);
+      }
+    }
+  });
+
+  it('should cache the config', async function () {
+    await uut.randomize('domain');
+    await uut.randomize('domain');
+    expect(numRequests).to.eql(1);
+
+    // after a restart
+    uut = newRandomizer();
+    await uut.randomize('domain');
+    expect(numRequests).to.eql(1);
+
+    await clock.tickAsync(DAY + HOUR);
+    await uut.randomize('domain');
+    expect(numRequests).to.eql(2);
+  });
+
+  it('should keep using the last known config if the server is down', async function () {
+    await uut.randomize('domain');
+    serverConfig = null;
+    await clock.tickAsync(DAY + HOUR);
+    expect(await uut.randomize('domain')).to.not.be.null;
+    expect(numRequests).to.eql(2);
+  });
+
+  it('should not randomize if the config was never loaded', async function () {
+    serverConfig = null;
+    expect(await uut.randomize('domain')).to.be.null;
+    expect((await uut.selfChecks()).allPassed()).to.be.false;
+  });
+
+  for (const [name, badConfig] of [
+    ['unsupported epsilon', { epsilon: 0.3 }],
+    ['epsilon too large', { epsilon: 100 }],
+    ['missing version', { version: undefined }],
+    ['too few candidates', { candidates: { domain: ['a.test'] } }],
+    ['paths in domains', { candidates: { domain: [...CANDIDATES, 'a/b'] } }],
+    ['bad hostnames', { candidates: { domain: [...CANDIDATES, 'a b'] } }],
+  ]) {
+    it(`should reject bad configs (${name})`, async function () {
+      serverConfig = { ...serverConfig, ...badConfig };
+      expect(await uut.randomize('domain')).to.be.null;
+    });
+  }
+});
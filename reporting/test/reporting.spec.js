@@ -22,6 +22,7 @@ function waitForPromisesToFinish() {
 
 describe('#Reporting', function () {
   let uut;
+  let communication;
 
   for (const withPauseState of [true, false]) {
     describe(
@@ -39,7 +40,7 @@ describe('#Reporting', function () {
           const storage = {
             get: async () => undefined, // assume nothing was stored yet
           };
-          const communication = {
+          communication = {
             async send() {},
             trustedClock: {},
           };
@@ -220,6 +221,18 @@ describe('#Reporting', function () {
             });
           });
         });
+
+        it('should include the communication in the self-checks', async function () {
+          communication.selfChecks = async (check) => {
+            check.warn('some transport warning');
+            return check;
+          };
+          await uut.init();
+          const { log } = (await uut.selfChecks()).report();
+          expect(log.warnings.communication).to.deep.equal({
+            _: [['some transport warning']],
+          });
+        });
       },
     );
   }
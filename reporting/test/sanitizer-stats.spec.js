@@ -0,0 +1,231 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import SanitizerStats from '../src/sanitizer-stats.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function mockStorage() {
+  return {
+    content: undefined,
+    async get() {
+      return this.content;
+    },
+    async set(key, value) {
+      this.content = structuredClone(value);
+    },
+  };
+}
+
+function mockJobScheduler() {
+  return {
+    handlers: {},
+    jobs: [],
+    registerHandler(type, handler) {
+      this.handlers[type] = handler;
+    },
+    async registerJob(job) {
+      this.jobs.push(job);
+    },
+    async runJobs() {
+      const results = [];
+      for (const job of this.jobs.splice(0)) {
+        results.push(...(await this.handlers[job.type](job)));
+      }
+      return results;
+    },
+  };
+}
+
+describe('#SanitizerStats', function () {
+  let clock;
+  let storage;
+  let jobScheduler;
+  let quorum; // text -> boolean
+  let uut;
+
+  function newSanitizerStats(options = {}) {
+    return new SanitizerStats({
+      storage,
+      storageKey: 'sanitizer_stats',
+      jobScheduler,
+      quorumChecker: {
+        async sendQuorumIncrement() {},
+        async checkQuorumConsent({ text }) {
+          return quorum(text);
+        },
+      },
+      minSamples: 10,
+      ...options,
+    });
+  }
+
+  function recordMany(category, outcome, code, count) {
+    for (let i = 0; i < count; i += 1) {
+      uut.record(category, outcome, code);
+    }
+  }
+
+  beforeEach(async function () {
+    clock = sinon.useFakeTimers(new Date('2020-01-01'));
+    storage = mockStorage();
+    jobScheduler = mockJobScheduler();
+    quorum = () => true;
+    uut = newSanitizerStats();
+    await uut.init();
+  });
+
+  afterEach(function () {
+    uut.unload();
+    clock.restore();
+  });
+
+  it('should aggregate the decisions per category', function () {
+    recordMany('search-go', 'accepted', undefined, 3);
+    recordMany('search-go', 'dropped', 'email', 2);
+    uut.record('search-go', 'dropped', 'long-number');
+    uut.record('page-url', 'truncated', 'fragment');
+
+    expect(uut.getStats().categories).to.eql({
+      'search-go': {
+        total: 6,
+        accepted: 3,
+        truncated: 0,
+        dropped: 3,
+        truncatedBy: {},
+        droppedBy: { email: 2, 'long-number': 1 },
+      },
+      'page-url': {
+        total: 1,
+        accepted: 0,
+        truncated: 1,
+        dropped: 0,
+        truncatedBy: { fragment: 1 },
+        droppedBy: {},
+      },
+    });
+  });
+
+  it('should persist the stats periodically', async function () {
+    uut.record('search-go', 'dropped', 'email');
+    expect(storage.content).to.be.undefined;
+
+    await clock.tickAsync(1 * MINUTE);
+    expect(storage.content.categories['search-go'].dropped).to.eql({
+      email: 1,
+    });
+
+    // after a restart, it should continue with the persisted stats
+    uut.unload();
+    uut = newSanitizerStats();
+    uut.record('search-go', 'accepted');
+    await uut.init();
+    expect(uut.getStats().categories['search-go']).to.include({
+      total: 2,
+      accepted: 1,
+      dropped: 1,
+    });
+  });
+
+  it('should persist pending changes when unloaded', function () {
+    uut.record('search-go', 'accepted');
+    uut.unload();
+    expect(storage.content.categories['search-go'].accepted).to.eql(1);
+  });
+
+  it('should start over after the window ends', async function () {
+    uut.record('search-go', 'accepted');
+    await clock.tickAsync(DAY);
+    uut.record('search-go', 'dropped', 'email');
+    expect(uut.getStats().categories['search-go']).to.include({
+      total: 1,
+      dropped: 1,
+    });
+    expect(jobScheduler.jobs).to.be.empty;
+  });
+
+  it('should warn about categories with high drop rates', async function () {
+    recordMany('search-go', 'accepted', undefined, 20);
+    recordMany('search-de', 'accepted', undefined, 6);
+    recordMany('search-de', 'dropped', 'too-long', 4);
+    recordMany('search-xx', 'dropped', 'too-long', 9); // not enough samples
+
+    const check = await uut.selfChecks();
+    expect(check.allPassed()).to.be.false;
+    const warnings = JSON.stringify(check.report().log.warnings);
+    expect(warnings).to.include('search-de');
+    expect(warnings).to.not.include('search-go');
+    expect(warnings).to.not.include('search-xx');
+  });
+
+  it('should ignore unexpected outcomes', function () {
+    uut.record('search-go', 'unexpected', 'foo');
+    expect(uut.getStats().categories).to.eql({});
+  });
+
+  describe('when sending aggregates', function () {
+    beforeEach(async function () {
+      uut.unload();
+      uut = newSanitizerStats({ sendAggregates: true });
+      await uut.init();
+    });
+
+    it('should send a coarse aggregate after the window ends', async function () {
+      recordMany('search-go', 'accepted', undefined, 70);
+      recordMany('search-go', 'dropped', 'email', 20);
+      recordMany('search-go', 'truncated', 'fragment', 10);
+      recordMany('search-de', 'accepted', undefined, 5); // not enough samples
+
+      await clock.tickAsync(DAY);
+      uut.record('search-go', 'accepted');
+      expect(jobScheduler.jobs).to.have.lengthOf(1);
+
+      const [message] = await jobScheduler.runJobs();
+      expect(message.type).to.eql('send-message');
+      expect(message.args.body.action).to.eql('wtm.sanitizer-stats');
+      expect(message.args.body.payload).to.eql({
+        stats: [
+          {
+            category: 'search-go',
+            samples: 64,
+            dropRate: 0.2,
+            truncateRate: 0.1,
+            topCode: 'email',
+          },
+        ],
+      });
+    });
+
+    it('should only include entries that reached quorum', async function () {
+      recordMany('search-go', 'accepted', undefined, 20);
+      recordMany('search-de', 'accepted', undefined, 20);
+      quorum = (text) => text.includes('search-go');
+
+      await clock.tickAsync(DAY);
+      uut.record('search-go', 'accepted');
+      const [message] = await jobScheduler.runJobs();
+      expect(message.args.body.payload.stats).to.have.lengthOf(1);
+      expect(message.args.body.payload.stats[0].category).to.eql('search-go');
+
+      quorum = () => false;
+      recordMany('search-go', 'accepted', undefined, 20);
+      await clock.tickAsync(DAY);
+      uut.record('search-go', 'accepted');
+      expect(await jobScheduler.runJobs()).to.eql([]);
+    });
+  });
+});
@@ -12,7 +12,7 @@
 import { expect } from 'chai';
 import fc from 'fast-check';
 
-import {
+import Sanitizer, {
   sanitizeUrl,
   checkSuspiciousQuery,
   isValidEAN13,
@@ -27,11 +27,21 @@ describe('#checkSuspiciousQuery', function () {
   }
 
   function shouldBeDropped(query) {
-    const { accept, reason } = checkSuspiciousQuery(query);
+    const { accept, reason, code } = checkSuspiciousQuery(query);
     expect(accept).to.eql(false);
     expect(reason).to.be.a('string').that.is.not.empty;
+    expect(code).to.match(/^[a-z0-9-]+$/);
   }
 
+  it('should provide stable reason codes', function () {
+    expect(checkSuspiciousQuery('x'.repeat(121)).code).to.eql('too-long');
+    expect(checkSuspiciousQuery('foo@example.test').code).to.eql('email');
+    expect(checkSuspiciousQuery('call 0123456789123').code).to.eql(
+      'long-number',
+    );
+    expect(checkSuspiciousQuery('some query').code).to.be.undefined;
+  });
+
   describe('should accept simple, normal queries', function () {
     for (const safeQuery of [
       'munich',
@@ -274,28 +284,33 @@ describe('#sanitizeUrl', function () {
   // to test URLs that should be always dropped
   function shouldBeDropped(url) {
     {
-      const { result, safeUrl, reason } = sanitizeUrl(url);
+      const { result, safeUrl, reason, code } = sanitizeUrl(url);
       expect(result).to.eql('dropped');
       expect(safeUrl).to.eql(null);
       expect(reason).to.be.a('string').that.is.not.empty;
+      expect(code).to.match(/^[a-z0-9-]+$/);
     }
     {
-      const { result, safeUrl, reason } = sanitizeUrl(url, { strict: true });
+      const { result, safeUrl, reason, code } = sanitizeUrl(url, {
+        strict: true,
+      });
       expect(result).to.eql('dropped');
       expect(safeUrl).to.eql(null);
       expect(reason).to.be.a('string').that.is.not.empty;
+      expect(code).to.match(/^[a-z0-9-]+$/);
     }
   }
 
   // to test URLs that should be always truncated (or even dropped in strict mode)
   function shouldBeTruncated(url) {
     {
-      const { result, safeUrl, reason } = sanitizeUrl(url);
+      const { result, safeUrl, reason, code } = sanitizeUrl(url);
       expect(result).to.eql('truncated');
       expect(safeUrl).to.be.a('string').that.is.not.empty;
       expect(safeUrl.endsWith(' (PROTECTED)'), 'ends with "(PROTECTED)"').to.be
         .true;
       expect(reason).to.be.a('string').that.is.not.empty;
+      expect(code).to.match(/^[a-z0-9-]+$/);
     }
     {
       const { result, safeUrl, reason } = sanitizeUrl(url, { strict: true });
@@ -990,6 +1005,58 @@ describe('#sanitizeUrl', function () {
   });
 });
 
+describe('#Sanitizer', function () {
+  let recorded;
+  let uut;
+
+  beforeEach(function () {
+    recorded = [];
+    uut = new Sanitizer(
+      { getSafeCountryCode: () => 'de' },
+      {
+        stats: {
+          record: (...args) => recorded.push(args),
+        },
+      },
+    );
+  });
+
+  it('should record the decisions on queries', function () {
+    uut.checkSuspiciousQuery('some query', { category: 'search-go' });
+    uut.checkSuspiciousQuery('foo@example.test', { category: 'search-go' });
+    uut.checkSuspiciousQuery('x'.repeat(121));
+    expect(recorded).to.eql([
+      ['search-go', 'accepted', undefined],
+      ['search-go', 'dropped', 'email'],
+      ['query', 'dropped', 'too-long'],
+    ]);
+  });
+
+  it('should record the decisions on URLs', function () {
+    expect(
+      uut.sanitizeUrl('https://example.test/', { category: 'page-url' }).result,
+    ).to.eql('safe');
+    expect(
+      uut.sanitizeUrl('https://example.test:1234/', { category: 'page-url' })
+        .result,
+    ).to.eql('dropped');
+    expect(uut.sanitizeUrl('https://example.test/#foo').result).to.eql(
+      'truncated',
+    );
+    expect(recorded).to.eql([
+      ['page-url', 'accepted', undefined],
+      ['page-url', 'dropped', 'uncommon-port'],
+      ['url', 'truncated', 'fragment'],
+    ]);
+  });
+
+  it('should work without stats', function () {
+    uut = new Sanitizer({ getSafeCountryCode: () => 'de' });
+    expect(uut.checkSuspiciousQuery('some query').accept).to.be.true;
+    expect(uut.sanitizeUrl('https://example.test/').result).to.eql('safe');
+  });
+});
+
 describe('#isValidEAN13', function () {
   for (const validEAN of [
     '9780345418913',
@@ -16,6 +16,7 @@ import {
   mockDocumentWith,
 } from './helpers/dom-parsers.js';
 import { lookupBuiltinTransform } from '../src/patterns.js';
+import { BadPatternError } from '../src/errors.js';
 
 const EMPTY_HTML_PAGE = `
 <!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN" "http://www.w3.org/TR/html4/loose.dtd">
@@ -236,6 +237,57 @@ describe('#SearchExtractor', function () {
         });
       });
 
+      it('should provide the version of the rules', function () {
+        runScenario({
+          url: 'http://example.test/x?q=some-query',
+          query: 'some-query',
+          category: 'example-test',
+          html: EMPTY_HTML_PAGE,
+          patterns: {
+            'example-test': {
+              version: 7,
+              input: {},
+              output: {
+                'test-action': {
+                  fields: [{ key: 'q' }, { key: 'pver' }],
+                },
+              },
+            },
+          },
+          mustContain: [
+            {
+              action: 'test-action',
+              payload: { q: 'some-query', pver: 7 },
+            },
+          ],
+        });
+      });
+
+      it('should not add a version if the rules are not versioned', function () {
+        runScenario({
+          url: 'http://example.test/x?q=some-query',
+          query: 'some-query',
+          category: 'example-test',
+          html: EMPTY_HTML_PAGE,
+          patterns: {
+            'example-test': {
+              input: {},
+              output: {
+                'test-action': {
+                  fields: [{ key: 'q' }, { key: 'pver', optional: true }],
+                },
+              },
+            },
+          },
+          mustContain: [
+            {
+              action: 'test-action',
+              payload: { q: 'some-query' },
+            },
+          ],
+        });
+      });
+
       it('should not double-encode links', function () {
         // Note: this URL has an encoded Umlaut. Depending on the DOMParser and
         // the mechanism to extract the URL (elem.href vs elem.getAttribute('href'),
@@ -587,6 +639,199 @@ describe('#SearchExtractor', function () {
         });
       });
 
+      describe('with the extended selector DSL', function () {
+        const html = `
+<!DOCTYPE html>
+<html>
+  <head>
+    <script type="application/ld+json">
+      {
+        "@type": "ItemList",
+        "itemListElement": [
+          { "position": 1, "url": "https://example.test/1", "name": "First" },
+          { "position": 2, "url": "https://example.test/2" }
+        ],
+        "numberOfItems": 2
+      }
+    </script>
+    <script type="application/json" id="broken">{ not json</script>
+  </head>
+  <body>
+    <div class="result" data-rank="1">
+      <h3>
+        Some
+        <b>title</b>
+      </h3>
+      <div class="meta"><span class="age">1 day ago</span></div>
+      <a href="/1">link</a>
+    </div>
+    <div class="snippet">Snippet of the first result</div>
+    <div class="result" data-rank="2">
+      <h3>Second</h3>
+      <a href="/2">link</a>
+    </div>
+  </body>
+</html>`;
+
+        // Runs a single field definition and returns the extracted value
+        function extractFirst(def) {
+          const extractor = new SearchExtractor({
+            patterns: {
+              getRulesSnapshot() {
+                return {
+                  'example-test': {
+                    input: { html: { first: { value: def } } },
+                    output: {
+                      'test-action': {
+                        fields: [
+                          { key: 'value', source: 'html', optional: true },
+                        ],
+                      },
+                    },
+                  },
+                };
+              },
+            },
+            sanitizer: { getSafeCountryCode: () => '--' },
+            persistedHashes: {},
+            jobScheduler: { registerHandler() {} },
+          });
+          const { window: mockWindow, document: doc } =
+            mockDocumentWith[htmlParser](html);
+          try {
+            const [message] = extractor.extractMessages({
+              doc,
+              query: 'some-query',
+              category: 'example-test',
+              doublefetchRequest: { url: 'http://example.test/x' },
+            });
+            return message.body.payload.value;
+          } finally {
+            try {
+              mockWindow?.close();
+            } catch (e) {
+              // ignore
+            }
+          }
+        }
+
+        it('should support normalized text', function () {
+          expect(extractFirst({ select: 'h3', attr: 'innerText' })).to.eql(
+            'Some title',
+          );
+        });
+
+        it('should support multi-hop selectors', function () {
+          expect(
+            extractFirst({
+              select: ['div.result', ':scope > div.meta', 'span'],
+              attr: 'textContent',
+            }),
+          ).to.eql('1 day ago');
+          expect(
+            extractFirst({
+              select: ['div.result', ':scope > span'],
+              attr: 'textContent',
+            }),
+          ).to.eql(null);
+        });
+
+        it('should support navigating to ancestors', function () {
+          expect(
+            extractFirst({
+              select: ['span.age', { closest: '[data-rank]' }],
+              attr: 'data-rank',
+            }),
+          ).to.eql('1');
+          expect(
+            extractFirst({
+              select: ['span.age', { parent: 2 }],
+              attr: 'class',
+            }),
+          ).to.eql('result');
+        });
+
+        it('should support sibling lookups', function () {
+          expect(
+            extractFirst({
+              select: ['div.result', { next: 'div.snippet' }],
+              attr: 'textContent',
+            }),
+          ).to.eql('Snippet of the first result');
+          expect(
+            extractFirst({
+              select: ['div.snippet', { prev: true }],
+              attr: 'data-rank',
+            }),
+          ).to.eql('1');
+        });
+
+        it('should support selecting the nth item', function () {
+          expect(
+            extractFirst({
+              select: { select: 'div.result', nth: 1 },
+              attr: 'data-rank',
+            }),
+          ).to.eql('2');
+          expect(
+            extractFirst({
+              select: { select: 'div.result', nth: -1 },
+              attr: 'data-rank',
+            }),
+          ).to.eql('2');
+          expect(
+            extractFirst({
+              select: { select: 'div.result', nth: 2 },
+              attr: 'data-rank',
+            }),
+          ).to.eql(null);
+        });
+
+        it('should support reading values from JSON-LD', function () {
+          const select = 'script[type="application/ld+json"]';
+          expect(
+            extractFirst({ select, json: 'itemListElement.1.url' }),
+          ).to.eql('https://example.test/2');
+          expect(extractFirst({ select, json: 'numberOfItems' })).to.eql(2);
+
+          // only primitive values
+          expect(extractFirst({ select, json: 'itemListElement' })).to.eql(
+            null,
+          );
+          expect(
+            extractFirst({ select, json: 'itemListElement.5.url' }),
+          ).to.eql(null);
+          expect(extractFirst({ select: '#broken', json: 'foo' })).to.eql(null);
+        });
+
+        it('should support the new selectors in "firstMatch"', function () {
+          expect(
+            extractFirst({
+              firstMatch: [
+                { select: ['div.result', { next: 'div.missing' }], attr: 'id' },
+                {
+                  select: 'script[type="application/ld+json"]',
+                  json: 'itemListElement.0.name',
+                  transform: [['trySplit', ' ', 0]],
+                },
+              ],
+            }),
+          ).to.eql('First');
+        });
+
+        it('should reject unsupported hops', function () {
+          for (const hop of [
+            { unknown: 'x' },
+            { parent: -1 },
+            { parent: 'x' },
+          ]) {
+            expect(() =>
+              extractFirst({ select: ['div.result', hop], attr: 'id' }),
+            ).to.throw(BadPatternError);
+          }
+        });
+      });
+
       // This are optional tests that can be enabled if the TEST_FIXTURES_URL
       // environment variable is defined. Karma lacks access to the filesystem,
       // but we can fetch fixtures over the network.
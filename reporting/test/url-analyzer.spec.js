@@ -13,6 +13,7 @@ import { expect } from 'chai';
 import fc from 'fast-check';
 
 import UrlAnalyzer from '../src/url-analyzer.js';
+import Patterns from '../src/patterns.js';
 
 describe('#UrlAnalyzer', function () {
   describe('with simple generic patterns', function () {
@@ -481,4 +482,86 @@ describe('#UrlAnalyzer', function () {
       }
     });
   });
+
+  describe('with URL patterns from the server', function () {
+    let patterns;
+    let uut;
+
+    function loadPatterns(urlPatterns) {
+      patterns.updatePatterns({
+        _urlPatterns: urlPatterns,
+        'search-go': {},
+        'search-xx': {},
+      });
+    }
+
+    beforeEach(function () {
+      patterns = new Patterns();
+      uut = new UrlAnalyzer(patterns);
+    });
+
+    it('should use the server patterns instead of the builtin patterns', function () {
+      loadPatterns([
+        {
+          category: 'search-xx',
+          regexp: '^https://search[.]example[.]test/find',
+          queryParams: ['query'],
+          prefix: 'find?query=',
+          doublefetchHost: 'html.example.test',
+        },
+      ]);
+      expect(
+        uut.parseSearchLinks('https://search.example.test/find?query=a+b'),
+      ).to.eql({
+        isSupported: true,
+        category: 'search-xx',
+        query: 'a b',
+        doublefetchRequest: {
+          url: 'https://html.example.test/find?query=a+b',
+        },
+      });
+
+      // Google is no longer part of the patterns
+      expect(
+        uut.parseSearchLinks('https://www.google.com/search?q=foo'),
+      ).to.eql({ isSupported: false });
+    });
+
+    it('should skip patterns if the params do not match', function () {
+      loadPatterns([
+        {
+          category: 'search-xx',
+          regexp: '^https://www[.]google[.]com/search',
+          params: { udm: '2' },
+          prefix: 'search?udm=2&q=',
+        },
+        {
+          category: 'search-go',
+          regexp: '^https://www[.]google[.]com/search',
+          prefix: 'search?q=',
+        },
+      ]);
+      expect(
+        uut.parseSearchLinks('https://www.google.com/search?q=foo&udm=2'),
+      ).to.deep.include({
+        category: 'search-xx',
+        doublefetchRequest: {
+          url: 'https://www.google.com/search?udm=2&q=foo',
+        },
+      });
+      expect(
+        uut.parseSearchLinks('https://www.google.com/search?q=foo'),
+      ).to.deep.include({ category: 'search-go' });
+    });
+
+    it('should fall back to the builtin patterns if the patterns are invalid', function () {
+      loadPatterns([
+        { category: 'search-xx', regexp: '(a+)+$', prefix: 'search?q=' },
+      ]);
+      expect(
+        uut.parseSearchLinks('https://www.google.com/search?q=foo'),
+      ).to.deep.include({ isSupported: true, category: 'search-go' });
+      expect(patterns.getRulesSnapshot()['search-go']).to.exist;
+    });
+  });
 });
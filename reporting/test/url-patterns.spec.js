@@ -0,0 +1,128 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import { expect } from 'chai';
+import fc from 'fast-check';
+
+import {
+  isSafeRegex,
+  compileUrlPattern,
+  compileUrlPatterns,
+} from '../src/url-patterns.js';
+
+describe('#isSafeRegex', function () {
+  for (const regex of [
+    '^https://[^/]*[.]google[.][^/]+/search',
+    '^https://(?:html[.])?duckduckgo[.]com/',
+    '^https://(glowstery|ghosterysearch)[.]com/search[?]q=[^&]+',
+    '^https://[^/]*[.]search[.]yahoo[.].*?[#?&;][pq]=[^$&]+',
+    'a{2,3}b\\d+',
+    '(ab)?c*',
+  ]) {
+    it(`should accept ${regex}`, function () {
+      expect(isSafeRegex(regex)).to.be.true;
+    });
+  }
+
+  for (const regex of [
+    '(a+)+$',
+    '(a*)*b',
+    '(x+x+)+y',
+    '((ab)*c)+',
+    '(a|aa)+',
+    '(.*a){12}',
+    '^(a?a?){18}$',
+    '(ab?)+',
+    '(a{1,3})*',
+    '(a)\\1',
+    '(?=a)b',
+    '(?<!a)b',
+    '(?<name>a)',
+    '[abc',
+    '(abc',
+    'abc)',
+    'a'.repeat(1000),
+    42,
+  ]) {
+    it(`should reject ${regex}`, function () {
+      expect(isSafeRegex(regex)).to.be.false;
+    });
+  }
+
+  it('should not throw on arbitrary text', function () {
+    fc.assert(
+      fc.property(fc.fullUnicodeString(), (text) => {
+        expect(isSafeRegex(text)).to.be.a('boolean');
+      }),
+    );
+  });
+});
+
+describe('#compileUrlPattern', function () {
+  const parse = (url) => new URL(url);
+
+  it('should compile a minimal pattern', function () {
+    const pattern = compileUrlPattern({
+      category: 'search-xx',
+      regexp: '^https://search[.]example[.]test/[?]q=',
+      prefix: '?q=',
+    });
+    expect(pattern.category).to.eql('search-xx');
+    expect(pattern.regexp.test('https://search.example.test/?q=foo')).to.be
+      .true;
+    expect(
+      pattern.queryFinder(parse('https://search.example.test/?q=foo')),
+    ).to.eql('foo');
+    expect(pattern.doublefetchHost).to.be.undefined;
+    expect(pattern.paramsMatch).to.be.undefined;
+  });
+
+  it('should support params, query params and host rewrites', function () {
+    const pattern = compileUrlPattern({
+      category: 'search-xx',
+      regexp: '^https://example[.]test/',
+      params: { udm: '2', p: true },
+      queryParams: ['q', 'p'],
+      prefix: 'search?q=',
+      doublefetchHost: 'html.example.test',
+    });
+    const url = parse('https://example.test/?udm=2&p=foo');
+    expect(pattern.paramsMatch(url)).to.be.true;
+    expect(pattern.queryFinder(url)).to.eql('foo');
+    expect(pattern.doublefetchHost(url)).to.eql('html.example.test');
+    expect(pattern.paramsMatch(parse('https://example.test/?udm=7&p=foo'))).to
+      .be.false;
+    expect(pattern.paramsMatch(parse('https://example.test/?udm=2&p='))).to.be
+      .false;
+  });
+
+  it('should reject invalid patterns', function () {
+    const valid = {
+      category: 'search-xx',
+      regexp: '^https://example[.]test/',
+      prefix: 'search?q=',
+    };
+    for (const invalid of [
+      null,
+      { ...valid, category: undefined },
+      { ...valid, prefix: 42 },
+      { ...valid, regexp: '(a+)+' },
+      { ...valid, params: { q: 1 } },
+      { ...valid, queryParams: [] },
+      { ...valid, doublefetchHost: 'evil.test/path' },
+      { ...valid, doublefetchHost: 'user@evil.test' },
+    ]) {
+      expect(() => compileUrlPattern(invalid)).to.throw();
+    }
+    expect(() => compileUrlPatterns(valid)).to.throw();
+    expect(compileUrlPatterns([valid, valid])).to.have.lengthOf(2);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+import Patterns from '../src/patterns';
+import SearchExtractor from '../src/search-extractor';
+import parseHtml from '../src/html-parser';
+
+function isPresent(x) {
+  return x !== null && x !== undefined && x !== '';
+}
+
+function newFieldStats() {
+  return { hits: 0, total: 0 };
+}
+
+/**
+ * Runs the rules of one category against saved HTML pages (e.g. SERPs)
+ * without the extension. It uses the same code path as the doublefetch
+ * jobs (SearchExtractor.extractMessages), but skips fetching.
+ *
+ * Each fixture is { name, html, query, url }, where "url" is the URL
+ * of the page (the base for relative links and the value of "qurl").
+ *
+ * Returns a report with:
+ * - the messages per fixture (and the reasons why messages were dropped)
+ * - hit rates per input field: for "first" selectors, a hit is a page
+ *   where the field was extracted; for "all" selectors, a hit is a single
+ *   matched element where the field was extracted
+ */
+export function runPatternHarness({ rules, category, fixtures, ctry = '--' }) {
+  const patterns = new Patterns();
+  patterns.updatePatterns(rules);
+  if (!patterns.getRulesSnapshot()[category]) {
+    throw new Error(`The patterns have no rules for category=${category}`);
+  }
+
+  const searchExtractor = new SearchExtractor({
+    patterns,
+    sanitizer: {
+      getSafeCountryCode: () => ctry,
+    },
+    persistedHashes: null,
+    jobScheduler: {
+      registerHandler() {},
+    },
+  });
+
+  const { input = {} } = patterns.getRulesSnapshot()[category];
+  const fieldStats = {}; // selector -> key -> { hits, total }
+  for (const [selector, selectorDef] of Object.entries(input)) {
+    fieldStats[selector] = {};
+    for (const key of Object.keys(selectorDef.first || selectorDef.all || {})) {
+      fieldStats[selector][key] = newFieldStats();
+    }
+  }
+
+  const results = [];
+  for (const { name, html, query = null, url } of fixtures) {
+    const trace = {};
+    let messages = [];
+    let error = null;
+    try {
+      messages = searchExtractor.extractMessages({
+        doc: parseHtml(html),
+        query,
+        category,
+        doublefetchRequest: { url },
+        trace,
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    for (const [selector, values] of Object.entries(trace.found || {})) {
+      for (const [key, stats] of Object.entries(fieldStats[selector])) {
+        if (input[selector].first) {
+          stats.total += 1;
+          stats.hits += isPresent(values[key]) ? 1 : 0;
+        } else {
+          const items = values[key] || [];
+          stats.total += items.length;
+          stats.hits += items.filter(isPresent).length;
+        }
+      }
+    }
+
+    results.push({
+      name,
+      messages: messages.map(({ body }) => body),
+      incomplete: trace.incomplete || [],
+      omitted: trace.omitted || [],
+      error,
+    });
+  }
+
+  const hitRates = {};
+  for (const [selector, keys] of Object.entries(fieldStats)) {
+    hitRates[selector] = {};
+    for (const [key, { hits, total }] of Object.entries(keys)) {
+      hitRates[selector][key] = {
+        hits,
+        total,
+        rate: total > 0 ? hits / total : null,
+      };
+    }
+  }
+  return { category, results, hitRates };
+}
@@ -0,0 +1,145 @@
+/**
+ * WhoTracks.Me
+ * https://whotracks.me/
+ *
+ * Copyright 2017-present Ghostery GmbH. All rights reserved.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0
+ */
+
+/* eslint-env node */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { setLogLevel } from '../src/logger';
+import { runPatternHarness } from './pattern-harness';
+
+const USAGE = `Runs the rules of a category against saved HTML pages.
+
+Usage:
+  npm run test.patterns -- --patterns <file> --category <name> --fixtures <dir>
+
+Options:
+  --patterns <file>  patterns (JSON, as served by the PATTERNS_URL)
+  --category <name>  category of the rules (e.g. "search-go")
+  --fixtures <dir>   directory with the saved pages (*.html)
+  --query <query>    default query (if there is no <page>.json)
+  --url <url>        default URL of the pages (if there is no <page>.json)
+  --ctry <code>      country code for the "ctry" field (default: "--")
+  --json             print the full report as JSON
+  --verbose          enable debug logs
+
+For each <page>.html, an optional <page>.json can provide the
+query and the URL of the page: { "query": "...", "url": "..." }`;
+
+function loadFixtures(dir, defaults) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.html'))
+    .sort()
+    .map((file) => {
+      const name = file.slice(0, -'.html'.length);
+      const metaFile = path.join(dir, `${name}.json`);
+      const meta = fs.existsSync(metaFile)
+        ? JSON.parse(fs.readFileSync(metaFile, 'utf8'))
+        : {};
+      return {
+        name,
+        html: fs.readFileSync(path.join(dir, file), 'utf8'),
+        query: meta.query ?? defaults.query,
+        url: meta.url ?? defaults.url,
+      };
+    });
+}
+
+function formatRate({ hits, total, rate }) {
+  if (rate === null) {
+    return '   - (no matches)';
+  }
+  return `${(100 * rate).toFixed(1).padStart(5)}% (${hits}/${total})`;
+}
+
+function printReport({ category, results, hitRates }) {
+  console.log(`Category: ${category}`);
+  for (const { name, messages, incomplete, omitted, error } of results) {
+    console.log(`\n== ${name}`);
+    if (error) {
+      console.log(`  ERROR: ${error}`);
+    }
+    for (const message of messages) {
+      console.log(`  [${message.action}]`, JSON.stringify(message.payload));
+    }
+    for (const { action, missingKey } of incomplete) {
+      console.log(`  dropped [${action}]: missing field "${missingKey}"`);
+    }
+    for (const { action, because } of omitted) {
+      console.log(
+        `  omitted [${action}]: "${because}" exists (omitIfExistsAny)`,
+      );
+    }
+    if (!error && messages.length === 0) {
+      console.log('  (no messages)');
+    }
+  }
+
+  console.log('\nHit rates:');
+  for (const [selector, keys] of Object.entries(hitRates)) {
+    console.log(`  ${selector}`);
+    for (const [key, stats] of Object.entries(keys)) {
+      console.log(`    ${formatRate(stats)}  ${key}`);
+    }
+  }
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      patterns: { type: 'string' },
+      category: { type: 'string' },
+      fixtures: { type: 'string' },
+      query: { type: 'string' },
+      url: { type: 'string', default: 'https://example.test/' },
+      ctry: { type: 'string', default: '--' },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help || !values.patterns || !values.category || !values.fixtures) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+  setLogLevel(values.verbose ? 'debug' : 'warn');
+
+  const fixtures = loadFixtures(values.fixtures, {
+    query: values.query ?? null,
+    url: values.url,
+  });
+  if (fixtures.length === 0) {
+    console.error(`No *.html files found in ${values.fixtures}`);
+    process.exit(1);
+  }
+  const report = runPatternHarness({
+    rules: JSON.parse(fs.readFileSync(values.patterns, 'utf8')),
+    category: values.category,
+    fixtures,
+    ctry: values.ctry,
+  });
+
+  if (values.json) {
+    const replacer = (key, value) =>
+      value instanceof Error ? `${value.name}: ${value.message}` : value;
+    console.log(JSON.stringify(report, replacer, 2));
+  } else {
+    printReport(report);
+  }
+  if (report.results.some((x) => x.error)) {
+    process.exit(2);
+  }
+}
+
+main();